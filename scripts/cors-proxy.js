@@ -0,0 +1,80 @@
+// Minimal CORS proxy for GitHub requests made from Browser Node
+// Run with: npm run proxy  (or: node scripts/cors-proxy.js)
+// Then set the self-hosted proxy template in GitHub settings to:
+//   http://localhost:8787/?url={url}
+
+import http from 'node:http';
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+
+// Only forward to GitHub so this can't be used as an open proxy
+const ALLOWED_HOSTS = new Set([
+    'api.github.com',
+    'raw.githubusercontent.com',
+    'codeload.github.com'
+]);
+
+const corsHeaders = {
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+    'Access-Control-Allow-Headers': 'Accept, Content-Type',
+    'Access-Control-Expose-Headers': 'Content-Length, ETag, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset'
+};
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, corsHeaders);
+        res.end();
+        return;
+    }
+
+    const requestUrl = new URL(req.url, `http://${req.headers.host}`);
+    const target = requestUrl.searchParams.get('url');
+
+    let targetUrl;
+    try {
+        targetUrl = new URL(target);
+    } catch {
+        res.writeHead(400, { ...corsHeaders, 'Content-Type': 'text/plain' });
+        res.end('Missing or invalid ?url= parameter');
+        return;
+    }
+
+    if (targetUrl.protocol !== 'https:' || !ALLOWED_HOSTS.has(targetUrl.hostname)) {
+        res.writeHead(403, { ...corsHeaders, 'Content-Type': 'text/plain' });
+        res.end(`Host not allowed: ${targetUrl.hostname}`);
+        return;
+    }
+
+    try {
+        const upstream = await fetch(targetUrl, {
+            method: req.method,
+            headers: {
+                'Accept': req.headers.accept || '*/*',
+                'User-Agent': 'browser-node-cors-proxy'
+            }
+        });
+
+        const headers = { ...corsHeaders };
+        for (const name of ['content-type', 'etag', 'x-ratelimit-limit', 'x-ratelimit-remaining', 'x-ratelimit-reset']) {
+            const value = upstream.headers.get(name);
+            if (value) headers[name] = value;
+        }
+
+        const body = Buffer.from(await upstream.arrayBuffer());
+        headers['content-length'] = body.length;
+
+        res.writeHead(upstream.status, headers);
+        res.end(req.method === 'HEAD' ? undefined : body);
+        console.log(`${upstream.status} ${targetUrl}`);
+    } catch (error) {
+        res.writeHead(502, { ...corsHeaders, 'Content-Type': 'text/plain' });
+        res.end(`Upstream request failed: ${error.message}`);
+        console.error(`502 ${targetUrl}: ${error.message}`);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🔀 CORS proxy listening on http://localhost:${PORT}/?url={url}`);
+});
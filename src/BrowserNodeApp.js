@@ -4,17 +4,29 @@
  */
 
 import { TerminalManager } from './modules/terminal/TerminalManager.js';
+import { TerminalHelper } from './modules/terminal/helpers.js';
 import { WebContainerManager } from './modules/webcontainer/WebContainerManager.js';
 import { GitHubRepository } from './modules/github/GitHubRepository.js';
 import { FileManager } from './modules/files/FileManager.js';
 import { PreviewManager } from './modules/preview/PreviewManager.js';
 import { UIManager } from './modules/ui/UIManager.js';
-import { ModalHelper } from './modules/ui/helpers.js';
+import { ModalHelper, DiffViewHelper } from './modules/ui/helpers.js';
+import { GitHubAuthHelper, CorsProxyHelper, NpmRegistryHelper } from './modules/github/helpers.js';
+import { RepositoryProviderHelper } from './modules/github/providers.js';
+import { RepositoryCache } from './modules/github/RepositoryCache.js';
+import { WorkspaceSnapshots } from './modules/files/WorkspaceSnapshots.js';
+import { EnvironmentHelper } from './modules/webcontainer/helpers.js';
+import { isCommitSha } from './utils/github.js';
+import { formatBytes, formatDate, downloadFile } from './utils/common.js';
+import { ProjectDetector } from './helpers/index.js';
+import { DEFAULT_NPM_REGISTRY } from './utils/npm.js';
 
 export class BrowserNodeApp {
     constructor() {
         this.isInitialized = false;
         this.modules = {};
+        // Path of the project the explorer and preview are pointed at
+        this.activeProjectPath = null;
         
         // Initialize modules in dependency order
         this.initializeModules();
@@ -218,6 +230,11 @@ server.listen(PORT, () => {
                 this.modules.webContainer,
                 this.modules.terminal
             );
+            this.workspaceSnapshots = new WorkspaceSnapshots(this.modules.files, this.modules.webContainer);
+            // Spawned processes get the variables of whichever project is current
+            this.modules.webContainer.setEnvironmentResolver(() => {
+                return EnvironmentHelper.toEnv(EnvironmentHelper.getProjectVariables(this.getEnvironmentScope()));
+            });
 
             // Setup module interactions
             this.setupModuleInteractions();
@@ -242,6 +259,9 @@ server.listen(PORT, () => {
             // Load initial state
             await this.loadInitialState();
 
+            // Snapshots start after the initial state is in place, so a slow restore is never overwritten
+            this.workspaceSnapshots.startAutosave(() => this.modules.github.getWorkspaceState());
+
             // Run feature tests
             setTimeout(() => this.testAllFeatures(), 2000);
 
@@ -276,18 +296,21 @@ server.listen(PORT, () => {
                 if (url) {
                     try {
                         this.updateLoadingText('Loading GitHub repository...');
-                        await this.modules.github.loadRepository(url);
+                        const project = await this.modules.github.loadRepository(url);
                         this.modules.ui.showSuccessNotification('Repository loaded successfully!');
                         
                         // Save to localStorage for sharing
-                        localStorage.setItem('lastRepository', JSON.stringify({
-                            url: url,
-                            name: this.extractRepoName(url),
-                            timestamp: Date.now()
-                        }));
+                        this.saveLastRepository(project, url);
                         
                     } catch (error) {
+                        if (error.name === 'AbortError') {
+                            this.modules.ui.showWarningNotification('Repository import cancelled');
+                            return;
+                        }
                         this.modules.ui.showErrorNotification(`Failed to load repository: ${error.message}`);
+                        if (error.code === 'GITHUB_AUTH') {
+                            this.showGitHubSettingsDialog();
+                        }
                     }
                 } else {
                     this.modules.ui.showErrorNotification('Please enter a GitHub repository URL');
@@ -295,6 +318,38 @@ server.listen(PORT, () => {
             });
         }
 
+        // Cancel Import Button (shown while a repository is being imported)
+        const cancelImportBtn = document.getElementById('cancelImportBtn');
+        if (cancelImportBtn) {
+            cancelImportBtn.addEventListener('click', () => {
+                this.modules.github.cancelImport();
+            });
+        }
+
+        // GitHub Settings Button
+        const githubSettingsBtn = document.getElementById('githubSettingsBtn');
+        if (githubSettingsBtn) {
+            githubSettingsBtn.addEventListener('click', () => {
+                this.showGitHubSettingsDialog();
+            });
+        }
+
+        // Repository Cache Button
+        const repositoryCacheBtn = document.getElementById('repositoryCacheBtn');
+        if (repositoryCacheBtn) {
+            repositoryCacheBtn.addEventListener('click', () => {
+                this.showRepositoryCacheDialog();
+            });
+        }
+
+        // Project switcher
+        const projectSwitcher = document.getElementById('projectSwitcher');
+        if (projectSwitcher) {
+            projectSwitcher.addEventListener('change', () => {
+                this.switchProject(projectSwitcher.value);
+            });
+        }
+
         // New Project Button
         const newProjectBtn = document.getElementById('newProjectBtn');
         if (newProjectBtn) {
@@ -303,6 +358,125 @@ server.listen(PORT, () => {
             });
         }
 
+        // Commit Button
+        const commitBtn = document.getElementById('commitBtn');
+        if (commitBtn) {
+            commitBtn.addEventListener('click', () => {
+                this.showCommitDialog();
+            });
+        }
+
+        // Pull Request Button
+        const pullRequestBtn = document.getElementById('pullRequestBtn');
+        if (pullRequestBtn) {
+            pullRequestBtn.addEventListener('click', () => {
+                this.showPullRequestDialog();
+            });
+        }
+
+        // Save Gist Button
+        const gistBtn = document.getElementById('gistBtn');
+        if (gistBtn) {
+            gistBtn.addEventListener('click', () => {
+                this.showSaveGistDialog();
+            });
+        }
+
+        // Packages Button (shown when a monorepo is loaded)
+        const packagesBtn = document.getElementById('packagesBtn');
+        if (packagesBtn) {
+            packagesBtn.addEventListener('click', () => {
+                const workspaces = this.modules.github.getCurrentProject()?.workspaces;
+                if (workspaces) {
+                    this.showWorkspacePackagesDialog(workspaces);
+                } else {
+                    packagesBtn.style.display = 'none';
+                }
+            });
+        }
+
+        // Compatibility Button (shown when a repository has been analyzed)
+        const compatibilityBtn = document.getElementById('compatibilityBtn');
+        if (compatibilityBtn) {
+            compatibilityBtn.addEventListener('click', () => {
+                const report = this.modules.github.getCurrentProject()?.compatibility;
+                if (report) {
+                    this.showCompatibilityReportDialog(report);
+                } else {
+                    compatibilityBtn.style.display = 'none';
+                }
+            });
+        }
+
+        // Export Button
+        const exportProjectBtn = document.getElementById('exportProjectBtn');
+        if (exportProjectBtn) {
+            exportProjectBtn.addEventListener('click', () => {
+                this.showExportDialog(this.modules.github.getCurrentProject()?.path || '/');
+            });
+        }
+
+        // Environment Button
+        const environmentBtn = document.getElementById('environmentBtn');
+        if (environmentBtn) {
+            environmentBtn.addEventListener('click', () => {
+                this.showEnvironmentDialog();
+            });
+        }
+
+        // Processes Button
+        const processesBtn = document.getElementById('processesBtn');
+        if (processesBtn) {
+            processesBtn.addEventListener('click', () => {
+                this.showProcessesDialog();
+            });
+        }
+
+        // Workspace Button
+        const workspaceBtn = document.getElementById('workspaceBtn');
+        if (workspaceBtn) {
+            workspaceBtn.addEventListener('click', () => {
+                this.showWorkspaceSnapshotDialog();
+            });
+        }
+
+        // Save the workspace when the tab is hidden, the last chance before it may be closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden' && this.workspaceSnapshots.autosaveTimer) {
+                this.workspaceSnapshots.save().catch(error => console.warn('Workspace snapshot failed:', error));
+            }
+        });
+
+        // npm Package Button
+        const npmPackageBtn = document.getElementById('npmPackageBtn');
+        if (npmPackageBtn) {
+            npmPackageBtn.addEventListener('click', () => {
+                this.showNpmPackageDialog();
+            });
+        }
+
+        // PR Files Button (shown when a pull request is loaded)
+        const prFilesBtn = document.getElementById('prFilesBtn');
+        if (prFilesBtn) {
+            prFilesBtn.addEventListener('click', () => {
+                const pullRequest = this.modules.github.getCurrentProject()?.pullRequest;
+                if (pullRequest) {
+                    this.showPullRequestFilesDialog(pullRequest);
+                } else {
+                    // A plain repository was loaded since
+                    prFilesBtn.style.display = 'none';
+                }
+            });
+        }
+
+        // Import Changes Button (shown when an enhanced import changed repository files)
+        const importChangesBtn = document.getElementById('importChangesBtn');
+        if (importChangesBtn) {
+            importChangesBtn.addEventListener('click', () => {
+                this.showImportChangesDialog();
+            });
+        }
+
         // Share Button
         const shareBtn = document.getElementById('shareBtn');
         if (shareBtn) {
@@ -367,10 +541,16 @@ server.listen(PORT, () => {
      */
     handleUrlParameters() {
         const urlParams = new URLSearchParams(window.location.search);
-        const repo = urlParams.get('repo');
+        // ?gist=<id> is loaded as a gist URL, which also accepts legacy numeric IDs
+        const gistId = urlParams.get('gist');
+        const repo = urlParams.get('repo') || (gistId ? `https://gist.github.com/${gistId.trim()}` : null);
+        const npmSpec = urlParams.get('npm');
         const cmd = urlParams.get('cmd');
 
-        if (repo) {
+        if (npmSpec) {
+            console.log('🔗 Loading npm package from URL parameter:', npmSpec);
+            setTimeout(() => this.loadNpmPackage(npmSpec, cmd), 1000);
+        } else if (repo) {
             // Auto-load repository from URL parameter
             console.log('🔗 Loading repository from URL parameter:', repo);
             
@@ -381,8 +561,9 @@ server.listen(PORT, () => {
                         githubUrl.value = repo;
                     }
                     
-                    await this.modules.github.loadRepository(repo);
+                    const project = await this.modules.github.loadRepository(repo);
                     this.modules.ui.showSuccessNotification('Repository loaded from shared link!');
+                    this.saveLastRepository(project, repo);
                     
                     // Auto-run command if specified
                     if (cmd && this.modules.terminal) {
@@ -392,241 +573,1633 @@ server.listen(PORT, () => {
                         }, 2000);
                     }
                 } catch (error) {
+                    if (error.name === 'AbortError') {
+                        this.modules.ui.showWarningNotification('Repository import cancelled');
+                        return;
+                    }
                     this.modules.ui.showErrorNotification(`Failed to load shared repository: ${error.message}`);
+                    if (error.code === 'GITHUB_AUTH') {
+                        this.showGitHubSettingsDialog();
+                    }
                 }
             }, 1000);
         }
     }
 
     /**
-     * Handle sharing functionality
+     * Show GitHub settings dialog (access token and CORS proxies)
      */
-    handleShare() {
-        const lastRepo = localStorage.getItem('lastRepository');
-        let shareUrl = window.location.origin + window.location.pathname;
+    showGitHubSettingsDialog() {
+        const proxySettings = CorsProxyHelper.getSettings();
+        const settingsForm = document.createElement('div');
+        settingsForm.innerHTML = `
+            <div class="form-group">
+                <label for="github-token">Personal access token:</label>
+                <input type="password" id="github-token" placeholder="ghp_..." autocomplete="off" style="width: 100%; padding: 8px; margin: 10px 0;">
+                <small>Needed for private repositories and raises the API limit from 60 to 5,000 requests per hour.
+                The token is stored in this browser only and is never included in share links. Leave empty for anonymous access.</small>
+                <p class="github-rate-limit"><small></small></p>
+            </div>
+            <div class="form-group">
+                <label>CORS proxies (used when the GitHub API cannot be reached directly):</label>
+                <div class="proxy-list">
+                    ${CorsProxyHelper.BUILT_IN_PROXIES.map(proxy => `
+                        <label style="display: block;">
+                            <input type="checkbox" value="${proxy.id}" ${proxySettings.enabled.includes(proxy.id) ? 'checked' : ''}>
+                            ${proxy.name}
+                        </label>
+                    `).join('')}
+                </div>
+                <label for="custom-proxy">Self-hosted proxy URL template:</label>
+                <input type="text" id="custom-proxy" placeholder="http://localhost:8787/?url={url}" style="width: 100%; padding: 8px; margin: 10px 0;">
+                <small>Tried before the public proxies. Uncheck everything and leave this empty to never use a proxy.</small>
+            </div>
+            <div class="form-group">
+                <label for="import-mode">Import mode:</label>
+                <select id="import-mode" style="width: 100%; padding: 8px; margin: 10px 0;">
+                    <option value="auto">Auto (faithful for full imports, enhanced for partial ones)</option>
+                    <option value="faithful">Faithful (write the repository byte-for-byte)</option>
+                    <option value="enhanced">Enhanced (add template scripts and fallback files)</option>
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="repository-hosts">Other Git hosts:</label>
+                <textarea id="repository-hosts" rows="3" style="width: 100%; padding: 8px; margin: 10px 0; font-family: monospace;"
+                    placeholder="gitlab https://gitlab.example.com [token]"></textarea>
+                <small>One host per line: <code>gitlab</code>, <code>gitea</code> or <code>bitbucket</code>, the base URL and an optional access token.
+                gitlab.com, bitbucket.org and codeberg.org work without configuration; list them here to add a token.</small>
+            </div>
+            <div class="form-group">
+                <label for="npm-registry">npm registry:</label>
+                <input type="text" id="npm-registry" placeholder="${DEFAULT_NPM_REGISTRY}" style="width: 100%; padding: 8px; margin: 10px 0;">
+                <small>Used to load npm packages and to install their dependencies, e.g. a local Verdaccio at http://localhost:4873. Leave empty for the public registry.</small>
+            </div>
+        `;
 
-        if (lastRepo) {
-            const repoData = JSON.parse(lastRepo);
-            shareUrl += `?repo=${encodeURIComponent(repoData.url)}`;
-            
-            // Add current command if available
-            // const currentCommand = this.getCurrentCommand();
-            // if (currentCommand) {
-            //     shareUrl += `&cmd=${encodeURIComponent(currentCommand)}`;
-            // }
-        }
+        const tokenInput = settingsForm.querySelector('#github-token');
+        const customProxyInput = settingsForm.querySelector('#custom-proxy');
+        tokenInput.value = GitHubAuthHelper.getToken() || '';
+        customProxyInput.value = proxySettings.customTemplate;
+        const importModeSelect = settingsForm.querySelector('#import-mode');
+        importModeSelect.value = this.modules.github.getImportMode();
+        const hostsInput = settingsForm.querySelector('#repository-hosts');
+        hostsInput.value = RepositoryProviderHelper.formatHostsText(RepositoryProviderHelper.getCustomHosts());
+        const registryInput = settingsForm.querySelector('#npm-registry');
+        const registry = NpmRegistryHelper.getRegistry();
+        registryInput.value = registry === DEFAULT_NPM_REGISTRY ? '' : registry;
+        settingsForm.querySelector('.github-rate-limit small').textContent = GitHubAuthHelper.formatRateLimit();
 
-        // Copy to clipboard
-        navigator.clipboard.writeText(shareUrl).then(() => {
-            this.modules.ui.showSuccessNotification('Share link copied to clipboard! 📋');
-        }).catch(() => {
-            // Fallback: show the URL in a modal
-            const modal = ModalHelper.createModal({
-                title: 'Share This Project',
-                content: `
-                    <div>
-                        <p>Share this link to let others access your project:</p>
-                        <input type="text" value="${shareUrl}" readonly style="width: 100%; padding: 8px; margin: 10px 0;">
-                        <p><small>Copy the URL above to share your current project setup.</small></p>
-                    </div>
-                `,
-                actions: [
-                    { text: 'Close', className: 'btn-primary' }
-                ]
-            });
-            ModalHelper.showModal(modal);
+        const modal = ModalHelper.createModal({
+            title: 'GitHub Settings',
+            content: settingsForm,
+            actions: [
+                { text: 'Cancel', className: 'btn-secondary' },
+                {
+                    text: 'Save',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        let hosts;
+                        try {
+                            hosts = RepositoryProviderHelper.parseHostsText(hostsInput.value);
+                            NpmRegistryHelper.setRegistry(registryInput.value);
+                        } catch (error) {
+                            this.modules.ui.showErrorNotification(error.message);
+                            return;
+                        }
+
+                        if (tokenInput.value.trim() !== (GitHubAuthHelper.getToken() || '')) {
+                            GitHubAuthHelper.setToken(tokenInput.value);
+                            this.updateRateLimitDisplay(null);
+                        }
+
+                        CorsProxyHelper.saveSettings({
+                            enabled: [...settingsForm.querySelectorAll('.proxy-list input:checked')].map(input => input.value),
+                            customTemplate: customProxyInput.value
+                        });
+                        this.modules.github.setImportMode(importModeSelect.value);
+                        RepositoryProviderHelper.saveCustomHosts(hosts);
+
+                        ModalHelper.closeModal(modal);
+                        this.modules.ui.showSuccessNotification('GitHub settings saved');
+                    }
+                }
+            ]
         });
+        ModalHelper.showModal(modal);
     }
 
     /**
-     * Test for running development server
+     * Ask for an npm package spec and load that published version
      */
-    async testForRunningServer() {
-        const commonPorts = [3000, 8080, 5000, 4200, 3001, 5173, 5174];
-        
-        for (const port of commonPorts) {
-            try {
-                const response = await fetch(`http://localhost:${port}`, {
-                    method: 'HEAD',
-                    mode: 'no-cors'
-                });
-                
-                // If we get here, there might be something running
-                this.modules.ui.showSuccessNotification(`Found potential server on port ${port}`);
-                if (this.modules.preview) {
-                    this.modules.preview.updatePreview(`http://localhost:${port}`);
+    showNpmPackageDialog() {
+        const packageForm = document.createElement('div');
+        packageForm.innerHTML = `
+            <div class="form-group">
+                <label for="npm-package-spec">Package:</label>
+                <input type="text" id="npm-package-spec" placeholder="react@18.2.0" autocomplete="off" style="width: 100%; padding: 8px; margin: 10px 0;">
+                <small>A name with an optional version, range or dist-tag (<code>lodash</code>, <code>@scope/pkg@^2</code>, <code>next@canary</code>).
+                The published tarball is extracted and its dependencies installed. Registry: <code class="npm-registry"></code> (change it in GitHub settings).</small>
+            </div>
+        `;
+        packageForm.querySelector('.npm-registry').textContent = NpmRegistryHelper.getRegistry();
+        const specInput = packageForm.querySelector('#npm-package-spec');
+
+        const modal = ModalHelper.createModal({
+            title: 'Load npm Package',
+            content: packageForm,
+            actions: [
+                { text: 'Cancel', className: 'btn-secondary' },
+                {
+                    text: 'Load',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        const spec = specInput.value.trim();
+                        if (!spec) {
+                            this.modules.ui.showErrorNotification('Enter a package name');
+                            return;
+                        }
+                        ModalHelper.closeModal(modal);
+                        this.loadNpmPackage(spec);
+                    }
                 }
+            ]
+        });
+        ModalHelper.showModal(modal);
+        specInput.focus();
+    }
+
+    /**
+     * Load a published npm package and install its dependencies in the terminal
+     * @param {string} spec - Package spec (name, name@version, name@range or name@dist-tag)
+     * @param {string} cmd - Command to run once dependencies are installed
+     */
+    async loadNpmPackage(spec, cmd = null) {
+        try {
+            this.updateLoadingText(`Loading npm package ${spec}...`);
+            const project = await this.modules.github.loadNpmPackage(spec);
+            this.modules.ui.showSuccessNotification(`Loaded ${project.npm.name}@${project.npm.version}`);
+            this.saveLastRepository(project);
+
+            let install = ProjectDetector.getInstallCommand(project.packageManager);
+            if (project.npm.registry !== DEFAULT_NPM_REGISTRY) {
+                install += ` --registry=${project.npm.registry}`;
+            }
+
+            // The shell starts in the WebContainer workdir, which is where project paths are rooted
+            const workdir = this.modules.webContainer.getInstance()?.workdir || '';
+            const commands = [`cd "${workdir}${project.path}"`, install];
+            if (cmd) {
+                commands.push(cmd);
+            }
+            this.modules.terminal.runCommand(commands.join(' && '));
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.modules.ui.showWarningNotification('Package loading cancelled');
                 return;
-            } catch (error) {
-                // Continue trying other ports
             }
+            this.modules.ui.showErrorNotification(`Failed to load npm package: ${error.message}`);
         }
-        
-        this.modules.ui.showWarningNotification('No development server detected. Try running "npm start" or "npm run dev" first.');
     }
 
     /**
-     * Extract repository name from GitHub URL
-     * @param {string} githubUrl - GitHub repository URL
-     * @returns {string} Repository name
+     * Import a local .zip, .tar.gz or .tgz file as a project
+     * @param {File} file - Archive file
      */
-    extractRepoName(githubUrl) {
-        const match = githubUrl.match(/github\.com\/[^\/]+\/([^\/]+)/);
-        return match ? match[1].replace('.git', '') : 'repository';
+    async loadArchiveFile(file) {
+        try {
+            await this.modules.github.loadArchive(file);
+            this.modules.ui.showSuccessNotification(`Loaded ${file.name}`);
+            // Local files cannot be reloaded or shared, so the last repository is kept
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.modules.ui.showWarningNotification('Archive import cancelled');
+                return;
+            }
+            this.modules.ui.showErrorNotification(`Failed to load ${file.name}: ${error.message}`);
+        }
     }
 
     /**
-     * Show create project dialog
+     * Ask which files to leave out, then download a directory as a zip
+     * @param {string} path - Directory to export
      */
-    showCreateProjectDialog() {
+    showExportDialog(path) {
+        const exportForm = document.createElement('div');
+        exportForm.innerHTML = `
+            <p>Export <code class="export-path"></code> as a zip file.</p>
+            <div class="form-group">
+                <label><input type="checkbox" id="export-exclude-node-modules" checked> Exclude <code>node_modules</code></label>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="export-respect-gitignore" checked> Exclude paths ignored by <code>.gitignore</code></label>
+            </div>
+        `;
+        exportForm.querySelector('.export-path').textContent = path;
+
         const modal = ModalHelper.createModal({
-            title: 'Create New Project',
-            content: `
-                <div>
-                    <h3>Project Templates</h3>
-                    <div style="margin: 20px 0;">
-                        <button id="createVanillaJs" class="btn-primary" style="margin: 5px;">Vanilla JavaScript</button>
-                        <button id="createReact" class="btn-primary" style="margin: 5px;">React App</button>
-                        <button id="createVite" class="btn-primary" style="margin: 5px;">Vite + Vanilla</button>
-                        <button id="createExpress" class="btn-primary" style="margin: 5px;">Express Server</button>
-                    </div>
-                    <hr>
-                    <h4>Custom Project</h4>
-                    <input type="text" id="projectName" placeholder="Enter project name..." style="width: 100%; padding: 8px; margin: 10px 0;">
-                </div>
-            `,
+            title: 'Export as Zip',
+            content: exportForm,
             actions: [
-                { text: 'Create Custom', className: 'btn-primary', id: 'createCustomProject' },
-                { text: 'Cancel', className: 'btn-secondary' }
-            ]
-        });
-
-        // Add event listeners for template buttons
-        modal.addEventListener('click', async (e) => {
-            if (e.target.id === 'createVanillaJs') {
-                await this.createProjectTemplate('vanilla-js');
-                ModalHelper.closeModal(modal);
-            } else if (e.target.id === 'createReact') {
-                await this.createProjectTemplate('react');
-                ModalHelper.closeModal(modal);
-            } else if (e.target.id === 'createVite') {
-                await this.createProjectTemplate('vite');
-                ModalHelper.closeModal(modal);
-            } else if (e.target.id === 'createExpress') {
-                await this.createProjectTemplate('express');
-                ModalHelper.closeModal(modal);
-            } else if (e.target.id === 'createCustomProject') {
-                const projectName = modal.querySelector('#projectName').value.trim();
-                if (projectName) {
-                    await this.createCustomProject(projectName);
-                    ModalHelper.closeModal(modal);
-                } else {
-                    this.modules.ui.showErrorNotification('Please enter a project name');
+                { text: 'Cancel', className: 'btn-secondary' },
+                {
+                    text: 'Download',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        const options = {
+                            excludeNodeModules: exportForm.querySelector('#export-exclude-node-modules').checked,
+                            respectGitignore: exportForm.querySelector('#export-respect-gitignore').checked
+                        };
+                        ModalHelper.closeModal(modal);
+                        this.exportDirectory(path, options);
+                    }
                 }
-            }
+            ]
         });
-
         ModalHelper.showModal(modal);
     }
 
     /**
-     * Create project from template
-     * @param {string} template - Template type
+     * Zip a directory and download it
+     * @param {string} path - Directory to export
+     * @param {object} options - { excludeNodeModules, respectGitignore }
      */
-    async createProjectTemplate(template) {
+    async exportDirectory(path, options) {
+        const name = path.split('/').filter(Boolean).pop() || 'workspace';
         try {
-            this.updateLoadingText(`Creating ${template} project...`);
-            await this.modules.github.createProjectFromTemplate(template);
-            this.modules.ui.showSuccessNotification(`${template} project created successfully!`);
+            this.modules.terminal.writeln(`📦 Exporting ${path}...`, 'info');
+            const { bytes, fileCount } = await this.modules.files.exportAsZip(path, options);
+            downloadFile(bytes, `${name}.zip`, 'application/zip');
+            this.modules.terminal.writeln(`✅ Exported ${fileCount} files (${formatBytes(bytes.length)})`, 'success');
+            this.modules.ui.showSuccessNotification(`Downloaded ${name}.zip`);
         } catch (error) {
-            this.modules.ui.showErrorNotification(`Failed to create project: ${error.message}`);
+            this.modules.ui.showErrorNotification(`Export failed: ${error.message}`);
         }
     }
 
     /**
-     * Create custom project
-     * @param {string} name - Project name
+     * Show the cached repositories with their size, and evict one or all of them
      */
-    async createCustomProject(name) {
+    async showRepositoryCacheDialog() {
+        const cache = this.modules.github.cache;
+        let records;
         try {
-            this.updateLoadingText(`Creating ${name} project...`);
-            
-            // Create basic project structure
-            if (this.modules.files) {
-                await this.modules.files.writeFile('package.json', JSON.stringify({
-                    name: name.toLowerCase().replace(/\s+/g, '-'),
-                    version: '1.0.0',
-                    description: `${name} project`,
-                    main: 'index.js',
-                    scripts: {
-                        start: 'node index.js',
-                        dev: 'node index.js'
-                    }
-                }, null, 2));
-
-                await this.modules.files.writeFile('index.js', `console.log('Welcome to ${name}!');`);
-                await this.modules.files.writeFile('README.md', `# ${name}\n\nA new project created with Browser Node.`);
-            }
-            
-            this.modules.ui.showSuccessNotification(`Project "${name}" created successfully!`);
+            records = await cache.list();
         } catch (error) {
-            this.modules.ui.showErrorNotification(`Failed to create project: ${error.message}`);
+            this.modules.ui.showErrorNotification(`Repository cache unavailable: ${error.message}`);
+            return;
         }
+
+        const cacheView = document.createElement('div');
+        const summary = document.createElement('p');
+        const list = document.createElement('div');
+        list.style.cssText = 'max-height: 300px; overflow: auto;';
+        cacheView.appendChild(summary);
+        cacheView.appendChild(list);
+
+        const render = () => {
+            const total = records.reduce((sum, record) => sum + record.size, 0);
+            summary.textContent = records.length > 0
+                ? `${records.length} cached import(s), ${formatBytes(total)}. Least recently used imports are evicted above ${formatBytes(RepositoryCache.MAX_CACHE_BYTES)}.`
+                : 'The cache is empty. Repositories are cached by commit the first time they are loaded.';
+
+            list.innerHTML = '';
+            records.forEach(record => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 6px 0; border-bottom: 1px solid #333;';
+
+                const details = document.createElement('div');
+                details.style.flex = '1';
+                const name = document.createElement('strong');
+                name.textContent = `${record.owner}/${record.repo}`;
+                const meta = document.createElement('small');
+                meta.style.display = 'block';
+                meta.textContent = `${record.host} @ ${record.commitSha.slice(0, 7)}${record.root ? ` (${record.root})` : ''}`
+                    + ` · ${record.fileCount} files · ${formatBytes(record.size)} · last used ${formatDate(record.lastUsedAt)}`;
+                details.appendChild(name);
+                details.appendChild(meta);
+
+                const removeButton = document.createElement('button');
+                removeButton.className = 'btn secondary';
+                removeButton.textContent = 'Evict';
+                removeButton.addEventListener('click', async () => {
+                    try {
+                        await cache.delete(record.key);
+                        records = records.filter(candidate => candidate.key !== record.key);
+                        render();
+                    } catch (error) {
+                        this.modules.ui.showErrorNotification(`Could not evict ${record.owner}/${record.repo}: ${error.message}`);
+                    }
+                });
+
+                row.appendChild(details);
+                row.appendChild(removeButton);
+                list.appendChild(row);
+            });
+        };
+        render();
+
+        const modal = ModalHelper.createModal({
+            title: 'Repository Cache',
+            content: cacheView,
+            size: 'large',
+            actions: [
+                {
+                    text: 'Clear All',
+                    className: 'btn-secondary',
+                    onClick: async () => {
+                        try {
+                            await cache.clear();
+                            records = [];
+                            render();
+                            this.modules.ui.showSuccessNotification('Repository cache cleared');
+                        } catch (error) {
+                            this.modules.ui.showErrorNotification(`Could not clear the cache: ${error.message}`);
+                        }
+                    }
+                },
+                { text: 'Close', className: 'btn-primary' }
+            ]
+        });
+        ModalHelper.showModal(modal);
     }
 
     /**
-     * Setup interactions between modules
+     * Get the key environment variables are stored under: the current project's path
+     * @returns {string} Project path, or '' when no project is loaded
      */
-    setupModuleInteractions() {
-        // WebContainer port changes → Preview Manager
-        document.addEventListener('webContainerPort', (e) => {
-            if (this.modules.preview) {
-                this.modules.preview.handlePortChange(e.detail.port);
-            }
-        });
+    getEnvironmentScope() {
+        return this.modules.github?.getCurrentProject()?.path || '';
+    }
 
-        // File Manager selections → Terminal (cd to directory)
-        document.addEventListener('fileManagerSelection', (e) => {
-            if (e.detail.file?.type === 'directory' && this.modules.terminal) {
-                const command = `cd "${e.detail.file.path}"`;
-                console.log(`Auto-navigating to: ${e.detail.file.path}`);
+    /**
+     * Edit the current project's environment variables, load them from or write them to a .env file,
+     * and optionally start a new terminal session that has them
+     */
+    showEnvironmentDialog() {
+        const project = this.modules.github.getCurrentProject();
+        const scope = this.getEnvironmentScope();
+        let variables = EnvironmentHelper.getProjectVariables(scope).map(variable => ({ ...variable }));
+
+        const environmentView = document.createElement('div');
+        environmentView.innerHTML = `
+            <p class="environment-intro"></p>
+            <div class="environment-list" style="max-height: 300px; overflow: auto;"></div>
+            <button class="btn secondary environment-add" style="margin: 10px 0;">➕ Add Variable</button>
+            <div class="form-group">
+                <label for="environment-file">.env file:</label>
+                <div style="display: flex; gap: 10px; align-items: center; margin: 10px 0;">
+                    <input type="text" id="environment-file" value=".env" style="flex: 1; padding: 8px;">
+                    <button class="btn secondary environment-load">Load from File</button>
+                    <button class="btn secondary environment-write">Write to File</button>
+                </div>
+                <small>Loading merges the file's variables into the list; writing replaces the file with the list.</small>
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" id="environment-restart-shell"> Start a new terminal session with these variables</label>
+            </div>
+        `;
+        environmentView.querySelector('.environment-intro').textContent = `Variables for ${project ? project.name : 'the workspace'}. `
+            + 'They are added to processes started by the app and to new terminal sessions; values of secrets are masked.';
+        const list = environmentView.querySelector('.environment-list');
+        const fileInput = environmentView.querySelector('#environment-file');
+        const getFilePath = () => `${project?.path || ''}/${fileInput.value.trim().replace(/^\/+/, '')}`;
+
+        const render = () => {
+            list.innerHTML = '';
+            if (variables.length === 0) {
+                list.innerHTML = '<p><small>No variables yet.</small></p>';
+            }
+
+            variables.forEach((variable, index) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display: flex; gap: 8px; align-items: center; padding: 4px 0;';
+
+                const nameInput = document.createElement('input');
+                nameInput.type = 'text';
+                nameInput.placeholder = 'NAME';
+                nameInput.value = variable.name;
+                nameInput.style.cssText = 'flex: 1; padding: 6px; font-family: monospace;';
+                nameInput.addEventListener('input', () => {
+                    variable.name = nameInput.value.trim();
+                });
+
+                const valueInput = document.createElement('input');
+                valueInput.type = variable.secret ? 'password' : 'text';
+                valueInput.placeholder = 'value';
+                valueInput.value = variable.value;
+                valueInput.autocomplete = 'off';
+                valueInput.style.cssText = 'flex: 2; padding: 6px; font-family: monospace;';
+                valueInput.addEventListener('input', () => {
+                    variable.value = valueInput.value;
+                });
+
+                const secretLabel = document.createElement('label');
+                secretLabel.title = 'Mask the value';
+                const secretInput = document.createElement('input');
+                secretInput.type = 'checkbox';
+                secretInput.checked = !!variable.secret;
+                secretInput.addEventListener('change', () => {
+                    variable.secret = secretInput.checked;
+                    valueInput.type = variable.secret ? 'password' : 'text';
+                });
+                secretLabel.append(secretInput, ' Secret');
+
+                const removeButton = document.createElement('button');
+                removeButton.className = 'btn secondary';
+                removeButton.textContent = '✕';
+                removeButton.title = 'Remove';
+                removeButton.addEventListener('click', () => {
+                    variables.splice(index, 1);
+                    render();
+                });
+
+                row.append(nameInput, valueInput, secretLabel, removeButton);
+                list.appendChild(row);
+            });
+        };
+        render();
+
+        // Rows left without a name are dropped
+        const getVariables = () => variables.filter(variable => variable.name);
+
+        environmentView.querySelector('.environment-add').addEventListener('click', () => {
+            variables.push({ name: '', value: '', secret: false });
+            render();
+            list.lastElementChild?.querySelector('input')?.focus();
+        });
+
+        environmentView.querySelector('.environment-load').addEventListener('click', async () => {
+            const path = getFilePath();
+            try {
+                if (!await this.modules.webContainer.fileExists(path)) {
+                    this.modules.ui.showErrorNotification(`${path} does not exist`);
+                    return;
+                }
+                const loaded = EnvironmentHelper.parseDotEnv(await this.modules.webContainer.readFile(path));
+                const byName = new Map(getVariables().map(variable => [variable.name, variable]));
+                loaded.forEach(variable => byName.set(variable.name, { ...variable, secret: byName.get(variable.name)?.secret || variable.secret }));
+                variables = [...byName.values()];
+                render();
+                this.modules.ui.showSuccessNotification(`Loaded ${loaded.length} variable(s) from ${path}`);
+            } catch (error) {
+                this.modules.ui.showErrorNotification(`Could not read ${path}: ${error.message}`);
+            }
+        });
+
+        environmentView.querySelector('.environment-write').addEventListener('click', async () => {
+            const path = getFilePath();
+            const invalid = getVariables().find(variable => !EnvironmentHelper.isValidName(variable.name));
+            if (invalid) {
+                this.modules.ui.showErrorNotification(`Invalid variable name "${invalid.name}"`);
+                return;
+            }
+            try {
+                await this.modules.webContainer.writeFile(path, EnvironmentHelper.serializeDotEnv(getVariables()));
+                this.modules.ui.showSuccessNotification(`Wrote ${getVariables().length} variable(s) to ${path}`);
+            } catch (error) {
+                this.modules.ui.showErrorNotification(`Could not write ${path}: ${error.message}`);
+            }
+        });
+
+        const modal = ModalHelper.createModal({
+            title: 'Environment Variables',
+            content: environmentView,
+            size: 'large',
+            actions: [
+                { text: 'Cancel', className: 'btn-secondary' },
+                {
+                    text: 'Save',
+                    className: 'btn-primary',
+                    onClick: async () => {
+                        try {
+                            EnvironmentHelper.saveProjectVariables(scope, getVariables());
+                        } catch (error) {
+                            this.modules.ui.showErrorNotification(error.message);
+                            return;
+                        }
+                        ModalHelper.closeModal(modal);
+
+                        if (environmentView.querySelector('#environment-restart-shell').checked) {
+                            const webcontainerInstance = this.modules.webContainer.getInstance();
+                            await this.modules.terminal.restartShell(webcontainerInstance, this.modules.webContainer.getEnvironment());
+                            if (project) {
+                                this.modules.terminal.runCommand(`cd "${webcontainerInstance.workdir || ''}${project.path}"`);
+                            }
+                        }
+                        this.modules.ui.showSuccessNotification(`Saved ${getVariables().length} environment variable(s)`);
+                    }
+                }
+            ]
+        });
+        ModalHelper.showModal(modal);
+    }
+
+    /**
+     * Show the processes spawned in the WebContainer with their output, and kill, restart or remove them.
+     * The list follows processesChanged while the dialog is open.
+     */
+    showProcessesDialog() {
+        const processes = this.modules.webContainer.processes;
+        if (!processes) {
+            this.modules.ui.showErrorNotification('WebContainer not initialized');
+            return;
+        }
+
+        const processesView = document.createElement('div');
+        const summary = document.createElement('p');
+        const list = document.createElement('div');
+        list.style.cssText = 'max-height: 400px; overflow: auto;';
+        processesView.appendChild(summary);
+        processesView.appendChild(list);
+        // Processes whose output is shown
+        const expanded = new Set();
+
+        const formatStatus = (info) => {
+            if (info.status === 'running') return '🟢 running';
+            if (info.status === 'killed') return '⛔ killed';
+            return info.exitCode === 0 ? '✅ exited (0)' : `❌ exited (${info.exitCode ?? '?'})`;
+        };
+
+        const render = () => {
+            const infos = processes.list().reverse();
+            summary.textContent = infos.length > 0
+                ? `${infos.filter(info => info.status === 'running').length} running, ${infos.length} total. The terminal shell is not listed.`
+                : 'No processes have been started yet. Processes spawned by the app (dev servers, installs, tools) appear here.';
+
+            list.innerHTML = '';
+            infos.forEach(info => {
+                const row = document.createElement('div');
+                row.style.cssText = 'padding: 6px 0; border-bottom: 1px solid #333;';
+
+                const header = document.createElement('div');
+                header.style.cssText = 'display: flex; align-items: center; gap: 10px;';
+
+                const details = document.createElement('div');
+                details.style.flex = '1';
+                const name = document.createElement('code');
+                name.textContent = info.label;
+                const meta = document.createElement('small');
+                meta.style.display = 'block';
+                meta.textContent = `#${info.id} · ${formatStatus(info)} · ${info.cwd} · started ${formatDate(info.startedAt)}`;
+                details.appendChild(name);
+                details.appendChild(meta);
+                header.appendChild(details);
+
+                const addButton = (text, onClick) => {
+                    const button = document.createElement('button');
+                    button.className = 'btn secondary';
+                    button.textContent = text;
+                    button.addEventListener('click', onClick);
+                    header.appendChild(button);
+                };
+
+                addButton(expanded.has(info.id) ? 'Hide Output' : 'Output', () => {
+                    expanded.has(info.id) ? expanded.delete(info.id) : expanded.add(info.id);
+                    render();
+                });
+                if (info.status === 'running') {
+                    addButton('Kill', () => processes.kill(info.id));
+                }
+                addButton('Restart', async () => {
+                    try {
+                        await processes.restart(info.id);
+                    } catch (error) {
+                        this.modules.ui.showErrorNotification(`Could not restart ${info.label}: ${error.message}`);
+                    }
+                });
+                if (info.status !== 'running') {
+                    addButton('Remove', () => processes.remove(info.id));
+                }
+                row.appendChild(header);
+
+                if (expanded.has(info.id)) {
+                    const output = document.createElement('pre');
+                    output.style.cssText = 'max-height: 200px; overflow: auto; margin: 6px 0 0; padding: 8px; background: #1e1e1e; font-size: 12px; white-space: pre-wrap;';
+                    output.textContent = TerminalHelper.stripAnsiCodes(processes.getOutput(info.id)) || '(no output)';
+                    row.appendChild(output);
+                    output.scrollTop = output.scrollHeight;
+                }
+
+                list.appendChild(row);
+            });
+        };
+        render();
+
+        const modal = ModalHelper.createModal({
+            title: 'Processes',
+            content: processesView,
+            size: 'large',
+            actions: [
+                {
+                    text: 'Clear Finished',
+                    className: 'btn-secondary',
+                    onClick: () => processes.clearFinished()
+                },
+                { text: 'Close', className: 'btn-primary' }
+            ]
+        });
+
+        // Follow process changes until the dialog is closed
+        const onProcessesChanged = () => {
+            if (!document.body.contains(modal)) {
+                document.removeEventListener('processesChanged', onProcessesChanged);
+                return;
+            }
+            render();
+        };
+        document.addEventListener('processesChanged', onProcessesChanged);
+        ModalHelper.showModal(modal);
+    }
+
+    /**
+     * Show the packages of a monorepo and let the user pick the one to run
+     * @param {object} workspaces - { tools, packages } from GitHubRepository.detectWorkspaces
+     */
+    showWorkspacePackagesDialog(workspaces) {
+        const project = this.modules.github.getCurrentProject();
+        const packagesView = document.createElement('div');
+
+        const intro = document.createElement('p');
+        intro.textContent = workspaces.packages.length > 0
+            ? `This repository is a monorepo (${workspaces.tools.join(', ')}). Pick the package to run; the terminal and preview switch to it.`
+            : `This repository uses ${workspaces.tools.join(', ')}, but no workspace packages were found.`;
+        packagesView.appendChild(intro);
+
+        const list = document.createElement('div');
+        list.style.cssText = 'max-height: 300px; overflow: auto;';
+        workspaces.packages.forEach(pkg => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display: flex; align-items: center; gap: 10px; padding: 6px 0; border-bottom: 1px solid #333;';
+
+            const details = document.createElement('div');
+            details.style.flex = '1';
+            const name = document.createElement('strong');
+            name.textContent = pkg.name;
+            const meta = document.createElement('small');
+            meta.style.display = 'block';
+            meta.textContent = `${pkg.path} · ${pkg.type}${pkg.port ? ` · port ${pkg.port}` : ''} · ${pkg.devCommand}`;
+            details.appendChild(name);
+            details.appendChild(meta);
+
+            const runButton = document.createElement('button');
+            runButton.className = 'btn secondary';
+            runButton.textContent = project?.activePackage === pkg.path ? 'Active' : 'Use';
+            runButton.disabled = project?.activePackage === pkg.path;
+            runButton.addEventListener('click', () => {
+                this.selectWorkspacePackage(pkg);
+                ModalHelper.closeModal(modal);
+            });
+
+            row.appendChild(details);
+            row.appendChild(runButton);
+            list.appendChild(row);
+        });
+        packagesView.appendChild(list);
+
+        const modal = ModalHelper.createModal({
+            title: 'Workspace Packages',
+            content: packagesView,
+            size: 'large',
+            actions: [
+                { text: 'Close', className: 'btn-primary' }
+            ]
+        });
+        ModalHelper.showModal(modal);
+    }
+
+    /**
+     * Switch the terminal and preview to a workspace package
+     * @param {object} pkg - Package from GitHubRepository.detectWorkspaces
+     */
+    selectWorkspacePackage(pkg) {
+        const project = this.modules.github.getCurrentProject();
+        if (!project) return;
+
+        project.activePackage = pkg.path;
+
+        // The shell starts in the WebContainer workdir, which is where project paths are rooted
+        const workdir = this.modules.webContainer.getInstance()?.workdir || '';
+        this.modules.terminal.runCommand(`cd "${workdir}${project.path}/${pkg.path}"`);
+
+        this.modules.terminal.writeln(`📦 Using ${pkg.name} (${pkg.type})`, 'success');
+        this.modules.terminal.writeln(`💡 Install dependencies from the repository root first (${ProjectDetector.getInstallCommand(project.packageManager)}), then run:`);
+        this.modules.terminal.writeln(`   ${pkg.devCommand}`);
+
+        if (pkg.port) {
+            // Previews the package's server now if it is running, or as soon as it starts
+            this.modules.preview.handlePortChange(pkg.port, this.modules.webContainer.ports?.getUrl(pkg.port));
+        }
+        this.modules.ui.showSuccessNotification(`Switched to ${pkg.name}`);
+    }
+
+    /**
+     * Show packages and engine requirements of the project that WebContainer may not support
+     * @param {object} report - Report from GitHubRepository.analyzeCompatibility
+     */
+    showCompatibilityReportDialog(report) {
+        const reportView = document.createElement('div');
+
+        const summary = document.createElement('p');
+        const checked = [report.lockfile ? `package.json and ${report.lockfile}` : 'package.json (no lockfile found)'];
+        if (report.nodeVersion) {
+            checked.push(`Node.js ${report.nodeVersion}`);
+        }
+        summary.textContent = report.issues.length > 0
+            ? `Checked ${checked.join(' against ')}. These may fail in WebContainer, which cannot build or run native binaries; review them before installing dependencies.`
+            : `Checked ${checked.join(' against ')}. No known compatibility issues were found.`;
+        reportView.appendChild(summary);
+
+        const list = document.createElement('div');
+        list.style.cssText = 'max-height: 300px; overflow: auto;';
+        report.issues.forEach(issue => {
+            const row = document.createElement('div');
+            row.style.cssText = 'padding: 6px 0; border-bottom: 1px solid #333;';
+
+            const name = document.createElement('strong');
+            name.textContent = `${issue.severity === 'error' ? '❌' : '⚠️'} ${issue.name}`;
+            const reason = document.createElement('small');
+            reason.style.display = 'block';
+            reason.textContent = `${issue.reason} · from ${issue.source}`;
+            row.appendChild(name);
+            row.appendChild(reason);
+
+            if (issue.alternative !== 'none') {
+                const alternative = document.createElement('small');
+                alternative.style.display = 'block';
+                alternative.textContent = `Alternative: ${issue.alternative}`;
+                row.appendChild(alternative);
+            }
+
+            list.appendChild(row);
+        });
+        reportView.appendChild(list);
+
+        const modal = ModalHelper.createModal({
+            title: 'WebContainer Compatibility',
+            content: reportView,
+            size: 'large',
+            actions: [
+                { text: 'Close', className: 'btn-primary' }
+            ]
+        });
+        ModalHelper.showModal(modal);
+    }
+
+    /**
+     * Check that workspace changes can be pushed and collect them
+     * @returns {Promise<Array|null>} Workspace changes, or null if there is nothing to push
+     */
+    async getPushableChanges() {
+        const project = this.modules.github.getCurrentProject();
+        if (!project) {
+            this.modules.ui.showErrorNotification('Load a GitHub repository first');
+            return null;
+        }
+        if (project.gist) {
+            this.modules.ui.showWarningNotification('Gists have no branches; use Save Gist instead');
+            return null;
+        }
+        if (project.provider !== 'github') {
+            this.modules.ui.showWarningNotification('Committing is only supported for GitHub repositories');
+            return null;
+        }
+
+        if (!GitHubAuthHelper.getToken()) {
+            this.modules.ui.showErrorNotification('Add a GitHub access token with write access to commit');
+            this.showGitHubSettingsDialog();
+            return null;
+        }
+
+        let changes;
+        try {
+            changes = await this.modules.github.getWorkspaceChanges();
+        } catch (error) {
+            this.modules.ui.showErrorNotification(`Could not compare workspace: ${error.message}`);
+            return null;
+        }
+
+        if (changes.length === 0) {
+            this.modules.ui.showSuccessNotification('No changes to commit');
+            return null;
+        }
+
+        return changes;
+    }
+
+    /**
+     * Create a checkbox list of changed files
+     * @param {Array} changes - Workspace changes from GitHubRepository.getWorkspaceChanges
+     * @returns {HTMLElement} File list; checked inputs carry the selected paths
+     */
+    createChangedFilesList(changes) {
+        const statusLabels = { added: 'A', modified: 'M', deleted: 'D' };
+        const fileList = document.createElement('div');
+        fileList.className = 'changed-files';
+        fileList.style.cssText = 'max-height: 200px; overflow: auto; font-family: monospace; margin: 10px 0;';
+
+        changes.forEach(change => {
+            const label = document.createElement('label');
+            label.style.display = 'block';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = change.path;
+            // Import enhancements are left out unless picked explicitly
+            checkbox.checked = !change.enhanced;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(
+                ` ${statusLabels[change.status]} ${change.path}${change.enhanced ? ' (import enhancement)' : ''}`
+            ));
+            fileList.appendChild(label);
+        });
+
+        return fileList;
+    }
+
+    /**
+     * Check a branch name against git's basic ref naming rules
+     * @param {string} branch - Branch name
+     * @returns {boolean} Is valid
+     */
+    isValidBranchName(branch) {
+        return /^(?!\/|.*\/\/|.*\.\.|.*\/$)[\w.\-\/]+$/.test(branch);
+    }
+
+    /**
+     * Show dialog for committing workspace changes back to GitHub
+     */
+    async showCommitDialog() {
+        const changes = await this.getPushableChanges();
+        if (!changes) return;
+
+        const project = this.modules.github.getCurrentProject();
+        // Tags and commits cannot be moved by a commit, so those need a new branch
+        let onBranch;
+        try {
+            onBranch = await this.modules.github.isOnBranch();
+        } catch (error) {
+            console.warn('Could not check whether the loaded ref is a branch:', error);
+            onBranch = false;
+        }
+        const commitForm = document.createElement('div');
+        commitForm.innerHTML = `
+            <div class="form-group commit-files">
+                <label>Changed files:</label>
+            </div>
+            <div class="form-group">
+                <label for="commit-message">Commit message:</label>
+                <textarea id="commit-message" rows="3" style="width: 100%; padding: 8px; margin: 10px 0;" placeholder="Describe your changes"></textarea>
+            </div>
+            <div class="form-group">
+                <label style="display: block;">
+                    <input type="radio" name="commit-target" value="current" ${onBranch ? 'checked' : 'disabled'}>
+                    Commit to <strong class="current-branch"></strong>
+                </label>
+                <label style="display: block;">
+                    <input type="radio" name="commit-target" value="new" ${onBranch ? '' : 'checked'}>
+                    Create a new branch:
+                </label>
+                <input type="text" id="new-branch" style="width: 100%; padding: 8px; margin: 10px 0;">
+            </div>
+        `;
+
+        commitForm.querySelector('.current-branch').textContent = onBranch
+            ? project.ref
+            : `${project.ref} (${isCommitSha(project.ref) ? 'detached commit' : 'not a branch'})`;
+        commitForm.querySelector('#new-branch').value = `browser-node-${Date.now().toString(36)}`;
+
+        const fileList = this.createChangedFilesList(changes);
+        commitForm.querySelector('.commit-files').appendChild(fileList);
+
+        const modal = ModalHelper.createModal({
+            title: `Commit to ${project.owner}/${project.name}`,
+            content: commitForm,
+            actions: [
+                { text: 'Cancel', className: 'btn-secondary' },
+                {
+                    text: 'Commit',
+                    className: 'btn-primary',
+                    onClick: async () => {
+                        const message = commitForm.querySelector('#commit-message').value.trim();
+                        const paths = [...fileList.querySelectorAll('input:checked')].map(input => input.value);
+                        const createBranch = commitForm.querySelector('input[name="commit-target"]:checked')?.value === 'new';
+                        const branch = createBranch ? commitForm.querySelector('#new-branch').value.trim() : project.ref;
+
+                        if (!message) {
+                            this.modules.ui.showErrorNotification('Enter a commit message');
+                            return;
+                        }
+                        if (paths.length === 0) {
+                            this.modules.ui.showErrorNotification('Select at least one file');
+                            return;
+                        }
+                        if (!this.isValidBranchName(branch)) {
+                            this.modules.ui.showErrorNotification(`Invalid branch name: ${branch}`);
+                            return;
+                        }
+
+                        try {
+                            const result = await this.modules.github.commitChanges({ message, branch, createBranch, paths });
+                            ModalHelper.closeModal(modal);
+                            this.saveLastRepository(this.modules.github.getCurrentProject());
+                            this.modules.ui.showSuccessNotification(`Committed ${result.commitSha.slice(0, 7)} to ${result.branch}`);
+                        } catch (error) {
+                            console.error('Commit failed:', error);
+                            this.modules.ui.showErrorNotification(`Commit failed: ${error.message}`);
+                        }
+                    }
+                }
+            ]
+        });
+        ModalHelper.showModal(modal);
+    }
+
+    /**
+     * Show dialog for opening a pull request with the workspace changes
+     */
+    async showPullRequestDialog() {
+        const changes = await this.getPushableChanges();
+        if (!changes) return;
+
+        const project = this.modules.github.getCurrentProject();
+        const base = project.repoData?.default_branch || 'main';
+        const prForm = document.createElement('div');
+        prForm.innerHTML = `
+            <div class="form-group pr-files">
+                <label>Changed files:</label>
+            </div>
+            <div class="form-group">
+                <label for="pr-title">Title:</label>
+                <input type="text" id="pr-title" style="width: 100%; padding: 8px; margin: 10px 0;">
+            </div>
+            <div class="form-group">
+                <label for="pr-body">Description:</label>
+                <textarea id="pr-body" rows="5" style="width: 100%; padding: 8px; margin: 10px 0;"></textarea>
+            </div>
+            <div class="form-group">
+                <label for="pr-branch">New branch:</label>
+                <input type="text" id="pr-branch" style="width: 100%; padding: 8px; margin: 10px 0;">
+                <small class="pr-base"></small>
+            </div>
+        `;
+
+        const fileList = this.createChangedFilesList(changes);
+        prForm.querySelector('.pr-files').appendChild(fileList);
+        prForm.querySelector('#pr-branch').value = `browser-node-${Date.now().toString(36)}`;
+        prForm.querySelector('.pr-base').textContent = `The pull request will target ${base}.`;
+
+        const modal = ModalHelper.createModal({
+            title: `Open Pull Request on ${project.owner}/${project.name}`,
+            content: prForm,
+            actions: [
+                { text: 'Cancel', className: 'btn-secondary' },
+                {
+                    text: 'Open Pull Request',
+                    className: 'btn-primary',
+                    onClick: async () => {
+                        const title = prForm.querySelector('#pr-title').value.trim();
+                        const body = prForm.querySelector('#pr-body').value.trim();
+                        const branch = prForm.querySelector('#pr-branch').value.trim();
+                        const paths = [...fileList.querySelectorAll('input:checked')].map(input => input.value);
+
+                        if (!title) {
+                            this.modules.ui.showErrorNotification('Enter a pull request title');
+                            return;
+                        }
+                        if (paths.length === 0) {
+                            this.modules.ui.showErrorNotification('Select at least one file');
+                            return;
+                        }
+                        if (!this.isValidBranchName(branch)) {
+                            this.modules.ui.showErrorNotification(`Invalid branch name: ${branch}`);
+                            return;
+                        }
+
+                        try {
+                            const pullRequest = await this.modules.github.openPullRequest({ title, body, branch, paths });
+                            ModalHelper.closeModal(modal);
+                            this.saveLastRepository(this.modules.github.getCurrentProject());
+                            this.modules.ui.showLinkNotification(
+                                `Opened pull request #${pullRequest.number}`,
+                                pullRequest.url,
+                                'View on GitHub'
+                            );
+                        } catch (error) {
+                            console.error('Opening pull request failed:', error);
+                            this.modules.ui.showErrorNotification(`Could not open pull request: ${error.message}`);
+                        }
+                    }
+                }
+            ]
+        });
+        ModalHelper.showModal(modal);
+    }
+
+    /**
+     * Show the files changed by a loaded pull request with their diffs against the base branch
+     * @param {object} pullRequest - Pull request info from GitHubRepository
+     */
+    showPullRequestFilesDialog(pullRequest) {
+        const content = document.createElement('div');
+        const intro = document.createElement('p');
+        const author = pullRequest.author ? ` by ${pullRequest.author}` : '';
+        intro.textContent = `${pullRequest.title}${author}: ${pullRequest.headRef} → ${pullRequest.baseRef}, ${pullRequest.files.length} files changed. The workspace has the head of the pull request checked out.`;
+        content.appendChild(intro);
+        content.appendChild(DiffViewHelper.createPatchView(pullRequest.files));
+
+        const modal = ModalHelper.createModal({
+            title: `Pull Request #${pullRequest.number}`,
+            content,
+            size: 'large',
+            actions: [
+                { text: 'Open on GitHub', className: 'btn-secondary', onClick: () => window.open(pullRequest.url, '_blank', 'noopener') },
+                { text: 'Close', className: 'btn-primary' }
+            ]
+        });
+        ModalHelper.showModal(modal);
+    }
+
+    /**
+     * Show the changes an enhanced import made to the repository files, with the option to revert them
+     */
+    showImportChangesDialog() {
+        const changes = this.modules.github.getEnhancements();
+        const files = changes.filter(change => change.type === 'file');
+        const directories = changes.filter(change => change.type === 'directory');
+
+        const content = document.createElement('div');
+        const intro = document.createElement('p');
+        intro.textContent = 'The enhanced import changed these files so the project can run. Revert to get the repository exactly as committed.';
+        content.appendChild(intro);
+        content.appendChild(DiffViewHelper.createDiffView(files, { emptyMessage: 'No files were changed' }));
+
+        if (directories.length > 0) {
+            const directoryNote = document.createElement('p');
+            directoryNote.textContent = `Created directories: ${directories.map(change => change.path).join(', ')}`;
+            content.appendChild(directoryNote);
+        }
+
+        const modal = ModalHelper.createModal({
+            title: 'Import Changes',
+            content,
+            size: 'large',
+            actions: [
+                { text: 'Close', className: 'btn-secondary' },
+                {
+                    text: 'Revert All',
+                    className: 'btn-primary',
+                    onClick: async () => {
+                        ModalHelper.closeModal(modal);
+                        const reverted = await this.modules.github.revertEnhancements();
+                        if (this.modules.files) {
+                            await this.modules.files.refreshFiles();
+                        }
+                        this.modules.ui.showSuccessNotification(`Reverted ${reverted} import change(s)`);
+                    }
+                }
+            ]
+        });
+        ModalHelper.showModal(modal);
+    }
+
+    /**
+     * Show dialog for saving the workspace as a new gist or updating the loaded gist
+     */
+    showSaveGistDialog() {
+        const project = this.modules.github.getCurrentProject();
+        if (!project) {
+            this.modules.ui.showErrorNotification('Load a repository or gist first');
+            return;
+        }
+
+        if (!GitHubAuthHelper.getToken()) {
+            this.modules.ui.showErrorNotification('Add a GitHub access token with the "gist" scope to save gists');
+            this.showGitHubSettingsDialog();
+            return;
+        }
+
+        const gist = project.gist;
+        const gistForm = document.createElement('div');
+        gistForm.innerHTML = `
+            <div class="form-group">
+                <label for="gist-description">Description:</label>
+                <input type="text" id="gist-description" style="width: 100%; padding: 8px; margin: 10px 0;">
+            </div>
+            <div class="form-group" ${gist ? '' : 'style="display: none;"'}>
+                <label style="display: block;">
+                    <input type="radio" name="gist-target" value="update" ${gist ? 'checked' : 'disabled'}>
+                    Update this gist with changed files
+                </label>
+                <label style="display: block;">
+                    <input type="radio" name="gist-target" value="new" ${gist ? '' : 'checked'}>
+                    Save as a new gist
+                </label>
+            </div>
+            <div class="form-group">
+                <label>
+                    <input type="checkbox" id="gist-public">
+                    Public (new gists only; secret gists are still visible to anyone with the link)
+                </label>
+            </div>
+            <p><small>Gists have no folders, so only files in the project root are saved.</small></p>
+        `;
+
+        gistForm.querySelector('#gist-description').value = gist ? gist.description : project.name;
+
+        const modal = ModalHelper.createModal({
+            title: gist ? `Save Gist ${gist.id.slice(0, 8)}` : 'Save as Gist',
+            content: gistForm,
+            actions: [
+                { text: 'Cancel', className: 'btn-secondary' },
+                {
+                    text: 'Save',
+                    className: 'btn-primary',
+                    onClick: async () => {
+                        const createNew = gistForm.querySelector('input[name="gist-target"]:checked')?.value === 'new';
+
+                        try {
+                            const result = await this.modules.github.saveGist({
+                                description: gistForm.querySelector('#gist-description').value.trim(),
+                                public: gistForm.querySelector('#gist-public').checked,
+                                createNew
+                            });
+                            ModalHelper.closeModal(modal);
+                            if (project.gist) {
+                                this.saveLastRepository(project);
+                            }
+                            this.modules.ui.showLinkNotification(
+                                `${result.created ? 'Created' : 'Updated'} gist with ${result.files} file(s)`,
+                                result.url,
+                                'View gist'
+                            );
+                        } catch (error) {
+                            console.error('Saving gist failed:', error);
+                            this.modules.ui.showErrorNotification(`Saving gist failed: ${error.message}`);
+                        }
+                    }
+                }
+            ]
+        });
+        ModalHelper.showModal(modal);
+    }
+
+    /**
+     * Show or hide the Import Changes button
+     * @param {Array} enhancements - Recorded import enhancements
+     */
+    updateImportChangesButton(enhancements) {
+        const importChangesBtn = document.getElementById('importChangesBtn');
+        if (importChangesBtn) {
+            importChangesBtn.style.display = enhancements.length > 0 ? '' : 'none';
+            importChangesBtn.textContent = `✨ Import Changes (${enhancements.length})`;
+        }
+    }
+
+    /**
+     * Show the GitHub API rate limit in the header
+     * @param {object|null} rateLimit - Rate limit from GitHubAuthHelper, or null to clear
+     */
+    updateRateLimitDisplay(rateLimit) {
+        const rateLimitElement = document.getElementById('githubRateLimit');
+        if (!rateLimitElement) return;
+
+        if (!rateLimit) {
+            rateLimitElement.textContent = '';
+            return;
+        }
+
+        const icon = rateLimit.authenticated ? '🔑' : '🌐';
+        rateLimitElement.textContent = `${icon} ${GitHubAuthHelper.formatRateLimit()}`;
+        rateLimitElement.style.color = rateLimit.remaining < 10 ? '#e74c3c' : '#999';
+    }
+
+    /**
+     * Remember the loaded repository with the ref and subdirectory that were loaded. Share links
+     * keep the ref (e.g. the branch); reloads use the commit it resolved to, so they get the same revision
+     * @param {object} project - Project returned by GitHubRepository.loadRepository
+     * @param {string} fallbackUrl - URL the user entered
+     */
+    saveLastRepository(project, fallbackUrl) {
+        let url = project?.url || fallbackUrl;
+        let ref = project?.ref || null;
+
+        // A reload loads the pinned commit; share links keep the ref that was loaded originally
+        const previous = JSON.parse(localStorage.getItem('lastRepository') || 'null');
+        if (previous?.pinnedUrl && project?.commitSha && previous.commitSha === project.commitSha && ref === project.commitSha) {
+            url = previous.url;
+            ref = previous.ref;
+        }
+
+        localStorage.setItem('lastRepository', JSON.stringify({
+            url,
+            pinnedUrl: this.getPinnedRepositoryUrl(project),
+            name: project?.name || this.extractRepoName(url),
+            ref,
+            commitSha: project?.commitSha || null,
+            subpath: project?.subpath || '',
+            gistId: project?.gist?.id || null,
+            npmSpec: project?.npm ? `${project.npm.name}@${project.npm.version}` : null,
+            timestamp: Date.now()
+        }));
+    }
+
+    /**
+     * Get the URL of the exact commit a repository project was loaded at
+     * @param {object} project - Project returned by GitHubRepository.loadRepository
+     * @returns {string|null} URL with the commit SHA as ref, or null if the project is not pinned to a
+     *   commit (pull requests follow their head, gists and npm packages have their own versions)
+     */
+    getPinnedRepositoryUrl(project) {
+        if (!project?.commitSha || !project.url || project.pullRequest || project.gist || project.npm) {
+            return null;
+        }
+        const provider = RepositoryProviderHelper.findProvider(project.url);
+        return provider ? provider.generateUrl(project.owner, project.name, project.commitSha, project.subpath) : null;
+    }
+
+    /**
+     * Handle sharing functionality
+     */
+    handleShare() {
+        const lastRepo = localStorage.getItem('lastRepository');
+        let shareUrl = window.location.origin + window.location.pathname;
+
+        if (lastRepo) {
+            const repoData = JSON.parse(lastRepo);
+            if (repoData.npmSpec) {
+                shareUrl += `?npm=${encodeURIComponent(repoData.npmSpec)}`;
+            } else {
+                shareUrl += repoData.gistId
+                    ? `?gist=${encodeURIComponent(repoData.gistId)}`
+                    : `?repo=${encodeURIComponent(repoData.url)}`;
             }
+            
+            // Add current command if available
+            // const currentCommand = this.getCurrentCommand();
+            // if (currentCommand) {
+            //     shareUrl += `&cmd=${encodeURIComponent(currentCommand)}`;
+            // }
+        }
+
+        // Copy to clipboard
+        navigator.clipboard.writeText(shareUrl).then(() => {
+            this.modules.ui.showSuccessNotification('Share link copied to clipboard! 📋');
+        }).catch(() => {
+            // Fallback: show the URL in a modal
+            const modal = ModalHelper.createModal({
+                title: 'Share This Project',
+                content: `
+                    <div>
+                        <p>Share this link to let others access your project:</p>
+                        <input type="text" value="${shareUrl}" readonly style="width: 100%; padding: 8px; margin: 10px 0;">
+                        <p><small>Copy the URL above to share your current project setup.</small></p>
+                    </div>
+                `,
+                actions: [
+                    { text: 'Close', className: 'btn-primary' }
+                ]
+            });
+            ModalHelper.showModal(modal);
         });
+    }
 
-        // Terminal server detection → Preview Manager
-        document.addEventListener('serverDetected', (e) => {
-            if (this.modules.preview && e.detail.port) {
-                const url = `http://localhost:${e.detail.port}`;
-                this.modules.preview.updatePreview(url);
-                this.modules.ui.showSuccessNotification(`Server detected on port ${e.detail.port}`);
+    /**
+     * Preview a server running in the WebContainer, cycling through them when there are several
+     */
+    testForRunningServer() {
+        const servers = this.modules.webContainer.ports?.list() || [];
+        if (servers.length === 0) {
+            this.modules.ui.showWarningNotification('No development server detected. Try running "npm start" or "npm run dev" first.');
+            return;
+        }
+
+        const current = servers.findIndex(server => server.port === this.modules.preview.serverPort);
+        const server = servers[(current + 1) % servers.length];
+        this.modules.preview.handlePortChange(server.port, server.url);
+        this.modules.ui.showSuccessNotification(`Previewing port ${server.port}${servers.length > 1 ? ` (${servers.length} servers running)` : ''}`);
+    }
+
+    /**
+     * Extract repository name from GitHub URL
+     * @param {string} githubUrl - GitHub repository URL
+     * @returns {string} Repository name
+     */
+    extractRepoName(githubUrl) {
+        const match = githubUrl.match(/github\.com\/[^\/]+\/([^\/]+)/);
+        return match ? match[1].replace('.git', '') : 'repository';
+    }
+
+    /**
+     * Show create project dialog
+     */
+    showCreateProjectDialog() {
+        const modal = ModalHelper.createModal({
+            title: 'Create New Project',
+            content: `
+                <div>
+                    <h3>Project Templates</h3>
+                    <div style="margin: 20px 0;">
+                        <button id="createVanillaJs" class="btn-primary" style="margin: 5px;">Vanilla JavaScript</button>
+                        <button id="createReact" class="btn-primary" style="margin: 5px;">React App</button>
+                        <button id="createVite" class="btn-primary" style="margin: 5px;">Vite + Vanilla</button>
+                        <button id="createExpress" class="btn-primary" style="margin: 5px;">Express Server</button>
+                    </div>
+                    <hr>
+                    <h4>Custom Project</h4>
+                    <input type="text" id="projectName" placeholder="Enter project name..." style="width: 100%; padding: 8px; margin: 10px 0;">
+                </div>
+            `,
+            actions: [
+                { text: 'Create Custom', className: 'btn-primary', id: 'createCustomProject' },
+                { text: 'Cancel', className: 'btn-secondary' }
+            ]
+        });
+
+        // Add event listeners for template buttons
+        modal.addEventListener('click', async (e) => {
+            if (e.target.id === 'createVanillaJs') {
+                await this.createProjectTemplate('vanilla-js');
+                ModalHelper.closeModal(modal);
+            } else if (e.target.id === 'createReact') {
+                await this.createProjectTemplate('react');
+                ModalHelper.closeModal(modal);
+            } else if (e.target.id === 'createVite') {
+                await this.createProjectTemplate('vite');
+                ModalHelper.closeModal(modal);
+            } else if (e.target.id === 'createExpress') {
+                await this.createProjectTemplate('express');
+                ModalHelper.closeModal(modal);
+            } else if (e.target.id === 'createCustomProject') {
+                const projectName = modal.querySelector('#projectName').value.trim();
+                if (projectName) {
+                    await this.createCustomProject(projectName);
+                    ModalHelper.closeModal(modal);
+                } else {
+                    this.modules.ui.showErrorNotification('Please enter a project name');
+                }
             }
         });
 
-        // GitHub repository loaded → File Manager refresh
-        document.addEventListener('repositoryLoaded', async (e) => {
-            if (this.modules.files) {
-                await this.modules.files.refreshFiles();
-                this.modules.ui.showSuccessNotification(`Repository "${e.detail.name}" loaded successfully`);
+        ModalHelper.showModal(modal);
+    }
+
+    /**
+     * Create project from template
+     * @param {string} template - Template type
+     */
+    async createProjectTemplate(template) {
+        try {
+            this.updateLoadingText(`Creating ${template} project...`);
+            const project = await this.modules.github.createProjectFromTemplate(template);
+            this.changeTerminalDirectory(project);
+            this.modules.ui.showSuccessNotification(`${template} project created successfully!`);
+        } catch (error) {
+            this.modules.ui.showErrorNotification(`Failed to create project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create custom project
+     * @param {string} name - Project name
+     */
+    async createCustomProject(name) {
+        try {
+            this.updateLoadingText(`Creating ${name} project...`);
+            const project = await this.modules.github.createCustomProject(name);
+            this.changeTerminalDirectory(project);
+            this.modules.ui.showSuccessNotification(`Project "${name}" created successfully!`);
+        } catch (error) {
+            this.modules.ui.showErrorNotification(`Failed to create project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Make another loaded project current: the terminal, file explorer and preview switch to it
+     * @param {string} path - Project path
+     */
+    async switchProject(path) {
+        const github = this.modules.github;
+        const outgoing = github.getCurrentProject();
+        if (path === outgoing?.path) return;
+
+        // The server shown for a project is shown again when switching back to it
+        if (outgoing && this.modules.preview.serverPort) {
+            outgoing.previewPort = this.modules.preview.serverPort;
+        }
+
+        try {
+            // The session is replaced first, so the switch itself finds the right variables in the shell
+            await this.syncShellEnvironment(path);
+            const project = github.switchProject(path);
+            this.changeTerminalDirectory(project);
+            this.modules.terminal.writeln(`📁 Switched to ${project.name}`, 'info');
+        } catch (error) {
+            this.modules.ui.showErrorNotification(`Failed to switch project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Point the file explorer, preview and project buttons at the current project
+     * @param {object|null} project - Current project, or null to show every file
+     */
+    activateProject(project) {
+        this.activeProjectPath = project?.path || null;
+        this.updateProjectButtons(project);
+        this.modules.files.setRootPath(project?.path || '/');
+        if (!project) return;
+
+        const port = project.previewPort || ProjectDetector.getDefaultPort(project.type);
+        this.modules.preview.handlePortChange(port, this.modules.webContainer.ports?.getUrl(port));
+
+        // Switches and restores start a new session first; a newly loaded project keeps the shell (and whatever runs in it)
+        if (!EnvironmentHelper.isSameEnv(this.modules.terminal.shellEnv, this.modules.webContainer.getEnvironment())) {
+            this.modules.terminal.writeln(`⚠️ The terminal session has the environment variables of another project; use "🔐 Env" to start a session with ${project.name}'s`, 'warning');
+        }
+
+        // Shares and reloads without a snapshot load the project that was switched to
+        if (project.url || project.npm) {
+            this.saveLastRepository(project);
+        }
+    }
+
+    /**
+     * Start a new terminal session if the shell's environment variables are not a project's
+     * @param {string} projectPath - Path of the project (the key its variables are stored under)
+     * @returns {Promise<boolean>} Whether the shell was restarted
+     */
+    async syncShellEnvironment(projectPath) {
+        const env = EnvironmentHelper.toEnv(EnvironmentHelper.getProjectVariables(projectPath || ''));
+        if (EnvironmentHelper.isSameEnv(this.modules.terminal.shellEnv, env)) {
+            return false;
+        }
+
+        await this.modules.terminal.restartShell(this.modules.webContainer.getInstance(), env);
+        return true;
+    }
+
+    /**
+     * Run cd to a project's directory in the terminal
+     * @param {object} project - Project
+     */
+    changeTerminalDirectory(project) {
+        // The shell starts in the WebContainer workdir, which is where project paths are rooted
+        const workdir = this.modules.webContainer.getInstance()?.workdir || '';
+        this.modules.terminal.runCommand(`cd "${workdir}${project.path}"`);
+    }
+
+    /**
+     * Show the buttons that apply to a project: monorepo packages, compatibility report and PR files
+     * @param {object|null} project - Current project
+     */
+    updateProjectButtons(project) {
+        document.getElementById('packagesBtn').style.display = project?.workspaces ? '' : 'none';
+        document.getElementById('compatibilityBtn').style.display = project?.compatibility ? '' : 'none';
+        document.getElementById('prFilesBtn').style.display = project?.pullRequest ? '' : 'none';
+    }
+
+    /**
+     * List the loaded projects in the header switcher, which is shown once there are any
+     * @param {Array<object>} projects - Projects from GitHubRepository.listProjects
+     * @param {object|null} current - Current project
+     */
+    updateProjectSwitcher(projects, current) {
+        const projectSwitcher = document.getElementById('projectSwitcher');
+        if (!projectSwitcher) return;
+
+        projectSwitcher.innerHTML = '';
+        projects.forEach(project => {
+            const option = document.createElement('option');
+            option.value = project.path;
+            option.textContent = `${project.name} (${project.provider || project.type})`;
+            option.title = project.url || project.path;
+            projectSwitcher.appendChild(option);
+        });
+        if (!current) {
+            const option = document.createElement('option');
+            option.value = '';
+            option.textContent = 'No project';
+            option.disabled = true;
+            projectSwitcher.prepend(option);
+        }
+
+        projectSwitcher.value = current?.path || '';
+        projectSwitcher.style.display = projects.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * Setup interactions between modules
+     */
+    setupModuleInteractions() {
+        // Project list changed → switcher; a different current project → explorer and preview follow
+        document.addEventListener('projectsChanged', (e) => {
+            const { projects, current } = e.detail;
+            this.updateProjectSwitcher(projects, current);
+            if ((current?.path || null) !== this.activeProjectPath) {
+                this.activateProject(current);
             }
         });
 
-        // Project created → Multiple modules
-        document.addEventListener('projectCreated', async (e) => {
-            const { projectType, name } = e.detail;
-            
-            // Refresh files
+        // WebContainer ports → Test Preview button, shown while any server is running
+        // (the Preview Manager follows the same events to switch the preview)
+        document.addEventListener('webContainerPort', () => {
+            const testPreviewBtn = document.getElementById('testPreviewBtn');
+            if (testPreviewBtn) {
+                testPreviewBtn.style.display = this.modules.webContainer.ports?.list().length ? '' : 'none';
+            }
+        });
+
+        // File Manager selections → Terminal (cd to directory)
+        document.addEventListener('fileManagerSelection', (e) => {
+            if (e.detail.file?.type === 'directory' && this.modules.terminal) {
+                const command = `cd "${e.detail.file.path}"`;
+                console.log(`Auto-navigating to: ${e.detail.file.path}`);
+            }
+        });
+
+        // Pull request loaded → changed files view
+        document.addEventListener('pullRequestLoaded', (e) => {
+            const prFilesBtn = document.getElementById('prFilesBtn');
+            if (prFilesBtn) {
+                prFilesBtn.style.display = '';
+            }
+            this.showPullRequestFilesDialog(e.detail.pullRequest);
+        });
+
+        // Monorepo loaded → Packages button and package picker
+        document.addEventListener('workspacesDetected', (e) => {
+            const { workspaces } = e.detail;
+            const packagesBtn = document.getElementById('packagesBtn');
+            if (packagesBtn) {
+                packagesBtn.style.display = workspaces ? '' : 'none';
+            }
+            if (workspaces?.packages.length > 0) {
+                this.showWorkspacePackagesDialog(workspaces);
+            }
+        });
+
+        // Repository analyzed → Compatibility button, and the report if anything may not work
+        document.addEventListener('compatibilityAnalyzed', (e) => {
+            const { report } = e.detail;
+            const compatibilityBtn = document.getElementById('compatibilityBtn');
+            if (compatibilityBtn) {
+                compatibilityBtn.style.display = report ? '' : 'none';
+            }
+            if (report?.issues.length > 0) {
+                this.showCompatibilityReportDialog(report);
+            }
+        });
+
+        // Archive dropped on the file explorer → import it as a project
+        document.addEventListener('archiveFileDropped', (e) => {
+            this.loadArchiveFile(e.detail.file);
+        });
+
+        // Process started or finished → running count on the Processes button
+        document.addEventListener('processesChanged', () => {
+            const processesBtn = document.getElementById('processesBtn');
+            const running = this.modules.webContainer.processes?.list().filter(info => info.status === 'running').length || 0;
+            if (processesBtn) {
+                processesBtn.textContent = running > 0 ? `⚙️ Processes (${running})` : '⚙️ Processes';
+            }
+        });
+
+        // Folder context menu → Export
+        document.addEventListener('exportRequested', (e) => {
+            this.showExportDialog(e.detail.path);
+        });
+
+        // Repository import running → Cancel button
+        document.addEventListener('repositoryImportStateChanged', (e) => {
+            const cancelImportBtn = document.getElementById('cancelImportBtn');
+            if (cancelImportBtn) {
+                cancelImportBtn.style.display = e.detail.active ? '' : 'none';
+            }
+        });
+
+        // GitHub import enhancements → Import Changes button
+        document.addEventListener('importEnhancementsChanged', (e) => {
+            this.updateImportChangesButton(e.detail.enhancements);
+        });
+
+        // GitHub API responses → rate limit display
+        document.addEventListener('githubRateLimit', (e) => {
+            this.updateRateLimitDisplay(e.detail);
+        });
+
+        // WebContainer server ready → make the preview reachable
+        document.addEventListener('serverDetected', (e) => {
+            ['togglePreviewBtn', 'testPreviewBtn'].forEach(id => {
+                const button = document.getElementById(id);
+                if (button) button.style.display = '';
+            });
+            this.modules.ui.showSuccessNotification(`Server detected on port ${e.detail.port}`);
+        });
+
+        // GitHub repository loaded → File Manager refresh
+        document.addEventListener('repositoryLoaded', async (e) => {
             if (this.modules.files) {
                 await this.modules.files.refreshFiles();
+                this.modules.ui.showSuccessNotification(`Repository "${e.detail.name}" loaded successfully`);
             }
-            
-            // Run installation commands if needed
-            if (this.modules.terminal) {
-                if (projectType === 'node' || projectType === 'express') {
-                    this.modules.terminal.runCommand('npm install');
-                }
-            }
-            
-            this.modules.ui.showSuccessNotification(`Project "${name}" created successfully`);
         });
 
         // Error handling - route all module errors to UI
@@ -643,14 +2216,25 @@ server.listen(PORT, () => {
      */
     async loadInitialState() {
         try {
-            // Check if there's a saved project or repository to load
+            // Check if there's a saved workspace, project or repository to load
+            const snapshot = await this.workspaceSnapshots.load().catch(error => {
+                console.warn('Could not read workspace snapshot:', error);
+                return null;
+            });
             const savedRepo = localStorage.getItem('lastRepository');
             const savedProject = localStorage.getItem('lastProject');
 
-            if (savedRepo) {
+            if (snapshot) {
+                await this.restoreWorkspaceSnapshot(snapshot);
+            } else if (savedRepo) {
                 const repoData = JSON.parse(savedRepo);
                 console.log('Loading last repository:', repoData.name);
-                await this.modules.github.loadRepository(repoData.url);
+                if (repoData.npmSpec) {
+                    // Installs dependencies from the configured registry, like the first load
+                    await this.loadNpmPackage(repoData.npmSpec);
+                } else {
+                    await this.modules.github.loadRepository(repoData.pinnedUrl || repoData.url);
+                }
             } else if (savedProject) {
                 const projectData = JSON.parse(savedProject);
                 console.log('Loading last project:', projectData.name);
@@ -666,6 +2250,120 @@ server.listen(PORT, () => {
         }
     }
 
+    /**
+     * Mount a workspace snapshot and the project state saved with it
+     * @param {object} snapshot - Snapshot from WorkspaceSnapshots.load()
+     */
+    async restoreWorkspaceSnapshot(snapshot) {
+        this.updateLoadingText('Restoring workspace...');
+        const fileCount = await this.workspaceSnapshots.restore(snapshot);
+        this.modules.terminal.writeln(`♻️ Restored ${fileCount} files from the workspace saved ${formatDate(snapshot.info.savedAt)}`, 'success');
+
+        if (snapshot.session) {
+            // Older snapshots hold a single project state instead of the project list
+            const currentPath = snapshot.session.projects ? snapshot.session.current : snapshot.session.project?.path;
+            await this.syncShellEnvironment(currentPath);
+            this.modules.github.restoreWorkspaceState(snapshot.session);
+        }
+
+        const project = this.modules.github.getCurrentProject();
+        if (project) {
+            this.changeTerminalDirectory(project);
+            if (project.packageJson && !snapshot.info.includeNodeModules) {
+                this.modules.terminal.writeln(`💡 Dependencies are not part of the snapshot; run ${ProjectDetector.getInstallCommand(project.packageManager)}`, 'info');
+            }
+        } else {
+            await this.modules.files.loadFiles();
+        }
+    }
+
+    /**
+     * Show the workspace snapshot status and settings, save now or discard the local state
+     */
+    async showWorkspaceSnapshotDialog() {
+        const snapshots = this.workspaceSnapshots;
+        const settings = WorkspaceSnapshots.getSettings();
+        const info = await snapshots.getInfo().catch(error => {
+            console.warn('Could not read workspace snapshot:', error);
+            return null;
+        });
+
+        const snapshotForm = document.createElement('div');
+        snapshotForm.innerHTML = `
+            <p class="snapshot-status"></p>
+            <div class="form-group">
+                <label for="snapshot-interval">Autosave:</label>
+                <select id="snapshot-interval" style="width: 100%; padding: 8px; margin: 10px 0;">
+                    ${WorkspaceSnapshots.INTERVALS.map(seconds => `
+                        <option value="${seconds}">${seconds === 0 ? 'Off' : seconds < 60 ? `Every ${seconds} seconds` : `Every ${seconds / 60} minute${seconds === 60 ? '' : 's'}`}</option>
+                    `).join('')}
+                </select>
+                <label><input type="checkbox" id="snapshot-node-modules"> Include <code>node_modules</code> (much larger snapshots)</label>
+                <small style="display: block;">The workspace is kept in this browser and restored when the page is reloaded, instead of loading the repository again.</small>
+            </div>
+        `;
+        snapshotForm.querySelector('.snapshot-status').textContent = info
+            ? `Last saved ${formatDate(info.savedAt)}: ${info.fileCount} files, ${formatBytes(info.size)}.`
+            : 'No workspace snapshot saved yet.';
+        const intervalSelect = snapshotForm.querySelector('#snapshot-interval');
+        intervalSelect.value = String(settings.interval);
+        const nodeModulesInput = snapshotForm.querySelector('#snapshot-node-modules');
+        nodeModulesInput.checked = settings.includeNodeModules;
+
+        const applySettings = () => {
+            WorkspaceSnapshots.saveSettings({ interval: intervalSelect.value, includeNodeModules: nodeModulesInput.checked });
+            snapshots.startAutosave();
+        };
+
+        const modal = ModalHelper.createModal({
+            title: 'Workspace Snapshots',
+            content: snapshotForm,
+            actions: [
+                {
+                    text: 'Discard Local State',
+                    className: 'btn-secondary',
+                    onClick: async () => {
+                        if (!confirm('Delete the saved workspace and reload the page? Unsaved edits are lost and the last repository is loaded again.')) {
+                            return;
+                        }
+                        snapshots.stopAutosave();
+                        try {
+                            await snapshots.discard();
+                        } catch (error) {
+                            this.modules.ui.showErrorNotification(`Could not discard the workspace: ${error.message}`);
+                            return;
+                        }
+                        window.location.reload();
+                    }
+                },
+                {
+                    text: 'Save Now',
+                    className: 'btn-secondary',
+                    onClick: async () => {
+                        applySettings();
+                        try {
+                            const saved = await snapshots.save({ force: true });
+                            ModalHelper.closeModal(modal);
+                            this.modules.ui.showSuccessNotification(`Workspace saved (${saved.fileCount} files)`);
+                        } catch (error) {
+                            this.modules.ui.showErrorNotification(`Could not save the workspace: ${error.message}`);
+                        }
+                    }
+                },
+                {
+                    text: 'Save Settings',
+                    className: 'btn-primary',
+                    onClick: () => {
+                        applySettings();
+                        ModalHelper.closeModal(modal);
+                        this.modules.ui.showSuccessNotification('Workspace settings saved');
+                    }
+                }
+            ]
+        });
+        ModalHelper.showModal(modal);
+    }
+
     /**
      * Show welcome screen for new users
      */
@@ -909,6 +2607,8 @@ server.listen(PORT, () => {
             // Clear localStorage
             localStorage.removeItem('lastRepository');
             localStorage.removeItem('lastProject');
+            this.modules.github.clearProjects();
+            await this.workspaceSnapshots.discard().catch(error => console.warn('Could not discard workspace snapshot:', error));
             
             // Reset modules
             if (this.modules.files) {
@@ -89,47 +89,223 @@ export class OutputParser {
 }
 
 /**
- * Project type detection helpers
+ * Project type and package manager detection, and the commands that follow from them
  */
 export class ProjectDetector {
+    // Lockfiles in order of precedence when package.json has no packageManager field
+    static LOCKFILES = {
+        'pnpm-lock.yaml': 'pnpm',
+        'yarn.lock': 'yarn',
+        'package-lock.json': 'npm',
+        'npm-shrinkwrap.json': 'npm'
+    };
+
+    static PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm'];
+
     /**
-     * Detect project type from package.json content
-     * @param {string} packageJsonContent - package.json content
+     * Detect project type from files and package.json
+     * @param {object|string} packageJson - Parsed package.json, or its content
+     * @param {Array} files - Available files
      * @returns {string} Project type
      */
-    static detectProjectType(packageJsonContent) {
-        if (!packageJsonContent) return 'unknown';
+    static detectProjectType(packageJson, files = []) {
+        if (typeof packageJson === 'string') {
+            try {
+                packageJson = JSON.parse(packageJson);
+            } catch (error) {
+                console.warn('Failed to parse package.json:', error);
+                packageJson = null;
+            }
+        }
 
-        try {
-            const packageJson = JSON.parse(packageJsonContent);
-            const dependencies = {
+        // Check package.json dependencies
+        if (packageJson) {
+            const deps = {
                 ...packageJson.dependencies,
                 ...packageJson.devDependencies
             };
 
-            // Check for specific frameworks
-            if (dependencies.astro) return 'astro';
-            if (dependencies.next) return 'next';
-            if (dependencies.react) return 'react';
-            if (dependencies.vue) return 'vue';
-            if (dependencies.angular) return 'angular';
-            if (dependencies.svelte) return 'svelte';
-            if (dependencies.express) return 'express';
-            if (dependencies.fastify) return 'fastify';
-            if (dependencies.koa) return 'koa';
-            if (dependencies.vite) return 'vite';
-
-            // Check scripts for clues
-            const scripts = packageJson.scripts || {};
-            if (scripts.dev && scripts.dev.includes('astro')) return 'astro';
-            if (scripts.dev && scripts.dev.includes('next')) return 'next';
-            if (scripts.dev && scripts.dev.includes('vite')) return 'vite';
-
-            return 'node';
-        } catch (error) {
-            console.warn('Failed to parse package.json:', error);
-            return 'unknown';
+            if (deps.astro) return 'astro';
+            if (deps.next) return 'next';
+            if (deps.nuxt) return 'nuxt';
+            if (deps.react && deps['react-scripts']) return 'create-react-app';
+            if (deps.react) return 'react';
+            if (deps.vue) return 'vue';
+            if (deps.angular) return 'angular';
+            if (deps.svelte) return 'svelte';
+            if (deps.express) return 'express';
+            if (deps.fastify) return 'fastify';
+            if (deps.koa) return 'koa';
+            if (deps.vite) return 'vite';
+        }
+
+        // Check for specific config files
+        const configFiles = files.map(f => f.toLowerCase());
+        
+        if (configFiles.includes('astro.config.mjs') || configFiles.includes('astro.config.js')) {
+            return 'astro';
+        }
+        if (configFiles.includes('next.config.js') || configFiles.includes('next.config.mjs')) {
+            return 'next';
+        }
+        if (configFiles.includes('nuxt.config.js') || configFiles.includes('nuxt.config.ts')) {
+            return 'nuxt';
         }
+        if (configFiles.includes('vue.config.js')) {
+            return 'vue';
+        }
+        if (configFiles.includes('angular.json')) {
+            return 'angular';
+        }
+        if (configFiles.includes('svelte.config.js')) {
+            return 'svelte';
+        }
+        if (configFiles.includes('vite.config.js') || configFiles.includes('vite.config.ts')) {
+            return 'vite';
+        }
+
+        // Check for specific directories
+        if (files.some(f => f.toLowerCase().includes('src/pages'))) {
+            return 'astro'; // or Next.js, but Astro is more likely with src/pages
+        }
+
+        return 'node';
+    }
+
+    /**
+     * Get project configuration based on type
+     * @param {string} projectType - Project type
+     * @returns {object} Project configuration
+     */
+    static getProjectConfig(projectType) {
+        const configs = {
+            astro: {
+                defaultPort: 4321,
+                devCommand: 'npm run dev',
+                buildCommand: 'npm run build',
+                startCommand: 'npm start',
+                directories: ['src', 'src/pages', 'src/components', 'src/layouts', 'public'],
+                mainFiles: ['src/pages/index.astro'],
+                configFiles: ['astro.config.mjs'],
+                dependencies: {
+                    'astro': '^4.0.0'
+                },
+                scripts: {
+                    'dev': 'astro dev',
+                    'start': 'astro dev',
+                    'build': 'astro build',
+                    'preview': 'astro preview'
+                }
+            },
+            next: {
+                defaultPort: 3000,
+                devCommand: 'npm run dev',
+                buildCommand: 'npm run build',
+                startCommand: 'npm start',
+                directories: ['pages', 'components', 'public', 'styles'],
+                mainFiles: ['pages/index.js', 'pages/index.tsx'],
+                configFiles: ['next.config.js'],
+                dependencies: {
+                    'next': '^14.0.0',
+                    'react': '^18.0.0',
+                    'react-dom': '^18.0.0'
+                },
+                scripts: {
+                    'dev': 'next dev',
+                    'build': 'next build',
+                    'start': 'next start'
+                }
+            },
+            react: {
+                defaultPort: 3000,
+                devCommand: 'npm start',
+                buildCommand: 'npm run build',
+                startCommand: 'npm start',
+                directories: ['src', 'public'],
+                mainFiles: ['src/App.js', 'src/App.jsx', 'src/index.js'],
+                configFiles: [],
+                dependencies: {
+                    'react': '^18.0.0',
+                    'react-dom': '^18.0.0'
+                },
+                scripts: {
+                    'start': 'react-scripts start',
+                    'build': 'react-scripts build',
+                    'test': 'react-scripts test'
+                }
+            },
+            vue: {
+                defaultPort: 8080,
+                devCommand: 'npm run serve',
+                buildCommand: 'npm run build',
+                startCommand: 'npm run serve',
+                directories: ['src', 'public'],
+                mainFiles: ['src/App.vue', 'src/main.js'],
+                configFiles: ['vue.config.js'],
+                dependencies: {
+                    'vue': '^3.0.0'
+                },
+                scripts: {
+                    'serve': 'vue-cli-service serve',
+                    'build': 'vue-cli-service build'
+                }
+            },
+            vite: {
+                defaultPort: 5173,
+                devCommand: 'npm run dev',
+                buildCommand: 'npm run build',
+                startCommand: 'npm run dev',
+                directories: ['src', 'public'],
+                mainFiles: ['src/main.js', 'src/main.ts', 'index.html'],
+                configFiles: ['vite.config.js', 'vite.config.ts'],
+                dependencies: {
+                    'vite': '^5.0.0'
+                },
+                scripts: {
+                    'dev': 'vite',
+                    'build': 'vite build',
+                    'preview': 'vite preview'
+                }
+            },
+            express: {
+                defaultPort: 3000,
+                devCommand: 'npm run dev',
+                buildCommand: 'npm run build',
+                startCommand: 'npm start',
+                directories: ['routes', 'public', 'views'],
+                mainFiles: ['app.js', 'server.js', 'index.js'],
+                configFiles: [],
+                dependencies: {
+                    'express': '^4.18.0'
+                },
+                scripts: {
+                    'start': 'node app.js',
+                    'dev': 'nodemon app.js'
+                }
+            },
+            node: {
+                defaultPort: 3000,
+                devCommand: 'npm start',
+                buildCommand: 'npm run build',
+                startCommand: 'npm start',
+                directories: ['src', 'lib'],
+                mainFiles: ['index.js', 'app.js', 'server.js'],
+                configFiles: [],
+                dependencies: {},
+                scripts: {
+                    'start': 'node index.js',
+                    'dev': 'node index.js'
+                }
+            }
+        };
+
+        // Frameworks without a template of their own keep the node template with their dev server settings
+        configs['create-react-app'] = configs.react;
+        configs.nuxt = { ...configs.node, defaultPort: 3000, devCommand: 'npm run dev' };
+        configs.angular = { ...configs.node, defaultPort: 4200, devCommand: 'npm start' };
+        configs.svelte = { ...configs.node, defaultPort: 5173, devCommand: 'npm run dev' };
+
+        return configs[projectType] || configs.node;
     }
 
     /**
@@ -138,40 +314,120 @@ export class ProjectDetector {
      * @returns {number} Default port
      */
     static getDefaultPort(projectType) {
-        const portMap = {
-            astro: 4321,
-            next: 3000,
-            react: 3000,
-            vue: 8080,
-            angular: 4200,
-            svelte: 5173,
-            vite: 5173,
-            express: 3000,
-            node: 3000
+        return ProjectDetector.getProjectConfig(projectType).defaultPort;
+    }
+
+    /**
+     * Detect the package manager from the packageManager field of package.json, then from lockfiles
+     * @param {object} packageJson - Parsed package.json
+     * @param {string[]} files - Root file names
+     * @returns {object} { name: 'npm'|'yarn'|'pnpm', version, lockfile }
+     */
+    static detectPackageManager(packageJson, files = []) {
+        const lockfile = Object.keys(ProjectDetector.LOCKFILES).find(name => files.includes(name)) || null;
+
+        // Corepack format: "pnpm@8.15.0" or "yarn@4.1.0+sha256.…"
+        const declared = String(packageJson?.packageManager || '').match(/^(npm|yarn|pnpm)@(\d[^+\s]*)/);
+        if (declared) {
+            const matchingLockfile = lockfile && ProjectDetector.LOCKFILES[lockfile] === declared[1] ? lockfile : null;
+            return { name: declared[1], version: declared[2], lockfile: matchingLockfile };
+        }
+
+        return {
+            name: lockfile ? ProjectDetector.LOCKFILES[lockfile] : 'npm',
+            version: null,
+            lockfile
         };
+    }
 
-        return portMap[projectType] || 3000;
+    /**
+     * Get the install command, installing exactly what the lockfile pins when there is one
+     * @param {object} packageManager - Result of detectPackageManager
+     * @returns {string} Install command
+     */
+    static getInstallCommand(packageManager = { name: 'npm', version: null, lockfile: null }) {
+        const { name, version, lockfile } = packageManager;
+
+        if (name === 'pnpm') {
+            return lockfile ? 'pnpm install --frozen-lockfile' : 'pnpm install';
+        }
+        if (name === 'yarn') {
+            if (!lockfile) return 'yarn install';
+            // Yarn 2+ renamed --frozen-lockfile to --immutable
+            return parseInt(version, 10) >= 2 ? 'yarn install --immutable' : 'yarn install --frozen-lockfile';
+        }
+        return lockfile ? 'npm ci' : 'npm install';
+    }
+
+    /**
+     * Get the command that runs a package.json script
+     * @param {object} packageManager - Result of detectPackageManager
+     * @param {string} script - Script name
+     * @returns {string} Run command
+     */
+    static getRunCommand(packageManager, script) {
+        const name = packageManager?.name || 'npm';
+        if (name === 'npm') {
+            return ['start', 'test'].includes(script) ? `npm ${script}` : `npm run ${script}`;
+        }
+        return `${name} run ${script}`;
+    }
+
+    /**
+     * Get the command that starts the development server
+     * @param {string} projectType - Project type
+     * @param {object} packageJson - Parsed package.json
+     * @param {object} packageManager - Result of detectPackageManager
+     * @returns {string} Dev command
+     */
+    static getDevCommand(projectType, packageJson, packageManager) {
+        const scripts = packageJson?.scripts || {};
+        const script = ['dev', 'start', 'serve'].find(name => scripts[name])
+            // The template commands are written for npm: "npm run dev", "npm start"
+            || ProjectDetector.getProjectConfig(projectType).devCommand.replace(/^npm (run )?/, '');
+
+        return ProjectDetector.getRunCommand(packageManager, script);
     }
 
     /**
      * Get common development commands for project type
      * @param {string} projectType - Project type
-     * @returns {string[]} Array of common commands
+     * @param {object} packageJson - Parsed package.json
+     * @param {object} packageManager - Result of detectPackageManager
+     * @returns {string[]} Install, dev and build commands
      */
-    static getCommonCommands(projectType) {
-        const commandMap = {
-            astro: ['npm install', 'npm run dev', 'npm run build'],
-            next: ['npm install', 'npm run dev', 'npm run build'],
-            react: ['npm install', 'npm start', 'npm run build'],
-            vue: ['npm install', 'npm run serve', 'npm run build'],
-            angular: ['npm install', 'ng serve', 'ng build'],
-            svelte: ['npm install', 'npm run dev', 'npm run build'],
-            vite: ['npm install', 'npm run dev', 'npm run build'],
-            express: ['npm install', 'npm start', 'node index.js'],
-            node: ['npm install', 'npm start', 'node index.js']
-        };
+    static getCommonCommands(projectType, packageJson = null, packageManager = undefined) {
+        return [
+            ProjectDetector.getInstallCommand(packageManager),
+            ProjectDetector.getDevCommand(projectType, packageJson, packageManager),
+            ProjectDetector.getRunCommand(packageManager, 'build')
+        ];
+    }
 
-        return commandMap[projectType] || ['npm install', 'npm start'];
+    /**
+     * Generate quick start instructions for project type
+     * @param {string} projectType - Project type
+     * @param {string} projectName - Project name
+     * @param {object} packageJson - Parsed package.json
+     * @param {object} packageManager - Result of detectPackageManager
+     * @returns {Array} Array of instruction strings
+     */
+    static getQuickStartInstructions(projectType, projectName, packageJson = null, packageManager = undefined) {
+        const config = ProjectDetector.getProjectConfig(projectType);
+
+        const instructions = [
+            `🚀 ${projectType.charAt(0).toUpperCase() + projectType.slice(1)} project detected!`,
+            `💡 Quick start:`,
+            `   1. cd ${projectName}`,
+            `   2. ${ProjectDetector.getInstallCommand(packageManager)}`,
+            `   3. ${ProjectDetector.getDevCommand(projectType, packageJson, packageManager)}`,
+        ];
+
+        if (config.defaultPort) {
+            instructions.push(`   4. Open http://localhost:${config.defaultPort}`);
+        }
+
+        return instructions;
     }
 }
 
@@ -274,6 +530,15 @@ export class FileSystemHelper {
             .replace(/_+/g, '_')
             .replace(/^_|_$/g, '');
     }
+
+    /**
+     * Get the parent directory of an absolute path
+     * @param {string} path - Absolute path
+     * @returns {string} Parent directory ('/' for top-level entries)
+     */
+    static getDirectoryName(path) {
+        return path.substring(0, path.lastIndexOf('/')) || '/';
+    }
 }
 
 /**
@@ -285,9 +550,10 @@ export class AsyncHelper {
      * @param {Function} operation - Async operation to retry
      * @param {number} maxRetries - Maximum number of retries
      * @param {number} baseDelay - Base delay in milliseconds
+     * @param {Function} shouldRetry - Called with the error; return false to fail immediately
      * @returns {Promise} Operation result
      */
-    static async retry(operation, maxRetries = 3, baseDelay = 1000) {
+    static async retry(operation, maxRetries = 3, baseDelay = 1000, shouldRetry = () => true) {
         let lastError;
         
         for (let attempt = 0; attempt <= maxRetries; attempt++) {
@@ -296,7 +562,7 @@ export class AsyncHelper {
             } catch (error) {
                 lastError = error;
                 
-                if (attempt === maxRetries) {
+                if (attempt === maxRetries || !shouldRetry(error)) {
                     throw lastError;
                 }
                 
@@ -306,6 +572,36 @@ export class AsyncHelper {
         }
     }
 
+    /**
+     * Run an async worker over items with limited concurrency
+     * @param {Array} items - Items to process
+     * @param {Function} worker - Async (item, index) => result
+     * @param {object} options - { concurrency, signal: AbortSignal that stops the queue }
+     * @returns {Promise<Array<object>>} One { item, value, error } per item, in order; rejects when aborted
+     */
+    static async runQueue(items, worker, options = {}) {
+        const { concurrency = 6, signal = null } = options;
+        const results = new Array(items.length);
+        let next = 0;
+
+        const runNext = async () => {
+            while (next < items.length) {
+                signal?.throwIfAborted();
+                const index = next++;
+
+                try {
+                    results[index] = { item: items[index], value: await worker(items[index], index), error: null };
+                } catch (error) {
+                    if (signal?.aborted) throw signal.reason;
+                    results[index] = { item: items[index], value: null, error };
+                }
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runNext));
+        return results;
+    }
+
     /**
      * Sleep for specified milliseconds
      * @param {number} ms - Milliseconds to sleep
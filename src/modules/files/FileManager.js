@@ -5,13 +5,23 @@
 
 import { FileSystemHelper, OutputParser } from '../../helpers/index.js';
 import { debounce, throttle } from '../../utils/common.js';
+import { isArchiveFileName, createZip } from '../../utils/archive.js';
+import { createGitIgnoreMatcher } from '../../utils/git.js';
 import { FileExplorerHelper, ProjectTemplateHelper } from './helpers.js';
 
 export class FileManager {
+    static WATCH_BATCH_DELAY = 200;
+
     constructor(webContainerManager = null) {
         this.webContainerManager = webContainerManager;
         this.currentFiles = [];
         this.selectedFile = null;
+        // Directory shown as the top of the explorer (the current project's, or '/' for everything)
+        this.rootPath = '/';
+        // fs.watch subscription and the paths changed since the explorer was last updated
+        this.watcher = null;
+        this.pendingChanges = new Set();
+        this.applyingChanges = false;
         
         // Bind methods
         this.loadFiles = this.loadFiles.bind(this);
@@ -22,6 +32,8 @@ export class FileManager {
         // Throttled file operations
         this.debouncedSearch = debounce(this.searchFiles.bind(this), 300);
         this.throttledRefresh = throttle(this.refreshFiles.bind(this), 1000);
+        // Watch events arrive in bursts (npm install, builds), so they are applied in batches
+        this.debouncedApplyChanges = debounce(this.applyFileChanges.bind(this), FileManager.WATCH_BATCH_DELAY);
         
         this.initializeElements();
     }
@@ -84,6 +96,34 @@ export class FileManager {
             this.fileExplorer.addEventListener('fileSelected', (e) => {
                 this.handleFileSelection(e.detail.file);
             });
+
+            this.fileExplorer.addEventListener('fileContextMenu', (e) => {
+                const { file, x, y } = e.detail;
+                FileExplorerHelper.showContextMenu(x, y, [
+                    {
+                        label: '📦 Export folder as zip',
+                        onClick: () => document.dispatchEvent(new CustomEvent('exportRequested', {
+                            detail: { path: file.path }
+                        }))
+                    }
+                ]);
+            });
+
+            // Dropped files: archives are imported as projects, anything else is uploaded
+            this.fileExplorer.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                this.fileExplorer.classList.add('drag-over');
+            });
+            this.fileExplorer.addEventListener('dragleave', (e) => {
+                if (!this.fileExplorer.contains(e.relatedTarget)) {
+                    this.fileExplorer.classList.remove('drag-over');
+                }
+            });
+            this.fileExplorer.addEventListener('drop', (e) => {
+                e.preventDefault();
+                this.fileExplorer.classList.remove('drag-over');
+                this.handleFileDrop(e.dataTransfer?.files);
+            });
         }
 
         // Keyboard shortcuts
@@ -115,9 +155,10 @@ export class FileManager {
                 return [];
             }
 
-            const files = await this.readDirectoryRecursive('/');
+            const files = await this.readDirectoryRecursive(this.rootPath);
             this.currentFiles = files;
             this.renderFiles();
+            this.startWatching();
             return files;
         } catch (error) {
             console.error('Error loading files:', error);
@@ -125,12 +166,33 @@ export class FileManager {
         }
     }
 
+    /**
+     * Show another directory as the top of the explorer and reload it
+     * @param {string} path - Directory path ('/' for the whole file system)
+     * @returns {Promise<Array>} File tree array
+     */
+    async setRootPath(path) {
+        this.rootPath = path || '/';
+        return this.loadFiles();
+    }
+
+    /**
+     * Check whether a path is shown in the explorer
+     * @param {string} path - Absolute path
+     * @returns {boolean} Whether the path is the explorer root or below it
+     */
+    isInRoot(path) {
+        return this.rootPath === '/' || path === this.rootPath || path.startsWith(`${this.rootPath}/`);
+    }
+
     /**
      * Read directory recursively to build file tree
      * @param {string} path - Directory path
+     * @param {object} options - { ignore: (fullPath, isDirectory) => boolean, skips entries and whole directories }
      * @returns {Promise<Array>} File tree array
      */
-    async readDirectoryRecursive(path) {
+    async readDirectoryRecursive(path, options = {}) {
+        const { ignore = () => false } = options;
         try {
             const webcontainerInstance = this.webContainerManager.getInstance();
             const entries = await webcontainerInstance.fs.readdir(path, { withFileTypes: true });
@@ -138,49 +200,230 @@ export class FileManager {
 
             for (const entry of entries) {
                 const fullPath = path === '/' ? `/${entry.name}` : `${path}/${entry.name}`;
-                
-                if (entry.isDirectory()) {
-                    const children = await this.readDirectoryRecursive(fullPath);
-                    files.push({
-                        name: entry.name,
-                        path: fullPath,
-                        type: 'directory',
-                        children: children
-                    });
-                } else {
-                    // Get file stats
-                    try {
-                        const stats = await webcontainerInstance.fs.stat(fullPath);
-                        files.push({
-                            name: entry.name,
-                            path: fullPath,
-                            type: 'file',
-                            size: stats.size,
-                            modified: new Date(stats.mtime)
-                        });
-                    } catch (statError) {
-                        // If stat fails, add file without stats
-                        files.push({
-                            name: entry.name,
-                            path: fullPath,
-                            type: 'file'
-                        });
-                    }
-                }
+                if (ignore(fullPath, entry.isDirectory())) continue;
+
+                files.push(await this.createTreeItem(fullPath, entry.isDirectory(), options));
             }
 
-            return files.sort((a, b) => {
-                // Directories first, then alphabetical
-                if (a.type === 'directory' && b.type === 'file') return -1;
-                if (a.type === 'file' && b.type === 'directory') return 1;
-                return a.name.localeCompare(b.name);
-            });
+            return files.sort(FileManager.compareTreeItems);
         } catch (error) {
             console.error(`Error reading directory ${path}:`, error);
             return [];
         }
     }
 
+    /**
+     * Create the file tree item of one path, reading directories recursively
+     * @param {string} fullPath - Path
+     * @param {boolean} isDirectory - Whether the path is a directory
+     * @param {object} options - Options for readDirectoryRecursive
+     * @returns {Promise<object>} Tree item: { name, path, type, children } or { name, path, type, size, modified }
+     */
+    async createTreeItem(fullPath, isDirectory, options = {}) {
+        const name = fullPath.split('/').pop();
+        if (isDirectory) {
+            return {
+                name,
+                path: fullPath,
+                type: 'directory',
+                children: await this.readDirectoryRecursive(fullPath, options)
+            };
+        }
+
+        // Get file stats
+        try {
+            const stats = await this.webContainerManager.getInstance().fs.stat(fullPath);
+            return {
+                name,
+                path: fullPath,
+                type: 'file',
+                size: stats.size,
+                modified: new Date(stats.mtime)
+            };
+        } catch (statError) {
+            // If stat fails, add file without stats
+            return {
+                name,
+                path: fullPath,
+                type: 'file'
+            };
+        }
+    }
+
+    /**
+     * Sort order of tree items: directories first, then alphabetical
+     * @param {object} a - Tree item
+     * @param {object} b - Tree item
+     * @returns {number} Comparison result
+     */
+    static compareTreeItems(a, b) {
+        if (a.type === 'directory' && b.type === 'file') return -1;
+        if (a.type === 'file' && b.type === 'directory') return 1;
+        return a.name.localeCompare(b.name);
+    }
+
+    /**
+     * Subscribe to WebContainer file system changes so the explorer follows
+     * files written by the shell, package managers and build tools
+     */
+    startWatching() {
+        const webcontainerInstance = this.webContainerManager?.getInstance();
+        if (this.watcher || !webcontainerInstance?.fs.watch) return;
+
+        try {
+            this.watcher = webcontainerInstance.fs.watch('/', { recursive: true }, (event, filename) => {
+                if (!filename) return;
+                const name = typeof filename === 'string' ? filename : new TextDecoder().decode(filename);
+                const path = `/${name.replace(/^\/+/, '')}`;
+                if (!this.isInRoot(path)) return;
+                this.pendingChanges.add(path);
+                this.debouncedApplyChanges();
+            });
+        } catch (error) {
+            console.warn('File watching unavailable, the explorer only updates on refresh:', error);
+        }
+    }
+
+    /**
+     * Stop watching the file system
+     */
+    stopWatching() {
+        this.watcher?.close();
+        this.watcher = null;
+        this.pendingChanges.clear();
+    }
+
+    /**
+     * Find a directory in the current file tree
+     * @param {string} path - Directory path (rootPath for the top of the tree)
+     * @returns {Array|null} The directory's children array, or null if it is not in the tree
+     */
+    findTreeChildren(path) {
+        if (!this.isInRoot(path)) return null;
+
+        let children = this.currentFiles;
+        const relativePath = this.rootPath === '/' ? path : path.slice(this.rootPath.length);
+        for (const name of relativePath.split('/').filter(Boolean)) {
+            const directory = children.find(item => item.name === name && item.type === 'directory');
+            if (!directory) return null;
+            directory.children = directory.children || [];
+            children = directory.children;
+        }
+        return children;
+    }
+
+    /**
+     * Apply queued watch events to currentFiles and the rendered tree, then emit filesChanged
+     * with { changes: [{ type: 'created' | 'modified' | 'deleted', path, kind: 'file' | 'directory' }] }
+     */
+    async applyFileChanges() {
+        if (this.applyingChanges) {
+            // Picked up by the next batch
+            this.debouncedApplyChanges();
+            return;
+        }
+        this.applyingChanges = true;
+
+        const changedPaths = new Set(this.pendingChanges);
+        this.pendingChanges.clear();
+        const changes = [];
+
+        try {
+            // Each affected directory is listed once; paths under a directory that is new to the
+            // tree are handled by reading that directory recursively
+            const directories = new Set();
+            for (const path of changedPaths) {
+                let directory = FileSystemHelper.getDirectoryName(path);
+                while (directory !== '/' && directory !== this.rootPath && !this.findTreeChildren(directory)) {
+                    directory = FileSystemHelper.getDirectoryName(directory);
+                }
+                directories.add(directory);
+            }
+
+            const created = [];
+            for (const directory of [...directories].sort((a, b) => a.length - b.length)) {
+                if (created.some(root => directory === root || directory.startsWith(`${root}/`))) continue;
+                await this.syncTreeDirectory(directory, changedPaths, changes, created);
+            }
+
+            if (changes.length === 0) return;
+
+            this.renderFiles();
+            if (this.fileSearch?.value.trim()) {
+                this.searchFiles(this.fileSearch.value);
+            }
+
+            // Keep the open file in step with the disk
+            const selectedPath = this.selectedFile?.path;
+            if (changes.some(change => change.type === 'modified' && change.path === selectedPath)) {
+                this.displayFileContent(this.selectedFile, await this.readFile(selectedPath));
+            }
+
+            document.dispatchEvent(new CustomEvent('filesChanged', {
+                detail: { changes }
+            }));
+        } catch (error) {
+            console.warn('Failed to apply file system changes:', error);
+        } finally {
+            this.applyingChanges = false;
+        }
+    }
+
+    /**
+     * Bring one directory of the file tree in line with the file system
+     * @param {string} directory - Directory path
+     * @param {Set<string>} changedPaths - Paths reported by the watcher
+     * @param {Array} changes - Receives the detected changes
+     * @param {Array} created - Receives directories that were added with all their contents
+     */
+    async syncTreeDirectory(directory, changedPaths, changes, created) {
+        const children = this.findTreeChildren(directory);
+        if (!children) return;
+
+        let entries;
+        try {
+            entries = await this.webContainerManager.getInstance().fs.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            // Removed along with its parent, whose listing drops it
+            return;
+        }
+
+        const existing = new Map(children.map(item => [item.name, item]));
+        const updated = [];
+
+        for (const entry of entries) {
+            const fullPath = directory === '/' ? `/${entry.name}` : `${directory}/${entry.name}`;
+            const kind = entry.isDirectory() ? 'directory' : 'file';
+            const current = existing.get(entry.name);
+            existing.delete(entry.name);
+
+            if (current?.type === kind) {
+                if (kind === 'file' && changedPaths.has(fullPath)) {
+                    const item = await this.createTreeItem(fullPath, false);
+                    Object.assign(current, item);
+                    changes.push({ type: 'modified', path: fullPath, kind });
+                }
+                updated.push(current);
+                continue;
+            }
+
+            if (current) {
+                changes.push({ type: 'deleted', path: fullPath, kind: current.type });
+            }
+            updated.push(await this.createTreeItem(fullPath, kind === 'directory'));
+            changes.push({ type: 'created', path: fullPath, kind });
+            if (kind === 'directory') {
+                created.push(fullPath);
+            }
+        }
+
+        for (const removed of existing.values()) {
+            changes.push({ type: 'deleted', path: removed.path, kind: removed.type });
+        }
+
+        children.splice(0, children.length, ...updated.sort(FileManager.compareTreeItems));
+    }
+
     /**
      * Render files in the file explorer
      */
@@ -197,6 +440,10 @@ export class FileManager {
             </div>
         `;
 
+        // Directories the user expanded stay expanded across re-renders
+        const expandedPaths = new Set([...this.fileExplorer.querySelectorAll('.file-tree-children.expanded')]
+            .map(element => element.dataset.path));
+
         // Create container for stats and tree
         this.fileExplorer.innerHTML = statsHtml;
         
@@ -205,7 +452,7 @@ export class FileManager {
         this.fileExplorer.appendChild(treeContainer);
 
         // Render collapsible file tree
-        FileExplorerHelper.renderCollapsibleFileTree(this.currentFiles, treeContainer);
+        FileExplorerHelper.renderCollapsibleFileTree(this.currentFiles, treeContainer, expandedPaths);
     }
 
     /**
@@ -451,6 +698,80 @@ export class FileManager {
         }
     }
 
+    /**
+     * Read the contents of a file tree into flat entries
+     * @param {Array} items - File tree from readDirectoryRecursive
+     * @param {string} root - Directory the entry paths are made relative to ('' for the workdir)
+     * @returns {Promise<Array>} Entries: { path, type: 'file' or 'directory', data: Uint8Array for files }
+     */
+    async readTreeEntries(items, root = '') {
+        const entries = [];
+        for (const item of items) {
+            const relativePath = item.path.slice(root.length + 1);
+            if (item.type === 'directory') {
+                entries.push({ path: relativePath, type: 'directory' });
+                entries.push(...await this.readTreeEntries(item.children || [], root));
+            } else {
+                entries.push({ path: relativePath, type: 'file', data: await this.webContainerManager.readFileBytes(item.path) });
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Build a zip of a directory
+     * @param {string} dirPath - Directory to export
+     * @param {object} options - { excludeNodeModules: skip node_modules, respectGitignore: skip paths the directory's .gitignore ignores }
+     * @returns {Promise<object>} { bytes: zip data, fileCount }
+     */
+    async exportAsZip(dirPath, options = {}) {
+        const { excludeNodeModules = true, respectGitignore = true } = options;
+        const root = dirPath === '/' ? '' : dirPath.replace(/\/+$/, '');
+
+        let isGitIgnored = () => false;
+        if (respectGitignore) {
+            const gitignorePath = `${root}/.gitignore`;
+            const gitignore = await this.webContainerManager.fileExists(gitignorePath)
+                ? await this.webContainerManager.readFile(gitignorePath)
+                : '';
+            isGitIgnored = createGitIgnoreMatcher(gitignore);
+        }
+
+        const ignore = (fullPath, isDirectory) => {
+            const relativePath = fullPath.slice(root.length + 1);
+            // The gitignore matcher always ignores node_modules, so that choice is made here first
+            if (relativePath.split('/').includes('node_modules')) return excludeNodeModules;
+            return respectGitignore && isGitIgnored(relativePath, isDirectory);
+        };
+
+        const entries = await this.readTreeEntries(await this.readDirectoryRecursive(dirPath, { ignore }), root);
+
+        return {
+            bytes: await createZip(entries),
+            fileCount: entries.filter(entry => entry.type === 'file').length
+        };
+    }
+
+    /**
+     * Handle files dropped on the file explorer
+     * @param {FileList} files - Dropped files
+     */
+    handleFileDrop(files) {
+        const droppedFiles = [...(files || [])];
+        const archives = droppedFiles.filter(file => isArchiveFileName(file.name));
+        const otherFiles = droppedFiles.filter(file => !isArchiveFileName(file.name));
+
+        archives.forEach(file => {
+            document.dispatchEvent(new CustomEvent('archiveFileDropped', {
+                detail: { file }
+            }));
+        });
+
+        if (otherFiles.length > 0) {
+            this.handleFileUpload(otherFiles);
+        }
+    }
+
     /**
      * Handle file upload from user
      * @param {FileList} files - Files to upload
@@ -534,6 +855,8 @@ export class FileManager {
      * Cleanup resources
      */
     destroy() {
+        this.stopWatching();
+
         // Remove event listeners
         if (this.fileSearch) {
             this.fileSearch.removeEventListener('input', this.debouncedSearch);
@@ -0,0 +1,231 @@
+import { openDatabase, promisifyRequest, waitForTransaction } from '../../utils/idb.js';
+import { toFileSystemTree } from '../../utils/archive.js';
+
+/**
+ * Periodic snapshots of the WebContainer file system in IndexedDB, so edits survive page reloads.
+ * A single snapshot is kept; it is replaced on every save and restored on boot.
+ */
+export class WorkspaceSnapshots {
+    static DATABASE_NAME = 'browser-node-workspace';
+    static DATABASE_VERSION = 1;
+    static SNAPSHOT_KEY = 'workspace';
+    static SETTINGS_STORAGE_KEY = 'workspace-snapshot-settings';
+    // Autosave intervals offered in the snapshot dialog, in seconds (0 turns autosave off)
+    static INTERVALS = [0, 10, 30, 60, 300];
+    static DEFAULT_SETTINGS = { interval: 30, includeNodeModules: false };
+
+    /**
+     * @param {FileManager} fileManager - Reads the file tree and file contents
+     * @param {WebContainerManager} webContainerManager - Mounts restored files
+     */
+    constructor(fileManager, webContainerManager) {
+        this.fileManager = fileManager;
+        this.webContainer = webContainerManager;
+        this.databasePromise = null;
+        this.autosaveTimer = null;
+        // Returns the project state stored next to the files
+        this.getSessionState = () => null;
+        // File listing of the last save, to skip saves when nothing changed
+        this.lastSignature = null;
+        this.saving = null;
+    }
+
+    /**
+     * Open the snapshot database on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    getDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = openDatabase(WorkspaceSnapshots.DATABASE_NAME, WorkspaceSnapshots.DATABASE_VERSION, (database) => {
+                // Metadata is separate so showing the last save time never loads file data
+                database.createObjectStore('snapshots', { keyPath: 'key' });
+                database.createObjectStore('contents', { keyPath: 'key' });
+            }).catch(error => {
+                this.databasePromise = null;
+                throw error;
+            });
+        }
+        return this.databasePromise;
+    }
+
+    /**
+     * Get snapshot settings
+     * @returns {object} { interval: autosave interval in seconds (0 = off), includeNodeModules: boolean }
+     */
+    static getSettings() {
+        try {
+            const saved = localStorage.getItem(this.SETTINGS_STORAGE_KEY);
+            return saved ? { ...this.DEFAULT_SETTINGS, ...JSON.parse(saved) } : { ...this.DEFAULT_SETTINGS };
+        } catch (error) {
+            console.warn('Failed to read workspace snapshot settings:', error);
+            return { ...this.DEFAULT_SETTINGS };
+        }
+    }
+
+    /**
+     * Save snapshot settings
+     * @param {object} settings - { interval, includeNodeModules }
+     */
+    static saveSettings(settings) {
+        localStorage.setItem(this.SETTINGS_STORAGE_KEY, JSON.stringify({
+            interval: Math.max(0, Number(settings.interval) || 0),
+            includeNodeModules: !!settings.includeNodeModules
+        }));
+    }
+
+    /**
+     * Get the metadata of the stored snapshot
+     * @returns {Promise<object|null>} { key, savedAt, size, fileCount, includeNodeModules }, or null if there is none
+     */
+    async getInfo() {
+        const database = await this.getDatabase();
+        const store = database.transaction('snapshots').objectStore('snapshots');
+        return (await promisifyRequest(store.get(WorkspaceSnapshots.SNAPSHOT_KEY))) || null;
+    }
+
+    /**
+     * Load the stored snapshot
+     * @returns {Promise<object|null>} { info, session, entries }, or null if there is none
+     */
+    async load() {
+        const database = await this.getDatabase();
+        const transaction = database.transaction(['snapshots', 'contents']);
+        const info = await promisifyRequest(transaction.objectStore('snapshots').get(WorkspaceSnapshots.SNAPSHOT_KEY));
+        const contents = await promisifyRequest(transaction.objectStore('contents').get(WorkspaceSnapshots.SNAPSHOT_KEY));
+        if (!info || !contents) {
+            return null;
+        }
+        return { info, session: contents.session, entries: contents.entries };
+    }
+
+    /**
+     * Snapshot the workspace unless nothing changed since the last save
+     * @param {object} options - { force: save even if the file listing is unchanged }
+     * @returns {Promise<object|null>} Stored metadata, or null if the save was skipped
+     */
+    async save(options = {}) {
+        // Saves never overlap; an autosave tick during a slow save is dropped
+        if (this.saving) {
+            return options.force ? this.saving.then(() => this.save(options)) : null;
+        }
+
+        this.saving = this.performSave(options.force);
+        try {
+            return await this.saving;
+        } finally {
+            this.saving = null;
+        }
+    }
+
+    /**
+     * Read the workspace and write it to the database
+     * @param {boolean} force - Save even if the file listing is unchanged
+     * @returns {Promise<object|null>} Stored metadata, or null if the save was skipped
+     */
+    async performSave(force) {
+        if (!this.webContainer.getInstance()) {
+            return null;
+        }
+
+        const { includeNodeModules } = WorkspaceSnapshots.getSettings();
+        const tree = await this.fileManager.readDirectoryRecursive('/', {
+            ignore: (fullPath) => !includeNodeModules && fullPath.split('/').includes('node_modules')
+        });
+
+        const signature = WorkspaceSnapshots.createSignature(tree);
+        if (!force && signature !== null && signature === this.lastSignature) {
+            return null;
+        }
+
+        const entries = await this.fileManager.readTreeEntries(tree);
+        const info = {
+            key: WorkspaceSnapshots.SNAPSHOT_KEY,
+            savedAt: Date.now(),
+            size: entries.reduce((total, entry) => total + (entry.data?.length || 0), 0),
+            fileCount: entries.filter(entry => entry.type === 'file').length,
+            includeNodeModules
+        };
+
+        const database = await this.getDatabase();
+        const transaction = database.transaction(['snapshots', 'contents'], 'readwrite');
+        transaction.objectStore('snapshots').put(info);
+        transaction.objectStore('contents').put({ key: info.key, session: this.getSessionState(), entries });
+        await waitForTransaction(transaction);
+
+        this.lastSignature = signature;
+        return info;
+    }
+
+    /**
+     * Describe a file tree by paths, sizes and modification times
+     * @param {Array} tree - File tree from readDirectoryRecursive
+     * @returns {string|null} Signature, or null if some file has no stats (changes cannot be detected)
+     */
+    static createSignature(tree) {
+        const parts = [];
+        const visit = (items) => {
+            for (const item of items) {
+                if (item.type === 'directory') {
+                    parts.push(`${item.path}/`);
+                    if (!visit(item.children || [])) return false;
+                } else if (item.modified) {
+                    parts.push(`${item.path}:${item.size}:${item.modified.getTime()}`);
+                } else {
+                    return false;
+                }
+            }
+            return true;
+        };
+        return visit(tree) ? parts.join('\n') : null;
+    }
+
+    /**
+     * Mount a loaded snapshot into the WebContainer
+     * @param {object} snapshot - Snapshot from load()
+     * @returns {Promise<number>} Number of restored files
+     */
+    async restore(snapshot) {
+        await this.webContainer.mountFiles(toFileSystemTree(snapshot.entries), '/');
+        return snapshot.info.fileCount;
+    }
+
+    /**
+     * Delete the stored snapshot
+     */
+    async discard() {
+        const database = await this.getDatabase();
+        const transaction = database.transaction(['snapshots', 'contents'], 'readwrite');
+        transaction.objectStore('snapshots').delete(WorkspaceSnapshots.SNAPSHOT_KEY);
+        transaction.objectStore('contents').delete(WorkspaceSnapshots.SNAPSHOT_KEY);
+        await waitForTransaction(transaction);
+        this.lastSignature = null;
+    }
+
+    /**
+     * Start (or restart with the current interval setting) periodic saves
+     * @param {Function} getSessionState - Returns the project state to store with the files
+     */
+    startAutosave(getSessionState = this.getSessionState) {
+        this.stopAutosave();
+        this.getSessionState = getSessionState;
+
+        const { interval } = WorkspaceSnapshots.getSettings();
+        if (!interval) {
+            return;
+        }
+
+        this.autosaveTimer = setInterval(() => {
+            this.save().catch(error => console.warn('Workspace autosave failed:', error));
+        }, interval * 1000);
+    }
+
+    /**
+     * Stop periodic saves
+     */
+    stopAutosave() {
+        if (this.autosaveTimer) {
+            clearInterval(this.autosaveTimer);
+            this.autosaveTimer = null;
+        }
+    }
+}
@@ -61,8 +61,9 @@ export class FileExplorerHelper {
      * Create collapsible file tree with expand/collapse functionality
      * @param {Array} files - File tree array
      * @param {HTMLElement} container - Container element
+     * @param {Set<string>} expandedPaths - Directories to render expanded
      */
-    static renderCollapsibleFileTree(files, container) {
+    static renderCollapsibleFileTree(files, container, expandedPaths = new Set()) {
         if (!container) return;
 
         container.innerHTML = '';
@@ -78,19 +79,22 @@ export class FileExplorerHelper {
                 
                 if (item.type === 'directory' && item.children && item.children.length > 0) {
                     // Directory with children - add expand/collapse
+                    const expanded = expandedPaths.has(item.path);
                     const expandIcon = document.createElement('span');
                     expandIcon.className = 'expand-icon';
-                    expandIcon.textContent = '▶';
+                    expandIcon.textContent = expanded ? '▼' : '▶';
                     expandIcon.style.cursor = 'pointer';
                     expandIcon.style.marginRight = '5px';
                     
+                    // Appended as text so the icon element (and its click handler) stays in place
                     span.appendChild(expandIcon);
-                    span.innerHTML += `${icon} ${item.name}`;
+                    span.append(`${icon} ${item.name}`);
                     span.className = 'directory expandable';
                     
                     const childrenContainer = document.createElement('ul');
-                    childrenContainer.className = 'file-tree-children collapsed';
-                    childrenContainer.style.display = 'none';
+                    childrenContainer.className = expanded ? 'file-tree-children expanded' : 'file-tree-children collapsed';
+                    childrenContainer.style.display = expanded ? 'block' : 'none';
+                    childrenContainer.dataset.path = item.path;
                     
                     expandIcon.onclick = (e) => {
                         e.stopPropagation();
@@ -123,6 +127,16 @@ export class FileExplorerHelper {
                     
                     li.appendChild(span);
                 }
+
+                if (item.type === 'directory') {
+                    span.oncontextmenu = (e) => {
+                        e.preventDefault();
+                        container.dispatchEvent(new CustomEvent('fileContextMenu', {
+                            detail: { file: item, x: e.clientX, y: e.clientY },
+                            bubbles: true
+                        }));
+                    };
+                }
                 
                 parentElement.appendChild(li);
             });
@@ -131,6 +145,38 @@ export class FileExplorerHelper {
         renderItems(files, container);
     }
 
+    /**
+     * Show a context menu at a position; it closes on the next click anywhere
+     * @param {number} x - Viewport x
+     * @param {number} y - Viewport y
+     * @param {Array} items - Menu items: { label, onClick }
+     */
+    static showContextMenu(x, y, items) {
+        document.querySelector('.file-context-menu')?.remove();
+
+        const menu = document.createElement('div');
+        menu.className = 'file-context-menu';
+        menu.style.cssText = `position: fixed; left: ${x}px; top: ${y}px; z-index: 1000; background: #2d2d2d;`
+            + ' border: 1px solid #404040; border-radius: 4px; padding: 4px 0; min-width: 160px; box-shadow: 0 4px 12px rgba(0,0,0,0.4);';
+
+        items.forEach(item => {
+            const option = document.createElement('div');
+            option.textContent = item.label;
+            option.style.cssText = 'padding: 6px 12px; cursor: pointer; color: #e0e0e0;';
+            option.onmouseenter = () => { option.style.background = '#404040'; };
+            option.onmouseleave = () => { option.style.background = ''; };
+            option.onclick = () => {
+                menu.remove();
+                item.onClick();
+            };
+            menu.appendChild(option);
+        });
+
+        document.body.appendChild(menu);
+        // Registered after the current event so the opening click does not close it
+        setTimeout(() => document.addEventListener('click', () => menu.remove(), { once: true }));
+    }
+
     /**
      * Filter files based on search criteria
      * @param {Array} files - File tree array
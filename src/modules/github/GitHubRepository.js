@@ -1,63 +1,579 @@
-import { GitHubApiHelper, ProjectTypeHelper, FileTemplateHelper } from './helpers.js';
-import { parseGitHubUrl } from '../../utils/github.js';
+import { GitHubApiHelper, GitHubAuthHelper, CorsProxyHelper, FileTemplateHelper, WorkspaceHelper, NpmRegistryHelper } from './helpers.js';
+import { RepositoryProviderHelper } from './providers.js';
+import { RepositoryCache } from './RepositoryCache.js';
+import { generateGitHubUrl, generateGitHubPullRequestUrl, normalizeSubpath, isCommitSha } from '../../utils/github.js';
+import { computeGitBlobSha, createGitIgnoreMatcher, toGitFileMode, ALWAYS_IGNORED } from '../../utils/git.js';
+import { gunzip, untar, toFileSystemTree, getFileSystemSubtree, countFileSystemTreeFiles, extractArchive, stripSingleTopFolder, isArchiveFileName } from '../../utils/archive.js';
+import { formatBytes } from '../../utils/common.js';
+import { DEFAULT_NPM_REGISTRY, parseNpmPackageSpec, generateNpmPackagePageUrl, getNpmProjectName } from '../../utils/npm.js';
+import { AsyncHelper, ProjectDetector } from '../../helpers/index.js';
+import { CompatibilityHelper } from '../webcontainer/helpers.js';
 
 export class GitHubRepository {
     constructor(webcontainerManager, terminalManager) {
         this.webcontainer = webcontainerManager;
         this.terminal = terminalManager;
+        // Imported baseline: project-relative path → { sha: git blob SHA, mode: git file mode }
         this.projectFiles = new Map();
         this.currentProject = null;
+        this.baseCommitSha = null;
+        this.enhancements = [];
+        // Projects loaded in this workspace: project path → saved state (see getSessionState)
+        this.projects = new Map();
+        // Source-hosting provider the current project is imported from
+        this.provider = null;
+        this.cache = new RepositoryCache();
+        // Aborts the import in progress
+        this.importController = null;
+    }
+
+    static IMPORT_MODE_STORAGE_KEY = 'github-import-mode';
+    static IMPORT_MODES = ['auto', 'faithful', 'enhanced'];
+    // Parallel file downloads per import, within the browser's per-host connection limit
+    static IMPORT_CONCURRENCY = 6;
+    static IMPORT_RETRIES = 2;
+    // How deep "**" workspace globs are searched for packages
+    static WORKSPACE_SEARCH_DEPTH = 4;
+
+    /**
+     * Get the import mode preference
+     * 'faithful' writes the repository byte-for-byte, 'enhanced' adds template scripts and
+     * fallback files, 'auto' is faithful for full-tree imports and enhanced for partial ones
+     * @returns {string} Import mode
+     */
+    getImportMode() {
+        const mode = localStorage.getItem(GitHubRepository.IMPORT_MODE_STORAGE_KEY);
+        return GitHubRepository.IMPORT_MODES.includes(mode) ? mode : 'auto';
+    }
+
+    /**
+     * Set the import mode preference
+     * @param {string} mode - 'auto', 'faithful' or 'enhanced'
+     */
+    setImportMode(mode) {
+        if (!GitHubRepository.IMPORT_MODES.includes(mode)) {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+        localStorage.setItem(GitHubRepository.IMPORT_MODE_STORAGE_KEY, mode);
+    }
+
+    /**
+     * Resolve the import mode for a load
+     * @param {boolean} complete - Whether the whole repository tree was imported
+     * @returns {string} 'faithful' or 'enhanced'
+     */
+    resolveImportMode(complete) {
+        const mode = this.getImportMode();
+        if (mode === 'auto') {
+            return complete ? 'faithful' : 'enhanced';
+        }
+        return mode;
     }
 
     /**
-     * Load GitHub repository by URL
-     * @param {string} githubUrl - GitHub repository URL
+     * Load a repository by URL from GitHub or another configured host
+     * @param {string} githubUrl - Repository URL, optionally pointing at a ref and subdirectory or a pull request,
+     *   a gist URL or an archive URL
      * @returns {Promise<object>} Project information
      */
     async loadRepository(githubUrl) {
-        const parsed = parseGitHubUrl(githubUrl);
+        if (/^https?:\/\//i.test(githubUrl.trim()) && isArchiveFileName(githubUrl.trim())) {
+            return this.loadArchive(githubUrl.trim());
+        }
+
+        const provider = RepositoryProviderHelper.findProvider(githubUrl);
+        const parsed = provider?.parseUrl(githubUrl);
         if (!parsed) {
-            throw new Error('Invalid GitHub URL format');
+            throw new Error('Unsupported repository URL. Add self-hosted GitLab, Gitea or Bitbucket hosts in GitHub settings.');
+        }
+
+        if (parsed.gistId) {
+            return this.loadGist(parsed.gistId);
         }
 
         const { owner, repo } = parsed;
-        this.terminal.writeln(`🔄 Loading GitHub repository: ${owner}/${repo}`, 'info');
+        this.terminal.writeln(`🔄 Loading ${provider.name} repository: ${owner}/${repo}`, 'info');
+
+        const controller = this.startImport();
+        const { signal } = controller;
+        let directory = null;
 
         try {
-            // Fetch repository information and package.json in parallel
-            const [repoData, packageJsonContent] = await Promise.all([
-                GitHubApiHelper.fetchRepositoryInfo(owner, repo),
-                GitHubApiHelper.fetchFileContent(owner, repo, 'package.json')
-            ]);
+            const repoData = await provider.fetchRepositoryInfo(owner, repo);
+            signal.throwIfAborted();
+            this.provider = provider;
+
+            const pullRequest = parsed.pullNumber
+                ? await this.fetchPullRequestInfo(owner, repo, parsed.pullNumber)
+                : null;
+
+            // Branch names may contain slashes, so split "<ref>/<path>" against the real refs
+            let ref;
+            let subpath = '';
+            if (pullRequest) {
+                ref = pullRequest.headSha;
+            } else if (parsed.ref) {
+                ({ ref, subpath } = await provider.resolveRefAndSubpath(owner, repo, parsed.ref, normalizeSubpath(parsed.subpath)));
+            } else {
+                ref = repoData.default_branch || 'main';
+            }
 
             this.terminal.writeln(`📦 Repository: ${repoData.full_name}`, 'success');
             if (repoData.description) {
                 this.terminal.writeln(`📄 Description: ${repoData.description}`);
             }
+            this.terminal.writeln(`🌿 Ref: ${ref}`);
+            if (subpath) {
+                this.terminal.writeln(`📁 Subdirectory: ${subpath}`);
+            }
+
+            // Pin the import to a commit so the baseline matches what a later commit builds on
+            const commitSha = await this.resolveCommitSha(owner, repo, ref);
+            const cached = commitSha ? await this.getCachedRepository(owner, repo, commitSha, subpath) : null;
+
+            const packageJsonPath = subpath ? `${subpath}/package.json` : 'package.json';
+            const packageJsonContent = cached
+                ? this.readCachedFile(cached.entries, packageJsonPath)
+                : await provider.fetchFileContent(owner, repo, packageJsonPath, ref);
+            signal.throwIfAborted();
+
+            // Reloading a URL replaces its project; other repositories with the same name get their own directory
+            const url = pullRequest ? pullRequest.url : provider.generateUrl(owner, repo, ref, subpath);
+            directory = await this.resolveProjectDirectory(repo, url);
 
             // Create project from repository data
-            const project = await this.createProjectFromRepository(owner, repo, repoData, packageJsonContent);
-            this.currentProject = project;
+            const project = await this.createProjectFromRepository(owner, repo, repoData, packageJsonContent, ref, subpath, { commitSha, cached, directory, url });
+            this.setCurrentProject(project);
+            await this.detectWorkspaces(project);
+            await this.analyzeCompatibility(project);
+
+            if (pullRequest) {
+                // Same-repo PRs can be committed to directly; fork PRs stay on the head commit
+                if (pullRequest.headRepo === repoData.full_name) {
+                    project.ref = pullRequest.headRef;
+                }
+                project.pullRequest = pullRequest;
+
+                document.dispatchEvent(new CustomEvent('pullRequestLoaded', {
+                    detail: { project, pullRequest }
+                }));
+            }
 
             return project;
 
         } catch (error) {
-            console.error('Error loading GitHub repository:', error);
+            if (signal.aborted) {
+                // A half-written project has no usable baseline
+                this.clearCurrentProject();
+                this.terminal.writeln('');
+                this.terminal.writeln(`⏹️ Import of ${owner}/${repo} cancelled${directory ? `; files written so far remain in /${directory}` : ''}`, 'warning');
+                throw this.createCancelledError();
+            }
+
+            console.error(`Error loading ${provider.name} repository:`, error);
+            if (error.code === 'GITHUB_AUTH') {
+                this.terminal.writeln(`🔒 ${error.message}`, 'error');
+            }
+            throw error;
+        } finally {
+            this.finishImport(controller);
+        }
+    }
+
+    /**
+     * Start tracking a new import, cancelling any import still running
+     * @returns {AbortController} Controller of the new import
+     */
+    startImport() {
+        this.importController?.abort();
+        this.importController = new AbortController();
+
+        document.dispatchEvent(new CustomEvent('repositoryImportStateChanged', { detail: { active: true } }));
+        return this.importController;
+    }
+
+    /**
+     * Stop tracking an import
+     * @param {AbortController} controller - Controller returned by startImport
+     */
+    finishImport(controller) {
+        // A newer import may already have replaced this one
+        if (this.importController !== controller) return;
+
+        this.importController = null;
+        document.dispatchEvent(new CustomEvent('repositoryImportStateChanged', { detail: { active: false } }));
+    }
+
+    /**
+     * Cancel the import in progress
+     * @returns {boolean} Whether an import was running
+     */
+    cancelImport() {
+        if (!this.importController) return false;
+
+        this.importController.abort();
+        return true;
+    }
+
+    /**
+     * Check whether an import is running
+     * @returns {boolean} Import in progress
+     */
+    isImporting() {
+        return this.importController !== null;
+    }
+
+    /**
+     * Fetch a pull request and the files it changes
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} number - Pull request number
+     * @returns {Promise<object>} { number, title, url, author, headRef, headSha, headRepo, baseRef, files }
+     */
+    async fetchPullRequestInfo(owner, repo, number) {
+        const data = await GitHubApiHelper.fetchPullRequest(owner, repo, number);
+
+        this.terminal.writeln(`🔀 Pull request #${number}: ${data.title}`, 'info');
+        this.terminal.writeln(`   ${data.head.label} → ${data.base.ref} (${data.state})`);
+
+        let files = [];
+        try {
+            files = await GitHubApiHelper.fetchPullRequestFiles(owner, repo, number);
+            const additions = files.reduce((sum, file) => sum + file.additions, 0);
+            const deletions = files.reduce((sum, file) => sum + file.deletions, 0);
+            this.terminal.writeln(`📝 ${files.length} files changed (+${additions} −${deletions})`);
+        } catch (error) {
+            console.warn(`Failed to list files of pull request #${number}:`, error);
+            this.terminal.writeln(`⚠️ Could not list changed files: ${error.message}`, 'warning');
+        }
+
+        return {
+            number,
+            title: data.title,
+            url: generateGitHubPullRequestUrl(owner, repo, number),
+            author: data.user?.login || null,
+            headRef: data.head.ref,
+            headSha: data.head.sha,
+            // Null when the fork was deleted; its commits are still reachable from the base repository
+            headRepo: data.head.repo?.full_name || null,
+            baseRef: data.base.ref,
+            files
+        };
+    }
+
+    /**
+     * Load every file of a gist into a project directory
+     * @param {string} gistId - Gist ID
+     * @returns {Promise<object>} Project information, with gist: { id, url, owner, description, public }
+     */
+    async loadGist(gistId) {
+        this.terminal.writeln(`🔄 Loading gist: ${gistId}`, 'info');
+
+        try {
+            const gist = await GitHubApiHelper.fetchGist(gistId);
+            const files = Object.values(gist.files || {});
+            const name = await this.resolveProjectDirectory(`gist-${gist.id.slice(0, 8)}`, gist.html_url);
+
+            this.terminal.writeln(`📦 Gist by ${gist.owner?.login || 'anonymous'}: ${gist.description || gist.id}`, 'success');
+
+            await this.createProjectDirectory(name);
+            this.startNewProject();
+
+            for (const file of files) {
+                await this.webcontainer.writeFile(`${name}/${file.filename}`, file.content);
+                await this.recordBaselineFile(file.filename, file.content);
+                this.terminal.writeln(`📄 ${file.filename} (${formatBytes(file.size)})`);
+            }
+
+            let packageJson = null;
+            let projectType = 'node';
+            if (gist.files['package.json']) {
+                try {
+                    packageJson = JSON.parse(gist.files['package.json'].content);
+                    projectType = ProjectDetector.detectProjectType(packageJson);
+                } catch (error) {
+                    console.warn('Failed to parse gist package.json:', error);
+                }
+            }
+
+            this.terminal.writeln(`✅ Loaded ${files.length} files into /${name}`, 'success');
+            this.notifyEnhancementsChanged();
+
+            const packageManager = ProjectDetector.detectPackageManager(packageJson, Object.keys(gist.files));
+            const instructions = ProjectDetector.getQuickStartInstructions(projectType, name, packageJson, packageManager);
+            instructions.forEach(instruction => this.terminal.writeln(instruction));
+
+            this.setCurrentProject({
+                name,
+                owner: gist.owner?.login || null,
+                type: projectType,
+                path: `/${name}`,
+                ref: null,
+                subpath: '',
+                url: gist.html_url,
+                commitSha: null,
+                filesCreated: files.length,
+                importMode: 'faithful',
+                enhancements: this.enhancements,
+                packageJson,
+                packageManager,
+                repoData: null,
+                provider: 'github',
+                gist: this.createGistInfo(gist)
+            });
+
+            return this.currentProject;
+
+        } catch (error) {
+            console.error('Error loading gist:', error);
+            if (error.code === 'GITHUB_AUTH') {
+                this.terminal.writeln(`🔒 ${error.message}`, 'error');
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Load the published tarball of an npm package version into a project directory
+     * @param {string} spec - Package spec: name, name@version, name@range or name@dist-tag
+     * @returns {Promise<object>} Project information, with npm: { name, version, registry, tarball }
+     */
+    async loadNpmPackage(spec) {
+        const parsed = parseNpmPackageSpec(spec);
+        if (!parsed) {
+            throw new Error(`Invalid npm package: ${spec}`);
+        }
+
+        const registry = NpmRegistryHelper.getRegistry();
+        this.terminal.writeln(`🔄 Loading npm package: ${parsed.name}@${parsed.version}`, 'info');
+
+        const controller = this.startImport();
+        const { signal } = controller;
+        let name = null;
+
+        try {
+            const packument = await NpmRegistryHelper.fetchPackument(registry, parsed.name, signal);
+            const version = NpmRegistryHelper.resolveVersion(packument, parsed.version);
+            const { dist } = packument.versions[version];
+            name = getNpmProjectName(parsed.name, version);
+
+            this.terminal.writeln(`📦 ${parsed.name}@${version} from ${registry}`, 'success');
+            this.terminal.writeln(`📥 Downloading ${dist.tarball.split('/').pop()}...`, 'info');
+
+            let knownTotal = false;
+            const tarball = await NpmRegistryHelper.fetchTarball(dist, (loaded, total) => {
+                knownTotal = !!total;
+                if (total) {
+                    this.terminal.writeProgress(loaded, total, `${formatBytes(loaded)} / ${formatBytes(total)}`);
+                } else {
+                    this.terminal.write(`\r📥 Downloaded ${formatBytes(loaded)}`);
+                }
+            }, signal);
+            if (!knownTotal) {
+                this.terminal.writeln('');
+            }
+
+            const verified = await NpmRegistryHelper.verifyIntegrity(tarball, dist);
+            if (verified) {
+                this.terminal.writeln(`🔏 Tarball matches the published ${verified} checksum`);
+            } else {
+                this.terminal.writeln('⚠️ The registry published no checksum for this tarball', 'warning');
+            }
+
+            // Package tarballs wrap their files in a single top-level folder, usually "package/"
+            const { entries } = untar(await gunzip(tarball));
+            const packageEntries = entries
+                .map(entry => ({ ...entry, path: entry.path.split('/').slice(1).join('/') }))
+                .filter(entry => entry.path);
+            signal.throwIfAborted();
+
+            return await this.createProjectFromEntries(name, packageEntries, {
+                ref: version,
+                url: registry === DEFAULT_NPM_REGISTRY ? generateNpmPackagePageUrl(parsed.name, version) : dist.tarball,
+                provider: 'npm',
+                npm: { name: parsed.name, version, registry, tarball: dist.tarball }
+            });
+
+        } catch (error) {
+            if (signal.aborted) {
+                this.clearCurrentProject();
+                this.terminal.writeln('');
+                this.terminal.writeln(`⏹️ Loading ${parsed.name} cancelled${name ? `; files written so far remain in /${name}` : ''}`, 'warning');
+                throw this.createCancelledError();
+            }
+
+            console.error('Error loading npm package:', error);
             throw error;
+        } finally {
+            this.finishImport(controller);
         }
     }
 
+    /**
+     * Load a .zip, .tar.gz, .tgz or .tar archive from a URL or a local file as a project
+     * @param {string|File} source - Archive URL, or a file picked or dropped by the user
+     * @returns {Promise<object>} Project information, with archive: { source, size }
+     */
+    async loadArchive(source) {
+        const isFile = typeof source !== 'string';
+        const fileName = isFile ? source.name : decodeURIComponent(new URL(source).pathname.split('/').pop() || 'archive');
+        const name = fileName.replace(/\.(zip|tar|tar\.gz|tgz)$/i, '').replace(/[^\w.-]+/g, '-') || 'archive';
+        this.terminal.writeln(`🔄 Loading archive: ${fileName}`, 'info');
+
+        const controller = this.startImport();
+        const { signal } = controller;
+
+        try {
+            let bytes;
+            if (isFile) {
+                bytes = new Uint8Array(await source.arrayBuffer());
+            } else {
+                let knownTotal = false;
+                bytes = await CorsProxyHelper.fetchBytes(source, (loaded, total) => {
+                    knownTotal = !!total;
+                    if (total) {
+                        this.terminal.writeProgress(loaded, total, `${formatBytes(loaded)} / ${formatBytes(total)}`);
+                    } else {
+                        this.terminal.write(`\r📥 Downloaded ${formatBytes(loaded)}`);
+                    }
+                }, signal);
+                if (!knownTotal) {
+                    this.terminal.writeln('');
+                }
+            }
+
+            const { entries, root } = stripSingleTopFolder(await extractArchive(bytes));
+            signal.throwIfAborted();
+            if (root) {
+                this.terminal.writeln(`📂 Using the contents of ${root}/`);
+            }
+
+            return await this.createProjectFromEntries(name, entries, {
+                url: isFile ? null : source,
+                provider: 'archive',
+                archive: { source: isFile ? fileName : source, size: bytes.length }
+            });
+
+        } catch (error) {
+            if (signal.aborted) {
+                this.clearCurrentProject();
+                this.terminal.writeln('');
+                this.terminal.writeln(`⏹️ Loading ${fileName} cancelled`, 'warning');
+                throw this.createCancelledError();
+            }
+
+            console.error('Error loading archive:', error);
+            throw error;
+        } finally {
+            this.finishImport(controller);
+        }
+    }
+
+    /**
+     * Mount extracted files as the current project when they do not come from a Git host
+     * @param {string} name - Project name, and the directory unless another project uses it
+     * @param {Array} entries - Entries relative to the project root: { path, type, data, linkTarget, mode }
+     * @param {object} info - Project fields describing the source: { provider, url, ref, ... }
+     * @returns {Promise<object>} Project information
+     */
+    async createProjectFromEntries(name, entries, info) {
+        const directory = await this.resolveProjectDirectory(name, info.url || null);
+        await this.createProjectDirectory(directory);
+        this.startNewProject();
+
+        const filesCreated = await this.mountEntries(directory, entries, '', name);
+        this.terminal.writeln(`✅ Extracted ${filesCreated} files into /${directory}`, 'success');
+        this.notifyEnhancementsChanged();
+
+        let packageJson = null;
+        let projectType = 'node';
+        const packageJsonContent = this.readCachedFile(entries, 'package.json');
+        if (packageJsonContent) {
+            try {
+                packageJson = JSON.parse(packageJsonContent);
+                projectType = ProjectDetector.detectProjectType(packageJson);
+            } catch (error) {
+                console.warn('Failed to parse package.json:', error);
+            }
+        }
+
+        const packageManager = await this.detectPackageManager(directory, packageJson);
+        const instructions = ProjectDetector.getQuickStartInstructions(projectType, directory, packageJson, packageManager);
+        instructions.forEach(instruction => this.terminal.writeln(instruction));
+
+        const project = {
+            name,
+            owner: null,
+            type: projectType,
+            path: `/${directory}`,
+            ref: null,
+            subpath: '',
+            url: null,
+            commitSha: null,
+            filesCreated,
+            importMode: 'faithful',
+            enhancements: this.enhancements,
+            packageJson,
+            packageManager,
+            repoData: null,
+            ...info
+        };
+        this.setCurrentProject(project);
+        await this.detectWorkspaces(project);
+        await this.analyzeCompatibility(project);
+
+        return project;
+    }
+
+    /**
+     * Create the error thrown when the user cancels an import
+     * @returns {Error} Error named AbortError
+     */
+    createCancelledError() {
+        const cancelled = new Error('Import cancelled');
+        cancelled.name = 'AbortError';
+        return cancelled;
+    }
+
+    /**
+     * Pick the gist fields kept on a project
+     * @param {object} gist - Gist data from the API
+     * @returns {object} { id, url, owner, description, public }
+     */
+    createGistInfo(gist) {
+        return {
+            id: gist.id,
+            url: gist.html_url,
+            owner: gist.owner?.login || null,
+            description: gist.description || '',
+            public: gist.public
+        };
+    }
+
     /**
      * Create project structure from GitHub repository
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
      * @param {object} repoData - Repository metadata
      * @param {string} packageJsonContent - Package.json content
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {string} subpath - Subdirectory to use as the project root
+     * @param {object} options - { commitSha: commit the ref resolved to, cached: cached import from getCachedRepository, directory: project directory (defaults to the repository name), url }
      * @returns {Promise<object>} Created project info
      */
-    async createProjectFromRepository(owner, repo, repoData, packageJsonContent) {
-        // Create project directory
-        await this.webcontainer.mkdir(repo);
+    async createProjectFromRepository(owner, repo, repoData, packageJsonContent, ref, subpath = '', options = {}) {
+        const {
+            commitSha = null,
+            cached = null,
+            directory = repo,
+            url = this.provider.generateUrl(owner, repo, ref, subpath)
+        } = options;
+
+        await this.createProjectDirectory(directory);
+        this.startNewProject();
+
+        this.baseCommitSha = commitSha;
+        const importRef = this.baseCommitSha || ref;
 
         // Parse package.json and detect project type
         let packageJson = null;
@@ -66,7 +582,7 @@ export class GitHubRepository {
         if (packageJsonContent) {
             try {
                 packageJson = JSON.parse(packageJsonContent);
-                projectType = ProjectTypeHelper.detectProjectType(packageJson);
+                projectType = ProjectDetector.detectProjectType(packageJson);
                 this.terminal.writeln(
                     `📦 Found package.json with ${Object.keys(packageJson.dependencies || {}).length} dependencies`,
                     'success'
@@ -76,31 +592,380 @@ export class GitHubRepository {
             }
         }
 
-        // Create or enhance package.json
-        const finalPackageJson = this.createEnhancedPackageJson(repo, owner, repoData, packageJson, projectType);
-        await this.webcontainer.writeFile(
-            `${repo}/package.json`,
-            JSON.stringify(finalPackageJson, null, 2)
-        );
+        // Fetch and create project files exactly as they are in the repository
+        const { filesCreated, complete } = cached
+            ? await this.createFilesFromCache(directory, cached, subpath)
+            : await this.createProjectFiles(owner, repo, repoData, projectType, importRef, subpath, directory);
 
-        // Fetch and create common project files
-        const filesCreated = await this.createProjectFiles(owner, repo, repoData, projectType);
+        // Partial imports only fetch well-known files, so make sure the original package.json is there
+        if (packageJsonContent && !(await this.webcontainer.fileExists(`${directory}/package.json`))) {
+            await this.webcontainer.writeFile(`${directory}/package.json`, packageJsonContent);
+            await this.recordBaselineFile('package.json', packageJsonContent);
+        }
+
+        const importMode = this.resolveImportMode(complete);
+        let finalPackageJson = packageJson;
+
+        if (importMode === 'enhanced') {
+            finalPackageJson = await this.applyEnhancements(owner, repo, repoData, packageJson, projectType, filesCreated, directory);
+        } else {
+            this.terminal.writeln('🔒 Faithful import: files are exactly as in the repository', 'info');
+        }
+        this.notifyEnhancementsChanged();
+
+        const packageManager = await this.detectPackageManager(directory, packageJson);
+        // Dependencies added by the enhanced import are not in the lockfile, and a frozen install would refuse them
+        if (packageManager.lockfile && this.hasAddedDependencies(packageJson, finalPackageJson)) {
+            this.terminal.writeln(`⚠️ Enhanced import added dependencies that ${packageManager.lockfile} does not pin; they are installed without the frozen lockfile`, 'warning');
+            packageManager.lockfile = null;
+        }
+        this.terminal.writeln(`📦 Package manager: ${packageManager.name}${packageManager.lockfile ? ` (${packageManager.lockfile})` : ''}`);
 
         // Show project type specific instructions
-        const instructions = ProjectTypeHelper.getQuickStartInstructions(projectType, repo);
+        const instructions = ProjectDetector.getQuickStartInstructions(projectType, directory, finalPackageJson, packageManager);
         instructions.forEach(instruction => this.terminal.writeln(instruction));
 
         return {
             name: repo,
             owner,
             type: projectType,
-            path: `/${repo}`,
+            path: `/${directory}`,
+            ref,
+            subpath,
+            provider: this.provider.id,
+            url,
+            commitSha: this.baseCommitSha,
             filesCreated,
+            importMode,
+            enhancements: this.enhancements,
             packageJson: finalPackageJson,
+            packageManager,
             repoData
         };
     }
 
+    /**
+     * Check whether an enhanced package.json declares dependencies the original did not
+     * @param {object|null} original - package.json as in the repository
+     * @param {object} enhanced - package.json written by the enhanced import
+     * @returns {boolean} Whether a dependency was added or its range changed
+     */
+    hasAddedDependencies(original, enhanced) {
+        return ['dependencies', 'devDependencies'].some(field => {
+            return Object.entries(enhanced?.[field] || {}).some(([name, range]) => original?.[field]?.[name] !== range);
+        });
+    }
+
+    /**
+     * Detect the package manager of an imported project from package.json and its lockfiles
+     * @param {string} repo - Project directory
+     * @param {object} packageJson - Parsed package.json
+     * @returns {Promise<object>} Result of ProjectDetector.detectPackageManager
+     */
+    async detectPackageManager(repo, packageJson) {
+        const files = [];
+        for (const name of Object.keys(ProjectDetector.LOCKFILES)) {
+            if (await this.webcontainer.fileExists(`${repo}/${name}`)) {
+                files.push(name);
+            }
+        }
+        return ProjectDetector.detectPackageManager(packageJson, files);
+    }
+
+    /**
+     * Detect npm/yarn/pnpm workspaces and Lerna, Turborepo or Nx layouts in the imported project
+     * @param {object} project - Imported project
+     * @returns {Promise<object|null>} { tools, packages }, or null if the project is not a monorepo
+     */
+    async detectWorkspaces(project) {
+        let workspaces = null;
+
+        try {
+            const readRootFile = async (name) => {
+                const filePath = `${project.path}/${name}`;
+                return await this.webcontainer.fileExists(filePath) ? await this.webcontainer.readFile(filePath) : null;
+            };
+            const readRootJson = async (name) => {
+                const content = await readRootFile(name);
+                if (content === null) return null;
+                try {
+                    return JSON.parse(content);
+                } catch (error) {
+                    console.warn(`Failed to parse ${name}:`, error);
+                    return {};
+                }
+            };
+
+            const config = WorkspaceHelper.detectWorkspaceConfig({
+                packageJson: project.packageJson,
+                pnpmWorkspace: await readRootFile('pnpm-workspace.yaml'),
+                lernaJson: await readRootJson('lerna.json'),
+                turboJson: await readRootJson('turbo.json'),
+                nxJson: await readRootJson('nx.json'),
+                packageManager: project.packageManager?.name
+            });
+
+            if (config) {
+                workspaces = {
+                    tools: config.tools,
+                    packages: await this.findWorkspacePackages(project.path, config.patterns, project.packageManager)
+                };
+                this.reportWorkspaces(workspaces);
+            }
+        } catch (error) {
+            console.warn('Failed to detect workspaces:', error);
+        }
+
+        project.workspaces = workspaces;
+        project.activePackage = null;
+        document.dispatchEvent(new CustomEvent('workspacesDetected', {
+            detail: { project, workspaces }
+        }));
+
+        return workspaces;
+    }
+
+    /**
+     * Find the packages matched by workspace globs
+     * @param {string} repo - Project directory
+     * @param {string[]} patterns - Workspace globs
+     * @param {object} packageManager - Package manager of the repository
+     * @returns {Promise<Array<object>>} Packages from WorkspaceHelper.createPackageInfo, sorted by path
+     */
+    async findWorkspacePackages(repo, patterns, packageManager) {
+        const matches = WorkspaceHelper.createPatternMatcher(patterns);
+        const maxDepth = GitHubRepository.WORKSPACE_SEARCH_DEPTH;
+
+        const manifests = await this.webcontainer.listFiles(repo, {
+            ignore: (relativePath, isDirectory) => {
+                const segments = relativePath.split('/');
+                if (segments.some(segment => ALWAYS_IGNORED.includes(segment))) return true;
+                return isDirectory ? segments.length > maxDepth : segments[segments.length - 1] !== 'package.json';
+            }
+        });
+
+        const packages = [];
+        for (const manifest of manifests) {
+            const directory = manifest.split('/').slice(0, -1).join('/');
+            if (!directory || !matches(directory)) continue;
+
+            try {
+                const packageJson = JSON.parse(await this.webcontainer.readFile(`${repo}/${manifest}`));
+                packages.push(WorkspaceHelper.createPackageInfo(directory, packageJson, packageManager));
+            } catch (error) {
+                console.warn(`Skipping workspace package ${directory}:`, error);
+            }
+        }
+
+        return packages.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    /**
+     * Write the detected workspace packages to the terminal
+     * @param {object} workspaces - { tools, packages }
+     */
+    reportWorkspaces(workspaces) {
+        this.terminal.writeln(`🧩 Monorepo detected (${workspaces.tools.join(', ')})`, 'info');
+
+        if (workspaces.packages.length === 0) {
+            this.terminal.writeln('   No workspace packages found', 'warning');
+            return;
+        }
+
+        workspaces.packages.forEach(pkg => {
+            const port = pkg.port ? `, port ${pkg.port}` : '';
+            this.terminal.writeln(`   • ${pkg.name} (${pkg.path}) — ${pkg.type}${port}`);
+        });
+        this.terminal.writeln('💡 Pick a package to run with "📦 Packages"');
+    }
+
+    /**
+     * Check the project's dependencies, lockfile and engine requirements against what WebContainer can run
+     * @param {object} project - Imported project
+     * @returns {Promise<object|null>} Report from CompatibilityHelper.analyze, or null if it could not be created
+     */
+    async analyzeCompatibility(project) {
+        let report = null;
+
+        try {
+            const manifests = [];
+            if (project.packageJson) {
+                manifests.push({ path: '', packageJson: project.packageJson });
+            }
+            (project.workspaces?.packages || []).forEach(pkg => {
+                manifests.push({ path: pkg.path, packageJson: pkg.packageJson });
+            });
+
+            const lockfiles = [];
+            for (const name of CompatibilityHelper.LOCKFILES) {
+                const filePath = `${project.path}/${name}`;
+                if (await this.webcontainer.fileExists(filePath)) {
+                    lockfiles.push({ name, content: await this.webcontainer.readFile(filePath) });
+                }
+            }
+
+            const nodeVersion = this.webcontainer.getEnvironmentInfo()?.nodeVersion;
+            report = CompatibilityHelper.analyze({
+                manifests,
+                lockfiles,
+                nodeVersion: nodeVersion && nodeVersion !== 'unknown' ? nodeVersion : null,
+                hasBindingGyp: await this.webcontainer.fileExists(`${project.path}/binding.gyp`)
+            });
+            this.reportCompatibility(report);
+        } catch (error) {
+            console.warn('Failed to analyze compatibility:', error);
+        }
+
+        project.compatibility = report;
+        document.dispatchEvent(new CustomEvent('compatibilityAnalyzed', {
+            detail: { project, report }
+        }));
+
+        return report;
+    }
+
+    /**
+     * Write a compatibility report summary to the terminal
+     * @param {object} report - Report from CompatibilityHelper.analyze
+     */
+    reportCompatibility(report) {
+        if (report.issues.length === 0) {
+            this.terminal.writeln('🩺 No known WebContainer compatibility issues', 'success');
+            return;
+        }
+
+        const errors = report.issues.filter(issue => issue.severity === 'error').length;
+        this.terminal.writeln(
+            `🩺 ${report.issues.length} possible WebContainer compatibility issue(s)${errors ? `, ${errors} likely to break the install` : ''}:`,
+            errors ? 'error' : 'warning'
+        );
+        report.issues.forEach(issue => {
+            const icon = issue.severity === 'error' ? '❌' : '⚠️';
+            this.terminal.writeln(`   ${icon} ${issue.name}: ${issue.reason}${issue.alternative !== 'none' ? ` → try ${issue.alternative}` : ''}`);
+        });
+    }
+
+    /**
+     * Add template scripts, dependencies, fallback files and directories, recording every change
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {object} repoData - Repository data
+     * @param {object} packageJson - Original package.json (null if missing)
+     * @param {string} projectType - Detected project type
+     * @param {number} filesCreated - Number of files imported
+     * @param {string} directory - Project directory (defaults to the repository name)
+     * @returns {Promise<object>} Enhanced package.json
+     */
+    async applyEnhancements(owner, repo, repoData, packageJson, projectType, filesCreated, directory = repo) {
+        const config = ProjectDetector.getProjectConfig(projectType);
+
+        const enhancedPackageJson = this.createEnhancedPackageJson(repo, owner, repoData, packageJson, projectType);
+        await this.writeEnhancement(directory, 'package.json', JSON.stringify(enhancedPackageJson, null, 2));
+
+        // Create fallback files if no main files were found
+        await this.createFallbackFiles(owner, repo, repoData, projectType, filesCreated, directory);
+
+        // Create project directories
+        await this.createProjectDirectories(directory, config.directories);
+
+        if (this.enhancements.length > 0) {
+            this.terminal.writeln(
+                `✨ Enhanced import changed ${this.enhancements.length} path(s); review or revert them with "Import Changes"`,
+                'warning'
+            );
+        }
+
+        return enhancedPackageJson;
+    }
+
+    /**
+     * Write a file as an enhancement, recording its previous content so it can be reverted
+     * @param {string} repo - Project directory
+     * @param {string} relativePath - Path within the project
+     * @param {string} content - New content
+     * @returns {Promise<boolean>} Whether the file changed
+     */
+    async writeEnhancement(repo, relativePath, content) {
+        const fullPath = `${repo}/${relativePath}`;
+        const before = await this.webcontainer.fileExists(fullPath)
+            ? await this.webcontainer.readFile(fullPath)
+            : null;
+
+        if (before === content) {
+            return false;
+        }
+
+        await this.webcontainer.writeFile(fullPath, content);
+        this.enhancements.push({ type: 'file', repo, path: relativePath, before, after: content });
+        return true;
+    }
+
+    /**
+     * Get the changes made by the enhanced import of the current project
+     * @returns {Array<object>} Changes: { type: 'file'|'directory', repo, path, before, after }
+     */
+    getEnhancements() {
+        return this.enhancements;
+    }
+
+    /**
+     * Undo every recorded enhancement, restoring the files as they are in the repository
+     * @returns {Promise<number>} Number of changes reverted
+     */
+    async revertEnhancements() {
+        const changes = [...this.enhancements].reverse();
+
+        for (const change of changes) {
+            const fullPath = `${change.repo}/${change.path}`;
+
+            try {
+                if (change.type === 'directory') {
+                    // Leave directories the user has since put files in
+                    const entries = await this.webcontainer.readdir(fullPath);
+                    if (entries.length === 0) {
+                        await this.webcontainer.remove(fullPath);
+                    }
+                } else if (change.before === null) {
+                    await this.webcontainer.remove(fullPath);
+                } else {
+                    await this.webcontainer.writeFile(fullPath, change.before);
+                }
+                this.terminal.writeln(`↩️ Reverted: ${change.path}`, 'info');
+            } catch (error) {
+                console.warn(`Failed to revert ${change.path}:`, error);
+                this.terminal.writeln(`⚠️ Could not revert ${change.path}: ${error.message}`, 'warning');
+            }
+        }
+
+        this.enhancements = [];
+
+        if (this.currentProject) {
+            const packageJsonChange = changes.find(change => change.path === 'package.json');
+            if (packageJsonChange) {
+                try {
+                    this.currentProject.packageJson = packageJsonChange.before ? JSON.parse(packageJsonChange.before) : null;
+                } catch (error) {
+                    this.currentProject.packageJson = null;
+                }
+            }
+            this.currentProject.importMode = 'faithful';
+            this.currentProject.enhancements = this.enhancements;
+        }
+
+        this.notifyEnhancementsChanged();
+        return changes.length;
+    }
+
+    /**
+     * Notify listeners that the recorded enhancements changed
+     */
+    notifyEnhancementsChanged() {
+        const event = new CustomEvent('importEnhancementsChanged', {
+            detail: { enhancements: this.enhancements }
+        });
+        document.dispatchEvent(event);
+    }
+
     /**
      * Create enhanced package.json with fallbacks
      * @param {string} repo - Repository name
@@ -111,7 +976,7 @@ export class GitHubRepository {
      * @returns {object} Enhanced package.json
      */
     createEnhancedPackageJson(repo, owner, repoData, existingPackageJson, projectType) {
-        const config = ProjectTypeHelper.getProjectConfig(projectType);
+        const config = ProjectDetector.getProjectConfig(projectType);
 
         const basePackageJson = {
             name: repo,
@@ -130,46 +995,358 @@ export class GitHubRepository {
             license: repoData?.license?.spdx_id || "ISC",
             repository: {
                 type: "git",
-                url: `https://github.com/${owner}/${repo}.git`
+                url: `${repoData?.html_url || `https://github.com/${owner}/${repo}`}.git`
             },
-            homepage: `https://github.com/${owner}/${repo}#readme`,
+            homepage: `${repoData?.html_url || `https://github.com/${owner}/${repo}`}#readme`,
             dependencies: config.dependencies || {},
             devDependencies: {}
         };
 
-        // Merge with existing package.json if available
-        if (existingPackageJson) {
-            return {
-                ...basePackageJson,
-                ...existingPackageJson,
-                scripts: {
-                    ...basePackageJson.scripts,
-                    ...existingPackageJson.scripts
-                },
-                dependencies: {
-                    ...basePackageJson.dependencies,
-                    ...existingPackageJson.dependencies
-                },
-                devDependencies: {
-                    ...basePackageJson.devDependencies,
-                    ...existingPackageJson.devDependencies
+        // Merge with existing package.json if available
+        if (existingPackageJson) {
+            return {
+                ...basePackageJson,
+                ...existingPackageJson,
+                scripts: {
+                    ...basePackageJson.scripts,
+                    ...existingPackageJson.scripts
+                },
+                dependencies: {
+                    ...basePackageJson.dependencies,
+                    ...existingPackageJson.dependencies
+                },
+                devDependencies: {
+                    ...basePackageJson.devDependencies,
+                    ...existingPackageJson.devDependencies
+                }
+            };
+        }
+
+        return basePackageJson;
+    }
+
+    /**
+     * Create project files from GitHub repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {object} repoData - Repository data
+     * @param {string} projectType - Project type
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {string} subpath - Subdirectory to use as the project root
+     * @param {string} directory - Project directory (defaults to the repository name)
+     * @returns {Promise<object>} { filesCreated, complete: whether the whole tree was imported }
+     */
+    async createProjectFiles(owner, repo, repoData, projectType, ref, subpath = '', directory = repo) {
+        const signal = this.importController?.signal;
+        let result;
+
+        try {
+            result = await this.createFilesFromArchive(owner, repo, ref, subpath, directory);
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.warn('Failed to import repository archive:', error);
+            this.terminal.writeln(`⚠️ Archive unavailable (${error.message}), fetching files individually`, 'warning');
+
+            try {
+                result = await this.createFilesFromTree(owner, repo, ref, subpath, directory);
+            } catch (treeError) {
+                if (signal?.aborted) throw treeError;
+                // Tree listing needs the API; fall back to well-known files via raw URLs
+                console.warn('Failed to import repository tree:', treeError);
+                this.terminal.writeln(`⚠️ Could not list repository tree (${treeError.message}), fetching common files only`, 'warning');
+                result = {
+                    filesCreated: await this.createCommonFiles(owner, repo, projectType, ref, subpath, directory),
+                    complete: false
+                };
+            }
+        }
+
+        this.terminal.writeln(`✅ Created ${result.filesCreated} files from repository`, 'success');
+        return result;
+    }
+
+    /**
+     * Download the repository tarball, extract it in the browser and mount it in one step
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {string} subpath - Subdirectory to use as the project root
+     * @param {string} directory - Project directory (defaults to the repository name)
+     * @returns {Promise<object>} { filesCreated, complete }
+     */
+    async createFilesFromArchive(owner, repo, ref, subpath = '', directory = repo) {
+        this.terminal.writeln(`📥 Downloading ${owner}/${repo}@${ref} archive...`, 'info');
+
+        let knownTotal = false;
+        const archive = await this.provider.fetchRepositoryArchive(owner, repo, ref, (loaded, total) => {
+            knownTotal = !!total;
+            if (total) {
+                this.terminal.writeProgress(loaded, total, `${formatBytes(loaded)} / ${formatBytes(total)}`);
+            } else {
+                this.terminal.write(`\r📥 Downloaded ${formatBytes(loaded)}`);
+            }
+        }, this.importController?.signal);
+        // The progress bar ends its own line once complete
+        if (!knownTotal) {
+            this.terminal.writeln('');
+        }
+
+        const { entries, globalHeaders } = untar(await gunzip(archive));
+        const fileCount = entries.filter(entry => entry.type !== 'directory').length;
+        this.terminal.writeln(`📦 Extracted ${entries.length} entries (${fileCount} files)`, 'info');
+
+        if (globalHeaders.comment) {
+            this.terminal.writeln(`🔖 Commit: ${globalHeaders.comment}`);
+            this.baseCommitSha = this.baseCommitSha || globalHeaders.comment;
+        }
+
+        // Hosts wrap the archive in a single top-level folder, e.g. "<owner>-<repo>-<sha>/"
+        const repositoryEntries = entries
+            .map(entry => ({ ...entry, path: entry.path.split('/').slice(1).join('/') }))
+            .filter(entry => entry.path);
+
+        const filesCreated = await this.mountEntries(directory, repositoryEntries, subpath, ref);
+        await this.cacheRepository(owner, repo, repositoryEntries, '');
+
+        return { filesCreated, complete: true };
+    }
+
+    /**
+     * Mount repository entries as the project and record them as the baseline
+     * @param {string} repo - Project directory
+     * @param {Array} entries - Entries relative to the repository root: { path, type, data, linkTarget, mode }
+     * @param {string} subpath - Subdirectory to use as the project root
+     * @param {string} ref - Ref the entries come from, for error messages
+     * @returns {Promise<number>} Number of files mounted
+     */
+    async mountEntries(repo, entries, subpath, ref) {
+        const tree = getFileSystemSubtree(toFileSystemTree(entries), subpath);
+        if (!tree) {
+            throw new Error(`Directory "${subpath}" not found at ${ref}`);
+        }
+
+        await this.webcontainer.mountFiles(tree, `/${repo}`);
+
+        // Record the baseline from the entries, which still carry file modes
+        const prefix = subpath ? `${subpath}/` : '';
+        for (const entry of entries) {
+            if (!entry.path.startsWith(prefix)) continue;
+
+            if (entry.type === 'file') {
+                await this.recordBaselineFile(entry.path.slice(prefix.length), entry.data, toGitFileMode(entry.mode));
+            } else if (entry.type === 'symlink') {
+                this.projectFiles.set(entry.path.slice(prefix.length), { sha: null, mode: '120000' });
+            }
+        }
+
+        return countFileSystemTreeFiles(tree);
+    }
+
+    /**
+     * Import a repository from the IndexedDB cache
+     * @param {string} repo - Project directory
+     * @param {object} cached - Cached import from getCachedRepository
+     * @param {string} subpath - Subdirectory to use as the project root
+     * @returns {Promise<object>} { filesCreated, complete }
+     */
+    async createFilesFromCache(repo, cached, subpath = '') {
+        const { record, entries } = cached;
+        const filesCreated = await this.mountEntries(repo, entries, subpath, record.commitSha);
+
+        this.terminal.writeln(
+            `🗄️ Loaded ${filesCreated} files from cache (${record.commitSha.slice(0, 7)}, ${formatBytes(record.size)})`,
+            'success'
+        );
+        return { filesCreated, complete: true };
+    }
+
+    /**
+     * Resolve a ref to a commit SHA, reusing the cached answer when the host reports the ref unchanged
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @returns {Promise<string|null>} Commit SHA, or null if it could not be resolved
+     */
+    async resolveCommitSha(owner, repo, ref) {
+        // Full SHAs are immutable and need no lookup
+        if (isCommitSha(ref) && ref.length === 40) {
+            return ref;
+        }
+
+        const host = this.provider.host;
+        let known = null;
+        try {
+            known = await this.cache.getRef(host, owner, repo, ref);
+        } catch (error) {
+            console.warn('Repository cache unavailable:', error);
+        }
+
+        const { sha, etag, notModified } = await this.provider.checkCommitSha(owner, repo, ref, known?.etag || null);
+        if (notModified && known) {
+            this.terminal.writeln(`🗄️ ${ref} is unchanged since the last load (${known.commitSha.slice(0, 7)})`);
+            return known.commitSha;
+        }
+
+        if (sha && etag) {
+            try {
+                await this.cache.putRef(host, owner, repo, ref, { commitSha: sha, etag });
+            } catch (error) {
+                console.warn('Failed to cache ref:', error);
+            }
+        }
+
+        return sha;
+    }
+
+    /**
+     * Look up a cached import of a commit
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} commitSha - Commit SHA
+     * @param {string} subpath - Subdirectory being loaded
+     * @returns {Promise<object|null>} { record, entries }, or null on a cache miss
+     */
+    async getCachedRepository(owner, repo, commitSha, subpath = '') {
+        try {
+            return await this.cache.getRepository(this.provider.host, owner, repo, commitSha, subpath);
+        } catch (error) {
+            console.warn('Repository cache unavailable:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a complete import in the cache; failures only cost the next load a download
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Array} entries - Entries relative to the repository root
+     * @param {string} root - Subdirectory the entries cover ('' for the whole repository)
+     */
+    async cacheRepository(owner, repo, entries, root) {
+        if (!this.baseCommitSha) return;
+
+        try {
+            await this.cache.putRepository({
+                host: this.provider.host,
+                provider: this.provider.id,
+                owner,
+                repo,
+                commitSha: this.baseCommitSha,
+                root
+            }, entries);
+        } catch (error) {
+            console.warn('Failed to cache repository:', error);
+        }
+    }
+
+    /**
+     * Read a text file from cached entries
+     * @param {Array} entries - Cached entries
+     * @param {string} path - Path relative to the repository root
+     * @returns {string|null} File content, or null if missing
+     */
+    readCachedFile(entries, path) {
+        const entry = entries.find(candidate => candidate.type === 'file' && candidate.path === path);
+        return entry ? new TextDecoder().decode(entry.data) : null;
+    }
+
+    /**
+     * Import every file in the repository tree at a ref
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {string} subpath - Subdirectory to use as the project root
+     * @param {string} directory - Project directory (defaults to the repository name)
+     * @returns {Promise<object>} { filesCreated, complete }
+     */
+    async createFilesFromTree(owner, repo, ref, subpath = '', directory = repo) {
+        const { entries: allEntries, truncated } = await this.provider.fetchRepositoryTree(owner, repo, ref);
+        const prefix = subpath ? `${subpath}/` : '';
+        const entries = allEntries.filter(entry => entry.path.startsWith(prefix));
+
+        if (subpath && entries.length === 0) {
+            throw new Error(`Directory "${subpath}" not found at ${ref}`);
+        }
+
+        this.terminal.writeln(`🌳 Found ${entries.length} files at ${ref}`, 'info');
+        if (truncated) {
+            this.terminal.writeln('⚠️ Repository is too large to list in full, some files will be missing', 'warning');
+        }
+
+        const signal = this.importController?.signal;
+        let completed = 0;
+        let bytesDownloaded = 0;
+
+        const results = await AsyncHelper.runQueue(entries, async (entry) => {
+            const relativePath = entry.path.slice(prefix.length);
+
+            try {
+                // Missing files and rejected tokens will not succeed on a retry
+                const content = await AsyncHelper.retry(
+                    () => this.provider.fetchFileBytes(owner, repo, ref, entry, signal),
+                    GitHubRepository.IMPORT_RETRIES,
+                    500,
+                    error => !signal?.aborted && error.status !== 404 && error.code !== 'GITHUB_AUTH'
+                );
+
+                // Symlinks (mode 120000) come through as files containing their target path
+                await this.webcontainer.writeFile(`${directory}/${relativePath}`, content);
+                this.projectFiles.set(relativePath, { sha: entry.sha || await computeGitBlobSha(content), mode: entry.mode });
+                bytesDownloaded += content.length;
+
+                return entry.mode === '120000'
+                    ? { path: entry.path, type: 'symlink', data: null, linkTarget: new TextDecoder().decode(content), mode: 0o120777 }
+                    : { path: entry.path, type: 'file', data: content, linkTarget: null, mode: parseInt(entry.mode, 8) & 0o777 };
+            } finally {
+                completed++;
+                if (!signal?.aborted) {
+                    this.terminal.writeProgress(completed, entries.length, `${completed}/${entries.length} files, ${formatBytes(bytesDownloaded)}`);
                 }
-            };
+            }
+        }, { concurrency: GitHubRepository.IMPORT_CONCURRENCY, signal });
+
+        const failures = results.filter(result => result.error);
+        failures.forEach(({ item, error }) => console.warn(`Failed to import ${item.path}:`, error));
+        this.reportImportFailures(failures.map(({ item, error }) => ({ path: item.path.slice(prefix.length), error })));
+
+        const filesCreated = results.length - failures.length;
+        const complete = !truncated && failures.length === 0;
+        if (complete) {
+            await this.cacheRepository(owner, repo, results.map(result => result.value), subpath);
         }
 
-        return basePackageJson;
+        return { filesCreated, complete };
     }
 
     /**
-     * Create project files from GitHub repository
+     * Summarize files that could not be imported
+     * @param {Array<object>} failures - { path, error }
+     */
+    reportImportFailures(failures) {
+        if (failures.length === 0) return;
+
+        const shown = 20;
+        this.terminal.writeln(`⚠️ ${failures.length} file(s) could not be imported:`, 'warning');
+        failures.slice(0, shown).forEach(({ path, error }) => {
+            this.terminal.writeln(`   ${path}: ${error.message}`);
+        });
+        if (failures.length > shown) {
+            this.terminal.writeln(`   ...and ${failures.length - shown} more (see the browser console)`);
+        }
+    }
+
+    /**
+     * Fetch a list of well-known project files when the tree cannot be listed
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
-     * @param {object} repoData - Repository data
      * @param {string} projectType - Project type
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {string} subpath - Subdirectory to use as the project root
+     * @param {string} directory - Project directory (defaults to the repository name)
      * @returns {Promise<number>} Number of files created
      */
-    async createProjectFiles(owner, repo, repoData, projectType) {
-        const config = ProjectTypeHelper.getProjectConfig(projectType);
+    async createCommonFiles(owner, repo, projectType, ref, subpath = '', directory = repo) {
+        const config = ProjectDetector.getProjectConfig(projectType);
 
         // List of files to try to fetch
         const filesToFetch = [
@@ -202,10 +1379,11 @@ export class GitHubRepository {
 
         let filesCreated = 0;
 
-        // Try to fetch each file
-        for (const filepath of filesToFetch) {
+        // Try to fetch each file; most do not exist, so misses are not reported
+        await AsyncHelper.runQueue([...new Set(filesToFetch)], async (filepath) => {
             try {
-                const content = await GitHubApiHelper.fetchFileContent(owner, repo, filepath);
+                const sourcePath = subpath ? `${subpath}/${filepath}` : filepath;
+                const content = await this.provider.fetchFileContent(owner, repo, sourcePath, ref);
                 if (content) {
                     // Create directory if needed
                     const dirPath = filepath.includes('/') 
@@ -213,25 +1391,19 @@ export class GitHubRepository {
                         : '';
                     
                     if (dirPath) {
-                        await this.webcontainer.mkdir(`${repo}/${dirPath}`);
+                        await this.webcontainer.mkdir(`${directory}/${dirPath}`);
                     }
 
-                    await this.webcontainer.writeFile(`${repo}/${filepath}`, content);
+                    await this.webcontainer.writeFile(`${directory}/${filepath}`, content);
+                    await this.recordBaselineFile(filepath, content);
                     filesCreated++;
                     this.terminal.writeln(`📄 Created: ${filepath}`, 'success');
                 }
             } catch (error) {
                 console.warn(`Failed to fetch ${filepath}:`, error);
             }
-        }
+        }, { concurrency: GitHubRepository.IMPORT_CONCURRENCY, signal: this.importController?.signal });
 
-        // Create fallback files if no main files were found
-        await this.createFallbackFiles(owner, repo, repoData, projectType, filesCreated);
-
-        // Create project directories
-        await this.createProjectDirectories(repo, config.directories);
-
-        this.terminal.writeln(`✅ Created ${filesCreated} files from repository`, 'success');
         return filesCreated;
     }
 
@@ -242,24 +1414,25 @@ export class GitHubRepository {
      * @param {object} repoData - Repository data
      * @param {string} projectType - Project type
      * @param {number} existingFiles - Number of existing files
+     * @param {string} directory - Project directory (defaults to the repository name)
      */
-    async createFallbackFiles(owner, repo, repoData, projectType, existingFiles) {
+    async createFallbackFiles(owner, repo, repoData, projectType, existingFiles, directory = repo) {
         // Always create README if it doesn't exist
-        const readmeExists = await this.webcontainer.fileExists(`${repo}/README.md`);
+        const readmeExists = await this.webcontainer.fileExists(`${directory}/README.md`);
         if (!readmeExists) {
             const readme = FileTemplateHelper.generateReadme(repo, owner, repoData, projectType);
-            await this.webcontainer.writeFile(`${repo}/README.md`, readme);
+            await this.writeEnhancement(directory, 'README.md', readme);
             this.terminal.writeln(`📄 Created: README.md (fallback)`, 'info');
         }
 
         // Create main file if none exists
-        const mainFileExists = await this.checkMainFileExists(repo, projectType);
+        const mainFileExists = await this.checkMainFileExists(directory, projectType);
         if (!mainFileExists) {
             if (projectType === 'astro') {
-                await this.createAstroFiles(owner, repo, repoData);
+                await this.createAstroFiles(owner, repo, repoData, directory);
             } else {
                 const indexJs = FileTemplateHelper.generateFallbackIndexJs(repo, owner, repoData);
-                await this.webcontainer.writeFile(`${repo}/index.js`, indexJs);
+                await this.writeEnhancement(directory, 'index.js', indexJs);
                 this.terminal.writeln(`📄 Created: index.js (fallback)`, 'info');
             }
         }
@@ -267,12 +1440,12 @@ export class GitHubRepository {
 
     /**
      * Check if any main file exists
-     * @param {string} repo - Repository name
+     * @param {string} repo - Project directory
      * @param {string} projectType - Project type
      * @returns {Promise<boolean>} Main file exists
      */
     async checkMainFileExists(repo, projectType) {
-        const config = ProjectTypeHelper.getProjectConfig(projectType);
+        const config = ProjectDetector.getProjectConfig(projectType);
         const mainFiles = [
             'index.js',
             'app.js',
@@ -296,29 +1469,28 @@ export class GitHubRepository {
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
      * @param {object} repoData - Repository data
+     * @param {string} directory - Project directory (defaults to the repository name)
      */
-    async createAstroFiles(owner, repo, repoData) {
+    async createAstroFiles(owner, repo, repoData, directory = repo) {
         // Create Astro directories
         const astroDirectories = ['src', 'src/pages', 'src/components', 'src/layouts', 'public'];
-        for (const dir of astroDirectories) {
-            await this.webcontainer.mkdir(`${repo}/${dir}`);
-        }
+        await this.createProjectDirectories(directory, astroDirectories);
 
         // Create index page
         const indexAstro = FileTemplateHelper.generateAstroIndexPage(repo, owner, repoData);
-        await this.webcontainer.writeFile(`${repo}/src/pages/index.astro`, indexAstro);
+        await this.writeEnhancement(directory, 'src/pages/index.astro', indexAstro);
         this.terminal.writeln(`📄 Created: src/pages/index.astro (Astro starter)`, 'info');
 
         // Create basic layout
         const layout = this.createAstroLayout();
-        await this.webcontainer.writeFile(`${repo}/src/layouts/Layout.astro`, layout);
+        await this.writeEnhancement(directory, 'src/layouts/Layout.astro', layout);
         this.terminal.writeln(`📄 Created: src/layouts/Layout.astro`, 'info');
 
         // Create Astro config if it doesn't exist
-        const configExists = await this.webcontainer.fileExists(`${repo}/astro.config.mjs`);
+        const configExists = await this.webcontainer.fileExists(`${directory}/astro.config.mjs`);
         if (!configExists) {
             const config = this.createAstroConfig();
-            await this.webcontainer.writeFile(`${repo}/astro.config.mjs`, config);
+            await this.writeEnhancement(directory, 'astro.config.mjs', config);
             this.terminal.writeln(`📄 Created: astro.config.mjs`, 'info');
         }
     }
@@ -380,13 +1552,17 @@ export default defineConfig({
 
     /**
      * Create project directories
-     * @param {string} repo - Repository name
+     * @param {string} repo - Project directory
      * @param {Array} directories - Directories to create
      */
     async createProjectDirectories(repo, directories = []) {
         for (const dir of directories) {
             try {
+                if (await this.webcontainer.fileExists(`${repo}/${dir}`)) {
+                    continue;
+                }
                 await this.webcontainer.mkdir(`${repo}/${dir}`);
+                this.enhancements.push({ type: 'directory', repo, path: dir, before: null, after: null });
             } catch (error) {
                 // Ignore if directory already exists
                 if (error.code !== 'EEXIST') {
@@ -396,6 +1572,346 @@ export default defineConfig({
         }
     }
 
+    /**
+     * Record the imported content of a file so later edits can be detected
+     * @param {string} relativePath - Path within the project
+     * @param {Uint8Array|string} content - Imported content
+     * @param {string} mode - Git file mode
+     */
+    async recordBaselineFile(relativePath, content, mode = '100644') {
+        this.projectFiles.set(relativePath, { sha: await computeGitBlobSha(content), mode });
+    }
+
+    /**
+     * Compare the workspace with the imported baseline
+     * @returns {Promise<Array<object>>} Changes: { path, status: 'added'|'modified'|'deleted', mode, bytes, sha, enhanced }
+     */
+    async getWorkspaceChanges() {
+        const project = this.currentProject;
+        if (!project) {
+            throw new Error('No GitHub repository loaded');
+        }
+
+        const root = project.path;
+        let gitignore = '';
+        if (await this.webcontainer.fileExists(`${root}/.gitignore`)) {
+            gitignore = await this.webcontainer.readFile(`${root}/.gitignore`);
+        }
+        const isIgnored = createGitIgnoreMatcher(gitignore);
+
+        // Tracked files are never ignored, same as git
+        const files = await this.webcontainer.listFiles(root, {
+            ignore: (path, isDirectory) => !this.projectFiles.has(path) && isIgnored(path, isDirectory)
+        });
+
+        const enhancedPaths = new Set(this.enhancements.filter(change => change.type === 'file').map(change => change.path));
+        const seen = new Set(files);
+        const changes = [];
+
+        for (const path of files) {
+            const baseline = this.projectFiles.get(path);
+            if (baseline?.mode === '120000') continue;
+
+            const bytes = await this.webcontainer.readFileBytes(`${root}/${path}`);
+            const sha = await computeGitBlobSha(bytes);
+
+            if (!baseline) {
+                changes.push({ path, status: 'added', mode: '100644', bytes, sha, enhanced: enhancedPaths.has(path) });
+            } else if (baseline.sha !== sha) {
+                changes.push({ path, status: 'modified', mode: baseline.mode, bytes, sha, enhanced: enhancedPaths.has(path) });
+            }
+        }
+
+        for (const [path, baseline] of this.projectFiles) {
+            if (seen.has(path) || baseline.mode === '120000') continue;
+
+            // Tracked files inside ignored directories were skipped by the walk
+            if (!(await this.webcontainer.fileExists(`${root}/${path}`))) {
+                changes.push({ path, status: 'deleted', mode: baseline.mode, bytes: null, sha: null, enhanced: false });
+            }
+        }
+
+        return changes.sort((a, b) => a.path.localeCompare(b.path));
+    }
+
+    /**
+     * Commit workspace changes to a branch using the git data API
+     * @param {object} options - { message, branch, createBranch, paths: project-relative paths to include (default all) }
+     * @returns {Promise<object>} { commitSha, branch, url }
+     */
+    async commitChanges(options) {
+        const { message, branch, createBranch = false, paths = null } = options;
+        const project = this.currentProject;
+
+        if (!project) {
+            throw new Error('No GitHub repository loaded');
+        }
+        if (project.gist) {
+            throw new Error('Gists cannot be committed to; save the gist instead');
+        }
+        if (project.provider !== 'github') {
+            throw new Error('Committing is only supported for GitHub repositories');
+        }
+        if (!GitHubAuthHelper.getToken()) {
+            throw new Error('Committing needs a GitHub access token with write access');
+        }
+        if (!this.baseCommitSha) {
+            throw new Error('The commit this project was loaded from is unknown, so changes cannot be committed safely');
+        }
+
+        const { owner, name: repo, subpath } = project;
+        if (!createBranch && (branch !== project.ref || !(await this.isOnBranch()))) {
+            throw new Error(`${branch} is not the branch this project was loaded from; commit to a new branch instead.`);
+        }
+
+        const changes = (await this.getWorkspaceChanges()).filter(change => !paths || paths.includes(change.path));
+        if (changes.length === 0) {
+            throw new Error('No changes to commit');
+        }
+
+        this.terminal.writeln(`⬆️ Committing ${changes.length} file(s) to ${owner}/${repo}@${branch}...`, 'info');
+
+        const treeEntries = [];
+        for (const change of changes) {
+            const path = subpath ? `${subpath}/${change.path}` : change.path;
+
+            if (change.status === 'deleted') {
+                treeEntries.push({ path, mode: change.mode, type: 'blob', sha: null });
+                this.terminal.writeln(`🗑️ Deleted: ${change.path}`);
+            } else {
+                const sha = await GitHubApiHelper.createBlob(owner, repo, change.bytes);
+                treeEntries.push({ path, mode: change.mode, type: 'blob', sha });
+                this.terminal.writeln(`📤 ${change.status === 'added' ? 'Added' : 'Updated'}: ${change.path}`);
+            }
+        }
+
+        const baseTreeSha = await GitHubApiHelper.fetchCommitTreeSha(owner, repo, this.baseCommitSha);
+        const treeSha = await GitHubApiHelper.createTree(owner, repo, baseTreeSha, treeEntries);
+        const commitSha = await GitHubApiHelper.createCommit(owner, repo, message, treeSha, [this.baseCommitSha]);
+
+        try {
+            if (createBranch) {
+                await GitHubApiHelper.createBranch(owner, repo, branch, commitSha);
+            } else {
+                await GitHubApiHelper.updateBranch(owner, repo, branch, commitSha);
+            }
+        } catch (error) {
+            if (!createBranch && error.status === 422) {
+                throw new Error(`${branch} has new commits since this project was loaded. Commit to a new branch instead.`);
+            }
+            throw error;
+        }
+
+        // The commit is the new baseline
+        for (const change of changes) {
+            if (change.status === 'deleted') {
+                this.projectFiles.delete(change.path);
+            } else {
+                this.projectFiles.set(change.path, { sha: change.sha, mode: change.mode });
+            }
+        }
+
+        const committedPaths = new Set(changes.map(change => change.path));
+        this.enhancements = this.enhancements.filter(change => change.type !== 'file' || !committedPaths.has(change.path));
+        project.enhancements = this.enhancements;
+        this.notifyEnhancementsChanged();
+
+        this.baseCommitSha = commitSha;
+        project.ref = branch;
+        project.refIsBranch = true;
+        project.commitSha = commitSha;
+        project.url = generateGitHubUrl(owner, repo, branch, subpath);
+
+        this.terminal.writeln(`✅ Committed ${commitSha.slice(0, 7)} to ${branch}`, 'success');
+
+        const result = {
+            commitSha,
+            branch,
+            url: `https://github.com/${owner}/${repo}/commit/${commitSha}`
+        };
+
+        document.dispatchEvent(new CustomEvent('repositoryCommitted', {
+            detail: { ...result, owner, repo, files: changes.length }
+        }));
+
+        return result;
+    }
+
+    /**
+     * Check whether the current project was loaded from a branch, which commits can update directly
+     * @returns {Promise<boolean>} Whether the loaded ref is a branch (tags and commit SHAs are not)
+     */
+    async isOnBranch() {
+        const project = this.currentProject;
+        if (!project?.ref || project.provider !== 'github') {
+            return false;
+        }
+        if (project.refIsBranch === undefined) {
+            project.refIsBranch = await GitHubApiHelper.isBranch(project.owner, project.name, project.ref);
+        }
+        return project.refIsBranch;
+    }
+
+    /**
+     * Commit workspace changes to a new branch and open a pull request against the default branch
+     * @param {object} options - { title, body, branch: new branch name, paths: project-relative paths to include (default all) }
+     * @returns {Promise<object>} { number, url, branch, commitSha }
+     */
+    async openPullRequest(options) {
+        const { title, body = '', branch, paths = null } = options;
+        const project = this.currentProject;
+
+        if (!project) {
+            throw new Error('No GitHub repository loaded');
+        }
+
+        const { owner, name: repo } = project;
+        const base = project.repoData?.default_branch || 'main';
+        if (branch === base) {
+            throw new Error(`Pull requests need a branch other than ${base}`);
+        }
+
+        const message = body ? `${title}\n\n${body}` : title;
+        const { commitSha } = await this.commitChanges({ message, branch, createBranch: true, paths });
+
+        const pullRequest = await GitHubApiHelper.createPullRequest(owner, repo, { title, body, head: branch, base });
+        this.terminal.writeln(`🔀 Opened pull request #${pullRequest.number}: ${pullRequest.html_url}`, 'success');
+
+        const result = {
+            number: pullRequest.number,
+            url: pullRequest.html_url,
+            branch,
+            commitSha
+        };
+
+        document.dispatchEvent(new CustomEvent('pullRequestOpened', {
+            detail: { ...result, owner, repo, base }
+        }));
+
+        return result;
+    }
+
+    /**
+     * Save the workspace as a new gist, or update the loaded gist with the changed files.
+     * Gists have no directories, so only files in the project root are saved.
+     * @param {object} options - { description, public: visibility of a new gist, createNew: create even if a gist is loaded }
+     * @returns {Promise<object>} { id, url, created, files: number of files saved }
+     */
+    async saveGist(options = {}) {
+        const { description, public: isPublic = false, createNew = false } = options;
+        const project = this.currentProject;
+
+        if (!project) {
+            throw new Error('No project loaded');
+        }
+        if (!GitHubAuthHelper.getToken()) {
+            throw new Error('Saving gists needs a GitHub access token with the "gist" scope');
+        }
+
+        const update = !!project.gist && !createNew;
+        const decoder = new TextDecoder('utf-8', { fatal: true });
+        const files = {};
+        const saved = [];
+
+        /**
+         * Add one workspace file to the gist payload if a gist can hold it
+         * @param {string} path - Project-relative path
+         * @param {Uint8Array|null} bytes - Content, or null to delete the file from the gist
+         */
+        const addFile = (path, bytes) => {
+            if (path.includes('/')) {
+                this.terminal.writeln(`⚠️ Skipped ${path}: gists cannot contain directories`, 'warning');
+                return;
+            }
+            if (bytes === null) {
+                files[path] = null;
+                return;
+            }
+
+            let content;
+            try {
+                content = decoder.decode(bytes);
+            } catch {
+                this.terminal.writeln(`⚠️ Skipped ${path}: gists only hold text files`, 'warning');
+                return;
+            }
+            if (!content.trim()) {
+                this.terminal.writeln(`⚠️ Skipped ${path}: gists cannot contain empty files`, 'warning');
+                return;
+            }
+
+            files[path] = { content };
+            saved.push({ path, content });
+        };
+
+        if (update) {
+            for (const change of await this.getWorkspaceChanges()) {
+                addFile(change.path, change.status === 'deleted' ? null : change.bytes);
+            }
+        } else {
+            let gitignore = '';
+            if (await this.webcontainer.fileExists(`${project.path}/.gitignore`)) {
+                gitignore = await this.webcontainer.readFile(`${project.path}/.gitignore`);
+            }
+            const isIgnored = createGitIgnoreMatcher(gitignore);
+
+            for (const path of await this.webcontainer.listFiles(project.path, { ignore: isIgnored })) {
+                addFile(path, await this.webcontainer.readFileBytes(`${project.path}/${path}`));
+            }
+        }
+
+        if (Object.keys(files).length === 0) {
+            throw new Error(update ? 'No changes to save' : 'No files that a gist can hold');
+        }
+
+        let gist;
+        if (update) {
+            this.terminal.writeln(`⬆️ Updating gist ${project.gist.id} (${Object.keys(files).length} files)...`, 'info');
+            gist = await GitHubApiHelper.updateGist(project.gist.id, {
+                description: description ?? project.gist.description,
+                files
+            });
+        } else {
+            this.terminal.writeln(`⬆️ Creating ${isPublic ? 'public' : 'secret'} gist (${saved.length} files)...`, 'info');
+            gist = await GitHubApiHelper.createGist({
+                description: description || project.name,
+                public: isPublic,
+                files
+            });
+        }
+
+        // A loaded gist follows what was saved; other projects are only exported
+        if (project.gist) {
+            if (!update) {
+                this.projectFiles.clear();
+            }
+            for (const [path, file] of Object.entries(files)) {
+                if (file === null) {
+                    this.projectFiles.delete(path);
+                }
+            }
+            for (const { path, content } of saved) {
+                await this.recordBaselineFile(path, content);
+            }
+            project.gist = this.createGistInfo(gist);
+            project.owner = project.gist.owner;
+            project.url = gist.html_url;
+        }
+
+        this.terminal.writeln(`✅ Saved gist: ${gist.html_url}`, 'success');
+
+        const result = {
+            id: gist.id,
+            url: gist.html_url,
+            created: !update,
+            files: Object.keys(files).length
+        };
+
+        document.dispatchEvent(new CustomEvent('gistSaved', { detail: result }));
+
+        return result;
+    }
+
     /**
      * Get current project information
      * @returns {object|null} Current project
@@ -412,12 +1928,207 @@ export default defineConfig({
         return this.projectFiles;
     }
 
+    /**
+     * Get the state needed to keep working on the current project after a reload
+     * @returns {object|null} { project, projectFiles, baseCommitSha, enhancements }, or null if no project is loaded
+     */
+    getSessionState() {
+        if (!this.currentProject) {
+            return null;
+        }
+
+        return {
+            // Round-tripped through JSON so the state can be stored in IndexedDB
+            project: JSON.parse(JSON.stringify(this.currentProject)),
+            projectFiles: [...this.projectFiles],
+            baseCommitSha: this.baseCommitSha,
+            enhancements: this.enhancements
+        };
+    }
+
+    /**
+     * Restore the project state saved with getSessionState, without loading any files
+     * @param {object} state - State from getSessionState
+     */
+    restoreSessionState(state) {
+        this.currentProject = state.project;
+        this.projectFiles = new Map(state.projectFiles);
+        this.baseCommitSha = state.baseCommitSha;
+        this.enhancements = state.enhancements || [];
+        // Providers are not serializable, so they are found again by URL
+        this.provider = state.project.url ? RepositoryProviderHelper.findProvider(state.project.url) : null;
+        this.projects.set(state.project.path, state);
+        this.notifyProjectsChanged();
+    }
+
     /**
      * Clear current project
      */
     clearCurrentProject() {
         this.currentProject = null;
+        this.baseCommitSha = null;
+        this.projectFiles.clear();
+        this.notifyProjectsChanged();
+    }
+
+    /**
+     * Make a newly created or imported project current and add it to the project list
+     * @param {object} project - Project information (its path identifies it in the list)
+     */
+    setCurrentProject(project) {
+        this.currentProject = project;
+        this.projects.set(project.path, this.getSessionState());
+        this.notifyProjectsChanged();
+    }
+
+    /**
+     * Choose the directory for a project being loaded. A directory is only reused by the project
+     * loaded from the same URL; otherwise a free one is found by adding a number, e.g. "app-2".
+     * @param {string} name - Preferred directory name
+     * @param {string|null} url - URL the project is loaded from
+     * @returns {Promise<string>} Directory name, without the leading slash
+     */
+    async resolveProjectDirectory(name, url) {
+        for (let attempt = 1; ; attempt++) {
+            const directory = attempt === 1 ? name : `${name}-${attempt}`;
+            const existing = this.projects.get(`/${directory}`)?.project;
+
+            if (existing ? url && existing.url === url : !(await this.webcontainer.fileExists(directory))) {
+                return directory;
+            }
+        }
+    }
+
+    /**
+     * Create an empty project directory. Files left by an earlier load of the same project are
+     * removed, since they are not in the new baseline and would show up as added.
+     * @param {string} directory - Directory from resolveProjectDirectory
+     */
+    async createProjectDirectory(directory) {
+        if (await this.webcontainer.fileExists(directory)) {
+            await this.webcontainer.remove(directory, { recursive: true });
+        }
+        await this.webcontainer.mkdir(directory);
+    }
+
+    /**
+     * Put the current project aside and reset the state of the next one. The files of the
+     * current project stay where they are, so it can be switched back to.
+     */
+    startNewProject() {
+        this.stashCurrentProject();
+        this.enhancements = [];
         this.projectFiles.clear();
+        this.baseCommitSha = null;
+    }
+
+    /**
+     * Save the state of the current project in the project list
+     */
+    stashCurrentProject() {
+        if (this.currentProject?.path) {
+            this.projects.set(this.currentProject.path, this.getSessionState());
+        }
+    }
+
+    /**
+     * List the projects loaded in this workspace
+     * @returns {Array<object>} { name, path, type, provider, url, current }, in the order they were loaded
+     */
+    listProjects() {
+        return [...this.projects.values()].map(({ project }) => ({
+            name: project.name,
+            path: project.path,
+            type: project.type,
+            provider: project.provider || null,
+            url: project.url || null,
+            current: project.path === this.currentProject?.path
+        }));
+    }
+
+    /**
+     * Make another loaded project current, restoring its baseline, enhancements and provider
+     * @param {string} path - Project path, e.g. "/my-repo"
+     * @returns {object} The project that is now current
+     */
+    switchProject(path) {
+        if (path === this.currentProject?.path) {
+            return this.currentProject;
+        }
+
+        const state = this.projects.get(path);
+        if (!state) {
+            throw new Error(`Unknown project: ${path}`);
+        }
+
+        this.stashCurrentProject();
+        this.restoreSessionState(state);
+        this.notifyEnhancementsChanged();
+        return this.currentProject;
+    }
+
+    /**
+     * Remove a project from the list (its files are left in place)
+     * @param {string} path - Project path
+     */
+    removeProject(path) {
+        this.projects.delete(path);
+        if (path === this.currentProject?.path) {
+            this.clearCurrentProject();
+        } else {
+            this.notifyProjectsChanged();
+        }
+    }
+
+    /**
+     * Forget every project, e.g. when the workspace is reset
+     */
+    clearProjects() {
+        this.projects.clear();
+        this.clearCurrentProject();
+    }
+
+    /**
+     * Get the state of every loaded project, to keep the whole workspace across reloads
+     * @returns {object|null} { current: path of the current project, projects: states from getSessionState },
+     *   or null if no project is loaded
+     */
+    getWorkspaceState() {
+        this.stashCurrentProject();
+        if (this.projects.size === 0) {
+            return null;
+        }
+
+        return {
+            current: this.currentProject?.path || null,
+            projects: [...this.projects.values()]
+        };
+    }
+
+    /**
+     * Restore the project list saved with getWorkspaceState (or a single project saved with getSessionState)
+     * @param {object} state - Workspace or project state
+     */
+    restoreWorkspaceState(state) {
+        // Snapshots saved before the project list existed hold a single project
+        const states = state.projects || [state];
+        this.projects = new Map(states.map(projectState => [projectState.project.path, projectState]));
+
+        const current = state.projects ? this.projects.get(state.current) : state;
+        if (current) {
+            this.restoreSessionState(current);
+        } else {
+            this.notifyProjectsChanged();
+        }
+    }
+
+    /**
+     * Notify listeners that the project list or the current project changed
+     */
+    notifyProjectsChanged() {
+        document.dispatchEvent(new CustomEvent('projectsChanged', {
+            detail: { projects: this.listProjects(), current: this.currentProject }
+        }));
     }
 
     /**
@@ -745,19 +2456,27 @@ A simple Express.js server template.
         }
 
         try {
-            // Create project files
+            // Create project files in their own directory, next to the other projects
+            this.startNewProject();
             await this.createTemplateFiles(templateConfig.files, templateConfig.name);
             
+            const packageJson = templateConfig.files['package.json'];
             const project = {
                 name: templateConfig.name,
                 description: templateConfig.description,
                 type: template,
+                path: `/${templateConfig.name}`,
+                url: null,
+                provider: 'template',
                 files: Object.keys(templateConfig.files),
+                packageJson,
+                packageManager: ProjectDetector.detectPackageManager(packageJson),
                 created: new Date().toISOString()
             };
 
-            this.currentProject = project;
+            this.setCurrentProject(project);
             this.terminal.writeln(`✅ Created ${template} project successfully!`, 'success');
+            this.terminal.writeln(`💡 Install dependencies with ${ProjectDetector.getInstallCommand(project.packageManager)}`, 'info');
             
             return project;
 
@@ -767,6 +2486,36 @@ A simple Express.js server template.
         }
     }
 
+    /**
+     * Create an empty Node.js project (package.json, index.js and README.md)
+     * @param {string} name - Project name; its directory name is the name in kebab case
+     * @returns {Promise<object>} Created project information
+     */
+    async createCustomProject(name) {
+        const directoryName = name.trim().toLowerCase().replace(/\s+/g, '-');
+        this.terminal.writeln(`🚀 Creating ${directoryName} project...`, 'info');
+
+        this.startNewProject();
+        const path = await this.webcontainer.createProject(directoryName, { description: `${name} project` });
+        const packageJson = JSON.parse(await this.webcontainer.readFile(`${path}/package.json`));
+
+        const project = {
+            name: directoryName,
+            description: packageJson.description,
+            type: 'node',
+            path,
+            url: null,
+            provider: 'template',
+            packageJson,
+            packageManager: ProjectDetector.detectPackageManager(packageJson),
+            created: new Date().toISOString()
+        };
+        this.setCurrentProject(project);
+        this.terminal.writeln(`✅ Created ${directoryName} in ${path}`, 'success');
+
+        return project;
+    }
+
     /**
      * Create template files
      * @param {object} files - Files to create
@@ -774,15 +2523,10 @@ A simple Express.js server template.
      */
     async createTemplateFiles(files, projectName) {
         for (const [filePath, content] of Object.entries(files)) {
-            // Use the WebContainerManager's writeFile method which handles objects properly
-            await this.webcontainer.writeFile(filePath, content);
-            
-            this.projectFiles.set(filePath, {
-                path: filePath,
-                size: typeof content === 'string' ? content.length : JSON.stringify(content).length,
-                type: this.getFileType(filePath),
-                content: typeof content === 'string' ? content : JSON.stringify(content, null, 2)
-            });
+            // Objects (package.json) are written as JSON, the same way WebContainerManager.writeFile does
+            const fileContent = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
+            await this.webcontainer.writeFile(`/${projectName}/${filePath}`, fileContent);
+            await this.recordBaselineFile(filePath, fileContent, '100644');
         }
     }
 
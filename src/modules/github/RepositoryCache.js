@@ -0,0 +1,199 @@
+import { openDatabase, promisifyRequest, waitForTransaction } from '../../utils/idb.js';
+
+/**
+ * IndexedDB cache of imported repository contents, keyed by host/owner/repo@commit.
+ * Commits never change, so a cached import stays valid until it is evicted; ref lookups
+ * keep the last ETag so freshness checks can use conditional requests.
+ */
+export class RepositoryCache {
+    static DATABASE_NAME = 'browser-node-repository-cache';
+    static DATABASE_VERSION = 1;
+    // Least recently used repositories are evicted above this total size
+    static MAX_CACHE_BYTES = 500 * 1024 * 1024;
+
+    constructor() {
+        this.databasePromise = null;
+    }
+
+    /**
+     * Open the cache database on first use
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    getDatabase() {
+        if (!this.databasePromise) {
+            this.databasePromise = openDatabase(RepositoryCache.DATABASE_NAME, RepositoryCache.DATABASE_VERSION, (database) => {
+                // Metadata and contents are separate so listing the cache never loads file data
+                database.createObjectStore('repositories', { keyPath: 'key' });
+                database.createObjectStore('contents', { keyPath: 'key' });
+                database.createObjectStore('refs', { keyPath: 'key' });
+            }).catch(error => {
+                this.databasePromise = null;
+                throw error;
+            });
+        }
+        return this.databasePromise;
+    }
+
+    /**
+     * Create the cache key of a repository commit
+     * @param {string} host - Provider host
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} commitSha - Commit SHA
+     * @returns {string} Cache key
+     */
+    static createKey(host, owner, repo, commitSha) {
+        return `${host}/${owner}/${repo}@${commitSha}`;
+    }
+
+    /**
+     * Get the commit a ref pointed to when it was last checked
+     * @param {string} host - Provider host
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch or tag
+     * @returns {Promise<object|null>} { commitSha, etag, checkedAt }, or null if unknown
+     */
+    async getRef(host, owner, repo, ref) {
+        const database = await this.getDatabase();
+        const store = database.transaction('refs').objectStore('refs');
+        return (await promisifyRequest(store.get(`${host}/${owner}/${repo}#${ref}`))) || null;
+    }
+
+    /**
+     * Remember the commit a ref points to and the ETag of that response
+     * @param {string} host - Provider host
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch or tag
+     * @param {object} value - { commitSha, etag }
+     */
+    async putRef(host, owner, repo, ref, value) {
+        const database = await this.getDatabase();
+        const transaction = database.transaction('refs', 'readwrite');
+        transaction.objectStore('refs').put({
+            key: `${host}/${owner}/${repo}#${ref}`,
+            commitSha: value.commitSha,
+            etag: value.etag,
+            checkedAt: Date.now()
+        });
+        await waitForTransaction(transaction);
+    }
+
+    /**
+     * Get a cached import that covers a subdirectory
+     * @param {string} host - Provider host
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} commitSha - Commit SHA
+     * @param {string} subpath - Subdirectory being loaded
+     * @returns {Promise<object|null>} { record, entries }, or null on a cache miss
+     */
+    async getRepository(host, owner, repo, commitSha, subpath = '') {
+        const key = RepositoryCache.createKey(host, owner, repo, commitSha);
+        const database = await this.getDatabase();
+        const transaction = database.transaction(['repositories', 'contents'], 'readwrite');
+        const repositories = transaction.objectStore('repositories');
+
+        const record = await promisifyRequest(repositories.get(key));
+        // Imports of a subdirectory only cover that subdirectory
+        if (!record || (record.root && subpath !== record.root && !subpath.startsWith(`${record.root}/`))) {
+            return null;
+        }
+
+        const contents = await promisifyRequest(transaction.objectStore('contents').get(key));
+        if (!contents) {
+            return null;
+        }
+
+        record.lastUsedAt = Date.now();
+        repositories.put(record);
+        await waitForTransaction(transaction);
+
+        return { record, entries: contents.entries };
+    }
+
+    /**
+     * Store the complete contents of a repository commit (or of one subdirectory)
+     * @param {object} metadata - { host, provider, owner, repo, commitSha, root: subdirectory the entries cover ('' for all) }
+     * @param {Array} entries - Entries relative to the repository root: { path, type, data, linkTarget, mode }
+     * @returns {Promise<object>} Stored record
+     */
+    async putRepository(metadata, entries) {
+        const key = RepositoryCache.createKey(metadata.host, metadata.owner, metadata.repo, metadata.commitSha);
+        const size = entries.reduce((total, entry) => total + (entry.data?.length || 0), 0);
+        const now = Date.now();
+        const record = {
+            ...metadata,
+            key,
+            size,
+            fileCount: entries.filter(entry => entry.type !== 'directory').length,
+            createdAt: now,
+            lastUsedAt: now
+        };
+
+        const database = await this.getDatabase();
+        const transaction = database.transaction(['repositories', 'contents'], 'readwrite');
+        transaction.objectStore('repositories').put(record);
+        transaction.objectStore('contents').put({ key, entries });
+        await waitForTransaction(transaction);
+
+        await this.enforceLimit(key);
+        return record;
+    }
+
+    /**
+     * List cached repositories, most recently used first
+     * @returns {Promise<Array<object>>} Records: { key, host, owner, repo, commitSha, root, size, fileCount, createdAt, lastUsedAt }
+     */
+    async list() {
+        const database = await this.getDatabase();
+        const store = database.transaction('repositories').objectStore('repositories');
+        const records = await promisifyRequest(store.getAll());
+        return records.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+    }
+
+    /**
+     * Remove one cached repository commit
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        const database = await this.getDatabase();
+        const transaction = database.transaction(['repositories', 'contents'], 'readwrite');
+        transaction.objectStore('repositories').delete(key);
+        transaction.objectStore('contents').delete(key);
+        await waitForTransaction(transaction);
+    }
+
+    /**
+     * Remove everything from the cache
+     */
+    async clear() {
+        const database = await this.getDatabase();
+        const transaction = database.transaction(['repositories', 'contents', 'refs'], 'readwrite');
+        ['repositories', 'contents', 'refs'].forEach(name => transaction.objectStore(name).clear());
+        await waitForTransaction(transaction);
+    }
+
+    /**
+     * Evict least recently used repositories until the cache fits in MAX_CACHE_BYTES
+     * @param {string} keepKey - Key that must not be evicted (the import just stored)
+     * @returns {Promise<number>} Number of evicted repositories
+     */
+    async enforceLimit(keepKey = null) {
+        const records = await this.list();
+        let total = records.reduce((sum, record) => sum + record.size, 0);
+        let evicted = 0;
+
+        for (const record of [...records].reverse()) {
+            if (total <= RepositoryCache.MAX_CACHE_BYTES) break;
+            if (record.key === keepKey) continue;
+
+            await this.delete(record.key);
+            total -= record.size;
+            evicted++;
+        }
+
+        return evicted;
+    }
+}
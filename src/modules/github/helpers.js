@@ -5,14 +5,310 @@
 import { 
     parseGitHubUrl, 
     generateGitHubRawUrls, 
+    generateGitHubRawUrl,
     generateGitHubApiUrl,
-    generateCorsProxyUrls 
+    generateGitHubTreeApiUrl,
+    generateGitHubBlobApiUrl,
+    generateGitHubArchiveUrls,
+    generateGitHubMatchingRefsApiUrl,
+    generateCorsProxyUrl,
+    generateGistApiUrl,
+    isCommitSha
 } from '../../utils/github.js';
+import { base64ToBytes, bytesToBase64 } from '../../utils/common.js';
+import { readResponseBytes } from '../../utils/archive.js';
+import { ProjectDetector } from '../../helpers/index.js';
+import { CompatibilityHelper } from '../webcontainer/helpers.js';
+import { DEFAULT_NPM_REGISTRY, generateNpmPackageUrl } from '../../utils/npm.js';
+
+/**
+ * GitHub access token and rate-limit tracking
+ */
+export class GitHubAuthHelper {
+    static TOKEN_STORAGE_KEY = 'github-token';
+    static rateLimit = null;
+
+    /**
+     * Get the stored personal access token
+     * @returns {string|null} Token or null
+     */
+    static getToken() {
+        try {
+            return localStorage.getItem(this.TOKEN_STORAGE_KEY) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Store a personal access token (kept in this browser only, never in share links)
+     * @param {string} token - Token, or empty to clear
+     */
+    static setToken(token) {
+        const value = (token || '').trim();
+        if (value) {
+            localStorage.setItem(this.TOKEN_STORAGE_KEY, value);
+        } else {
+            localStorage.removeItem(this.TOKEN_STORAGE_KEY);
+        }
+        this.rateLimit = null;
+    }
+
+    /**
+     * Check whether a URL points at a GitHub host that should receive the token
+     * @param {string} url - Request URL
+     * @returns {boolean} Is a GitHub URL (CORS proxies never get the token)
+     */
+    static isGitHubUrl(url) {
+        try {
+            const { hostname } = new URL(url);
+            return hostname === 'api.github.com' || hostname === 'raw.githubusercontent.com';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Build request headers, adding the token for GitHub hosts
+     * @param {string} url - Request URL
+     * @param {object} headers - Base headers
+     * @returns {object} Headers
+     */
+    static getHeaders(url, headers = {}) {
+        const token = this.getToken();
+        if (token && this.isGitHubUrl(url)) {
+            return { ...headers, 'Authorization': `Bearer ${token}` };
+        }
+        return headers;
+    }
+
+    /**
+     * Record rate-limit headers from a GitHub API response and notify the UI
+     * @param {Response} response - Fetch response
+     */
+    static recordRateLimit(response) {
+        const limit = response.headers.get('x-ratelimit-limit');
+        const remaining = response.headers.get('x-ratelimit-remaining');
+        if (limit === null || remaining === null) return;
+
+        this.rateLimit = {
+            limit: parseInt(limit, 10),
+            remaining: parseInt(remaining, 10),
+            reset: parseInt(response.headers.get('x-ratelimit-reset'), 10) * 1000 || null,
+            authenticated: !!this.getToken()
+        };
+
+        document.dispatchEvent(new CustomEvent('githubRateLimit', { detail: this.rateLimit }));
+    }
+
+    /**
+     * Check whether a response was rejected because of authentication rather than rate limiting
+     * @param {Response} response - Fetch response
+     * @returns {boolean} Auth was rejected
+     */
+    static isAuthRejected(response) {
+        if (response.status === 401) return true;
+        return response.status === 403 && response.headers.get('x-ratelimit-remaining') !== '0';
+    }
+
+    /**
+     * Create an error describing an auth failure or an inaccessible repository
+     * @param {Response} response - Fetch response
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Error} Error with status and code properties
+     */
+    static createAccessError(response, owner, repo) {
+        const hasToken = !!this.getToken();
+        let message;
+
+        if (response.status === 401) {
+            message = 'GitHub rejected the access token. Update or remove it in GitHub settings.';
+        } else if (response.status === 403) {
+            message = `The access token is not allowed to read ${owner}/${repo}.`;
+        } else {
+            message = hasToken
+                ? `Repository ${owner}/${repo} was not found, or the access token cannot see it.`
+                : `Repository ${owner}/${repo} was not found. If it is private, add a GitHub access token.`;
+        }
+
+        const error = new Error(message);
+        error.status = response.status;
+        error.code = 'GITHUB_AUTH';
+        return error;
+    }
+
+    /**
+     * Format the current rate limit for display
+     * @returns {string} Rate limit summary, or empty string if unknown
+     */
+    static formatRateLimit() {
+        if (!this.rateLimit) return '';
+
+        const { limit, remaining, reset } = this.rateLimit;
+        const resetTime = reset ? new Date(reset).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : null;
+        return resetTime
+            ? `GitHub API: ${remaining}/${limit} (resets ${resetTime})`
+            : `GitHub API: ${remaining}/${limit}`;
+    }
+}
+
+/**
+ * Configurable CORS proxy chain for GitHub API calls made from the browser
+ */
+export class CorsProxyHelper {
+    static SETTINGS_STORAGE_KEY = 'cors-proxy-settings';
+
+    /**
+     * Convert a proxy's response into a plain response carrying the upstream body and status
+     */
+    static RESPONSE_ADAPTERS = {
+        // Proxy returns the upstream response unchanged
+        passthrough: async (response) => response,
+
+        // allorigins /get wraps the body as { contents, status: { http_code } }
+        allorigins: async (response) => {
+            const data = await response.json();
+            return new Response(data.contents, {
+                status: data.status?.http_code || 200,
+                headers: { 'Content-Type': data.status?.content_type || 'application/json' }
+            });
+        }
+    };
+
+    /**
+     * Public proxies that can be enabled in settings
+     */
+    static BUILT_IN_PROXIES = [
+        { id: 'allorigins', name: 'allorigins.win', template: 'https://api.allorigins.win/get?url={url}', adapter: 'allorigins' },
+        { id: 'cors-anywhere', name: 'cors-anywhere (Heroku)', template: 'https://cors-anywhere.herokuapp.com/{url}', adapter: 'passthrough' },
+        { id: 'corsproxy', name: 'corsproxy.io', template: 'https://corsproxy.io/?{url}', adapter: 'passthrough' }
+    ];
+
+    /**
+     * Get proxy settings. Public proxies see every URL sent through them, so none is enabled until the user opts in
+     * @returns {object} { enabled: string[] of built-in ids, customTemplate: string }
+     */
+    static getSettings() {
+        const defaults = {
+            enabled: [],
+            customTemplate: ''
+        };
+
+        try {
+            const saved = localStorage.getItem(this.SETTINGS_STORAGE_KEY);
+            return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+        } catch (error) {
+            console.warn('Failed to read CORS proxy settings:', error);
+            return defaults;
+        }
+    }
+
+    /**
+     * Save proxy settings
+     * @param {object} settings - { enabled: string[], customTemplate: string }
+     */
+    static saveSettings(settings) {
+        localStorage.setItem(this.SETTINGS_STORAGE_KEY, JSON.stringify({
+            enabled: settings.enabled || [],
+            customTemplate: (settings.customTemplate || '').trim()
+        }));
+    }
+
+    /**
+     * Get the proxies to try, in order; a self-hosted proxy goes first
+     * @returns {Array<object>} Proxy configurations ({ id, name, template, adapter })
+     */
+    static getProxies() {
+        const { enabled, customTemplate } = this.getSettings();
+        const proxies = [];
+
+        if (customTemplate) {
+            proxies.push({ id: 'custom', name: 'Self-hosted proxy', template: customTemplate, adapter: 'passthrough' });
+        }
+
+        return proxies.concat(this.BUILT_IN_PROXIES.filter(proxy => enabled.includes(proxy.id)));
+    }
+
+    /**
+     * Build the URL for requesting a target through a proxy
+     * @param {object} proxy - Proxy configuration
+     * @param {string} targetUrl - URL to request
+     * @returns {string} Proxy URL
+     */
+    static getProxyUrl(proxy, targetUrl) {
+        return generateCorsProxyUrl(proxy.template, targetUrl);
+    }
+
+    /**
+     * Download a file, retrying through proxies that pass binary bodies through unchanged when the host blocks CORS
+     * @param {string} url - File URL
+     * @param {Function} onProgress - Called with (loadedBytes, totalBytes|null)
+     * @param {AbortSignal} signal - Aborts the download
+     * @returns {Promise<Uint8Array>} File contents
+     */
+    static async fetchBytes(url, onProgress = null, signal = null) {
+        const attempts = [{ name: 'direct', url }].concat(
+            this.getProxies()
+                .filter(proxy => proxy.adapter === 'passthrough')
+                .map(proxy => ({ name: proxy.name, url: this.getProxyUrl(proxy, url) }))
+        );
+        let lastError = null;
+
+        for (const attempt of attempts) {
+            try {
+                const response = await fetch(attempt.url, { signal });
+                if (response.ok) {
+                    return await readResponseBytes(response, onProgress);
+                }
+                lastError = new Error(`Download failed (${response.status})`);
+                // The host answered, so a proxy would get the same response
+                if (attempt.name === 'direct') break;
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                console.warn(`Failed to download ${url} (${attempt.name}):`, error.message);
+                lastError = error;
+            }
+        }
+
+        throw lastError || new Error(`Could not download ${url}`);
+    }
+
+    /**
+     * Normalize a proxy response using the proxy's adapter
+     * @param {object} proxy - Proxy configuration
+     * @param {Response} response - Response from the proxy
+     * @returns {Promise<Response>} Response with the upstream body and status
+     */
+    static async adaptResponse(proxy, response) {
+        const adapter = this.RESPONSE_ADAPTERS[proxy.adapter] || this.RESPONSE_ADAPTERS.passthrough;
+        return adapter(response);
+    }
+}
 
 /**
  * GitHub API interaction helpers
  */
 export class GitHubApiHelper {
+    /**
+     * Fetch a URL, authenticating GitHub requests and tracking rate limits
+     * @param {string} url - Request URL
+     * @param {object} options - Fetch options
+     * @returns {Promise<Response>} Response
+     */
+    static async fetchGitHub(url, options = {}) {
+        const response = await fetch(url, {
+            ...options,
+            headers: GitHubAuthHelper.getHeaders(url, options.headers)
+        });
+
+        if (GitHubAuthHelper.isGitHubUrl(url)) {
+            GitHubAuthHelper.recordRateLimit(response);
+        }
+
+        return response;
+    }
+
     /**
      * Fetch repository information with fallback methods
      * @param {string} owner - Repository owner
@@ -28,28 +324,33 @@ export class GitHubApiHelper {
             {
                 url: apiUrl,
                 headers: { 'Accept': 'application/vnd.github.v3+json' },
-                isProxy: false
+                proxy: null
             },
-            // Try CORS proxies
-            ...generateCorsProxyUrls(apiUrl).map(url => ({
-                url,
-                isProxy: true
+            // Try configured CORS proxies
+            ...CorsProxyHelper.getProxies().map(proxy => ({
+                url: CorsProxyHelper.getProxyUrl(proxy, apiUrl),
+                proxy
             }))
         ];
 
         for (const attempt of attempts) {
             try {
                 console.log(`Trying to fetch repo info from: ${attempt.url}`);
-                const response = await fetch(attempt.url, { 
+                let response = await this.fetchGitHub(attempt.url, { 
                     headers: attempt.headers || {} 
                 });
 
+                // Proxies cannot help with a missing repo or a rejected token
+                if (!attempt.proxy && (response.status === 404 || GitHubAuthHelper.isAuthRejected(response))) {
+                    throw GitHubAuthHelper.createAccessError(response, owner, repo);
+                }
+
+                if (response.ok && attempt.proxy) {
+                    response = await CorsProxyHelper.adaptResponse(attempt.proxy, response);
+                }
+
                 if (response.ok) {
-                    const data = await response.json();
-                    // Handle proxy response format
-                    const repoData = attempt.isProxy && data.contents 
-                        ? JSON.parse(data.contents) 
-                        : data;
+                    const repoData = await response.json();
                     
                     if (repoData && repoData.name) {
                         console.log(`Successfully fetched repo info for ${owner}/${repo}`);
@@ -57,6 +358,9 @@ export class GitHubApiHelper {
                     }
                 }
             } catch (error) {
+                if (error.code === 'GITHUB_AUTH') {
+                    throw error;
+                }
                 console.warn(`Failed to fetch repo info from ${attempt.url}:`, error.message);
             }
         }
@@ -93,12 +397,14 @@ export class GitHubApiHelper {
      * @param {string} owner - Repository owner
      * @param {string} repo - Repository name
      * @param {string} filepath - File path
+     * @param {string} ref - Branch, tag or commit SHA (optional)
      * @returns {Promise<string|null>} File content or null
      */
-    static async fetchFileContent(owner, repo, filepath) {
+    static async fetchFileContent(owner, repo, filepath, ref = null) {
         // Generate all possible URLs to try
-        const rawUrls = generateGitHubRawUrls(owner, repo, filepath);
-        const apiUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${filepath}`;
+        const rawUrls = generateGitHubRawUrls(owner, repo, filepath, ref);
+        const apiUrl = `https://api.github.com/repos/${owner}/${repo}/contents/${filepath}`
+            + (ref ? `?ref=${encodeURIComponent(ref)}` : '');
         
         const attempts = [
             ...rawUrls,
@@ -108,7 +414,7 @@ export class GitHubApiHelper {
         for (const url of attempts) {
             try {
                 console.log(`Trying to fetch ${filepath} from: ${url}`);
-                const response = await fetch(url);
+                const response = await this.fetchGitHub(url);
                 
                 if (response.ok) {
                     const data = await response.text();
@@ -141,225 +447,794 @@ export class GitHubApiHelper {
         console.log(`Could not fetch ${filepath} from any source`);
         return null;
     }
-}
 
-/**
- * Project type detection and configuration
- */
-export class ProjectTypeHelper {
     /**
-     * Detect project type from files and package.json
-     * @param {object} packageJson - Parsed package.json
-     * @param {Array} files - Available files
-     * @returns {string} Project type
-     */
-    static detectProjectType(packageJson, files = []) {
-        // Check package.json dependencies
-        if (packageJson) {
-            const deps = {
-                ...packageJson.dependencies,
-                ...packageJson.devDependencies
-            };
-
-            if (deps.astro) return 'astro';
-            if (deps.next) return 'next';
-            if (deps.nuxt) return 'nuxt';
-            if (deps.react && deps['react-scripts']) return 'create-react-app';
-            if (deps.react) return 'react';
-            if (deps.vue) return 'vue';
-            if (deps.angular) return 'angular';
-            if (deps.svelte) return 'svelte';
-            if (deps.express) return 'express';
-            if (deps.fastify) return 'fastify';
-            if (deps.koa) return 'koa';
-            if (deps.vite) return 'vite';
-        }
-
-        // Check for specific config files
-        const configFiles = files.map(f => f.toLowerCase());
-        
-        if (configFiles.includes('astro.config.mjs') || configFiles.includes('astro.config.js')) {
-            return 'astro';
-        }
-        if (configFiles.includes('next.config.js') || configFiles.includes('next.config.mjs')) {
-            return 'next';
-        }
-        if (configFiles.includes('nuxt.config.js') || configFiles.includes('nuxt.config.ts')) {
-            return 'nuxt';
+     * Resolve a ref parsed from a /tree/ URL, which may contain slashes ("feature/x")
+     * and so swallow the start of the subdirectory path
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - First path segment after /tree/
+     * @param {string} subpath - Remaining path segments
+     * @returns {Promise<object>} { ref, subpath }
+     */
+    static async resolveRefAndSubpath(owner, repo, ref, subpath) {
+        if (!subpath || isCommitSha(ref)) {
+            return { ref, subpath };
         }
-        if (configFiles.includes('vue.config.js')) {
-            return 'vue';
+
+        const fullPath = `${ref}/${subpath}`;
+        let bestMatch = ref;
+
+        for (const namespace of ['heads', 'tags']) {
+            try {
+                const response = await this.fetchGitHub(generateGitHubMatchingRefsApiUrl(owner, repo, `${namespace}/${ref}/`), {
+                    headers: { 'Accept': 'application/vnd.github.v3+json' }
+                });
+                if (!response.ok) continue;
+
+                const refs = await response.json();
+                for (const { ref: fullRef } of refs) {
+                    const name = fullRef.replace(`refs/${namespace}/`, '');
+                    // Prefer the longest ref that is a whole-segment prefix of the path
+                    if ((fullPath === name || fullPath.startsWith(`${name}/`)) && name.length > bestMatch.length) {
+                        bestMatch = name;
+                    }
+                }
+            } catch (error) {
+                console.warn(`Failed to resolve ${namespace} matching ${ref}:`, error.message);
+            }
         }
-        if (configFiles.includes('angular.json')) {
-            return 'angular';
+
+        return {
+            ref: bestMatch,
+            subpath: fullPath.slice(bestMatch.length + 1)
+        };
+    }
+
+    /**
+     * Fetch the complete file tree of a repository at a ref
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @returns {Promise<object>} Tree listing with blob entries and truncation flag
+     */
+    static async fetchRepositoryTree(owner, repo, ref) {
+        const url = generateGitHubTreeApiUrl(owner, repo, ref);
+        console.log(`Fetching repository tree from: ${url}`);
+
+        const response = await this.fetchGitHub(url, {
+            headers: { 'Accept': 'application/vnd.github.v3+json' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to list repository tree (${response.status})`);
         }
-        if (configFiles.includes('svelte.config.js')) {
-            return 'svelte';
+
+        const data = await response.json();
+
+        // Only blobs carry file content; submodules ('commit') cannot be fetched
+        const entries = (data.tree || []).filter(entry => entry.type === 'blob');
+
+        if (data.truncated) {
+            console.warn(`Tree for ${owner}/${repo}@${ref} was truncated by the API`);
         }
-        if (configFiles.includes('vite.config.js') || configFiles.includes('vite.config.ts')) {
-            return 'vite';
+
+        return {
+            sha: data.sha,
+            entries,
+            truncated: !!data.truncated
+        };
+    }
+
+    /**
+     * Fetch raw file bytes so binary files survive intact
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {object} entry - Tree entry ({ path, sha })
+     * @param {AbortSignal} signal - Cancels the download
+     * @returns {Promise<Uint8Array>} File content
+     */
+    static async fetchFileBytes(owner, repo, ref, entry, signal = null) {
+        // Raw host first: no rate limit and no base64 overhead
+        try {
+            const response = await this.fetchGitHub(generateGitHubRawUrl(owner, repo, ref, entry.path), { signal });
+            if (response.ok) {
+                return new Uint8Array(await response.arrayBuffer());
+            }
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            console.warn(`Failed to fetch ${entry.path} from raw URL:`, error.message);
         }
 
-        // Check for specific directories
-        if (files.some(f => f.toLowerCase().includes('src/pages'))) {
-            return 'astro'; // or Next.js, but Astro is more likely with src/pages
+        // Fall back to the blob API, which returns base64 content
+        const response = await this.fetchGitHub(generateGitHubBlobApiUrl(owner, repo, entry.sha), {
+            headers: { 'Accept': 'application/vnd.github.v3+json' },
+            signal
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Failed to fetch ${entry.path} (${response.status})`);
+            error.status = response.status;
+            throw error;
         }
 
-        return 'node';
+        const data = await response.json();
+        return base64ToBytes(data.content || '');
     }
 
     /**
-     * Get project configuration based on type
-     * @param {string} projectType - Project type
-     * @returns {object} Project configuration
-     */
-    static getProjectConfig(projectType) {
-        const configs = {
-            astro: {
-                defaultPort: 4321,
-                devCommand: 'npm run dev',
-                buildCommand: 'npm run build',
-                startCommand: 'npm start',
-                directories: ['src', 'src/pages', 'src/components', 'src/layouts', 'public'],
-                mainFiles: ['src/pages/index.astro'],
-                configFiles: ['astro.config.mjs'],
-                dependencies: {
-                    'astro': '^4.0.0'
-                },
-                scripts: {
-                    'dev': 'astro dev',
-                    'start': 'astro dev',
-                    'build': 'astro build',
-                    'preview': 'astro preview'
-                }
-            },
-            next: {
-                defaultPort: 3000,
-                devCommand: 'npm run dev',
-                buildCommand: 'npm run build',
-                startCommand: 'npm start',
-                directories: ['pages', 'components', 'public', 'styles'],
-                mainFiles: ['pages/index.js', 'pages/index.tsx'],
-                configFiles: ['next.config.js'],
-                dependencies: {
-                    'next': '^14.0.0',
-                    'react': '^18.0.0',
-                    'react-dom': '^18.0.0'
-                },
-                scripts: {
-                    'dev': 'next dev',
-                    'build': 'next build',
-                    'start': 'next start'
-                }
-            },
-            react: {
-                defaultPort: 3000,
-                devCommand: 'npm start',
-                buildCommand: 'npm run build',
-                startCommand: 'npm start',
-                directories: ['src', 'public'],
-                mainFiles: ['src/App.js', 'src/App.jsx', 'src/index.js'],
-                configFiles: [],
-                dependencies: {
-                    'react': '^18.0.0',
-                    'react-dom': '^18.0.0'
-                },
-                scripts: {
-                    'start': 'react-scripts start',
-                    'build': 'react-scripts build',
-                    'test': 'react-scripts test'
-                }
-            },
-            vue: {
-                defaultPort: 8080,
-                devCommand: 'npm run serve',
-                buildCommand: 'npm run build',
-                startCommand: 'npm run serve',
-                directories: ['src', 'public'],
-                mainFiles: ['src/App.vue', 'src/main.js'],
-                configFiles: ['vue.config.js'],
-                dependencies: {
-                    'vue': '^3.0.0'
-                },
-                scripts: {
-                    'serve': 'vue-cli-service serve',
-                    'build': 'vue-cli-service build'
-                }
+     * Call a GitHub REST endpoint of a repository and parse the JSON response
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} path - Endpoint path below /repos/{owner}/{repo}, e.g. "/git/blobs"
+     * @param {object} options - { method, body }
+     * @returns {Promise<object>} Response data
+     */
+    static async requestRepositoryApi(owner, repo, path, options = {}) {
+        const { method = 'GET', body = null } = options;
+        const url = `${generateGitHubApiUrl(owner, repo)}${path}`;
+
+        const response = await this.fetchGitHub(url, {
+            method,
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                ...(body ? { 'Content-Type': 'application/json' } : {})
             },
-            vite: {
-                defaultPort: 5173,
-                devCommand: 'npm run dev',
-                buildCommand: 'npm run build',
-                startCommand: 'npm run dev',
-                directories: ['src', 'public'],
-                mainFiles: ['src/main.js', 'src/main.ts', 'index.html'],
-                configFiles: ['vite.config.js', 'vite.config.ts'],
-                dependencies: {
-                    'vite': '^5.0.0'
-                },
-                scripts: {
-                    'dev': 'vite',
-                    'build': 'vite build',
-                    'preview': 'vite preview'
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            if (GitHubAuthHelper.isAuthRejected(response)) {
+                throw GitHubAuthHelper.createAccessError(response, owner, repo);
+            }
+            const error = new Error(`GitHub API ${method} ${path} failed (${response.status}): ${data.message || response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Resolve a branch, tag or abbreviated SHA to a full commit SHA
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @returns {Promise<string|null>} Commit SHA, or null if it could not be resolved
+     */
+    static async fetchCommitSha(owner, repo, ref) {
+        try {
+            const data = await this.requestRepositoryApi(owner, repo, `/commits/${encodeURIComponent(ref)}`);
+            return data.sha || null;
+        } catch (error) {
+            if (error.code === 'GITHUB_AUTH') {
+                throw error;
+            }
+            console.warn(`Could not resolve ${ref} to a commit:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Resolve a ref to a commit SHA with a conditional request; an unchanged ref answers
+     * 304 Not Modified, which does not count against the rate limit
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {string|null} etag - ETag from the previous check
+     * @returns {Promise<object>} { sha (null if unresolved or not modified), etag, notModified }
+     */
+    static async checkCommitSha(owner, repo, ref, etag = null) {
+        const url = `${generateGitHubApiUrl(owner, repo)}/commits/${encodeURIComponent(ref)}`;
+
+        try {
+            const response = await this.fetchGitHub(url, {
+                headers: {
+                    'Accept': 'application/vnd.github.sha',
+                    ...(etag ? { 'If-None-Match': etag } : {})
                 }
+            });
+
+            if (response.status === 304) {
+                return { sha: null, etag, notModified: true };
+            }
+            if (GitHubAuthHelper.isAuthRejected(response)) {
+                throw GitHubAuthHelper.createAccessError(response, owner, repo);
+            }
+            if (!response.ok) {
+                throw new Error(`GitHub API GET /commits failed (${response.status})`);
+            }
+
+            const sha = (await response.text()).trim();
+            return { sha: isCommitSha(sha) ? sha : null, etag: response.headers.get('etag'), notModified: false };
+        } catch (error) {
+            if (error.code === 'GITHUB_AUTH') {
+                throw error;
+            }
+            console.warn(`Could not resolve ${ref} to a commit:`, error.message);
+            return { sha: null, etag: null, notModified: false };
+        }
+    }
+
+    /**
+     * Check whether a ref is a branch (rather than a tag or commit SHA)
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Ref name
+     * @returns {Promise<boolean>} Whether refs/heads/<ref> exists
+     */
+    static async isBranch(owner, repo, ref) {
+        if (isCommitSha(ref)) {
+            return false;
+        }
+
+        try {
+            await this.requestRepositoryApi(owner, repo, `/git/ref/heads/${ref}`);
+            return true;
+        } catch (error) {
+            if (error.status === 404) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get the tree SHA of a commit
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} commitSha - Commit SHA
+     * @returns {Promise<string>} Tree SHA
+     */
+    static async fetchCommitTreeSha(owner, repo, commitSha) {
+        const data = await this.requestRepositoryApi(owner, repo, `/git/commits/${commitSha}`);
+        return data.tree.sha;
+    }
+
+    /**
+     * Upload file content as a git blob
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Uint8Array} bytes - File content
+     * @returns {Promise<string>} Blob SHA
+     */
+    static async createBlob(owner, repo, bytes) {
+        const data = await this.requestRepositoryApi(owner, repo, '/git/blobs', {
+            method: 'POST',
+            body: { content: bytesToBase64(bytes), encoding: 'base64' }
+        });
+        return data.sha;
+    }
+
+    /**
+     * Create a tree on top of a base tree
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} baseTreeSha - Tree the changes apply to
+     * @param {Array<object>} entries - { path, mode, type: 'blob', sha } (sha null deletes the path)
+     * @returns {Promise<string>} Tree SHA
+     */
+    static async createTree(owner, repo, baseTreeSha, entries) {
+        const data = await this.requestRepositoryApi(owner, repo, '/git/trees', {
+            method: 'POST',
+            body: { base_tree: baseTreeSha, tree: entries }
+        });
+        return data.sha;
+    }
+
+    /**
+     * Create a commit object
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} message - Commit message
+     * @param {string} treeSha - Tree SHA
+     * @param {string[]} parents - Parent commit SHAs
+     * @returns {Promise<string>} Commit SHA
+     */
+    static async createCommit(owner, repo, message, treeSha, parents) {
+        const data = await this.requestRepositoryApi(owner, repo, '/git/commits', {
+            method: 'POST',
+            body: { message, tree: treeSha, parents }
+        });
+        return data.sha;
+    }
+
+    /**
+     * Fast-forward an existing branch to a commit
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} branch - Branch name
+     * @param {string} commitSha - Commit SHA
+     * @returns {Promise<object>} Updated ref
+     */
+    static async updateBranch(owner, repo, branch, commitSha) {
+        return this.requestRepositoryApi(owner, repo, `/git/refs/heads/${branch}`, {
+            method: 'PATCH',
+            body: { sha: commitSha, force: false }
+        });
+    }
+
+    /**
+     * Create a new branch pointing at a commit
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} branch - Branch name
+     * @param {string} commitSha - Commit SHA
+     * @returns {Promise<object>} Created ref
+     */
+    static async createBranch(owner, repo, branch, commitSha) {
+        return this.requestRepositoryApi(owner, repo, '/git/refs', {
+            method: 'POST',
+            body: { ref: `refs/heads/${branch}`, sha: commitSha }
+        });
+    }
+
+    /**
+     * Fetch a pull request
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} number - Pull request number
+     * @returns {Promise<object>} Pull request data
+     */
+    static async fetchPullRequest(owner, repo, number) {
+        return this.requestRepositoryApi(owner, repo, `/pulls/${number}`);
+    }
+
+    /**
+     * Fetch the files changed in a pull request (GitHub lists at most 3000)
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {number} number - Pull request number
+     * @returns {Promise<Array>} Files: { filename, status, additions, deletions, patch, previous_filename }
+     */
+    static async fetchPullRequestFiles(owner, repo, number) {
+        const perPage = 100;
+        const files = [];
+
+        for (let page = 1; page <= 30; page++) {
+            const pageFiles = await this.requestRepositoryApi(owner, repo, `/pulls/${number}/files?per_page=${perPage}&page=${page}`);
+            files.push(...pageFiles);
+            if (pageFiles.length < perPage) break;
+        }
+
+        return files;
+    }
+
+    /**
+     * Open a pull request
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {object} pullRequest - { title, body, head: source branch, base: target branch }
+     * @returns {Promise<object>} Created pull request
+     */
+    static async createPullRequest(owner, repo, pullRequest) {
+        return this.requestRepositoryApi(owner, repo, '/pulls', {
+            method: 'POST',
+            body: pullRequest
+        });
+    }
+
+    /**
+     * Call the GitHub gist API and parse the JSON response
+     * @param {string|null} gistId - Gist ID (null to create a gist)
+     * @param {object} options - { method, body }
+     * @returns {Promise<object>} Gist data
+     */
+    static async requestGistApi(gistId, options = {}) {
+        const { method = 'GET', body = null } = options;
+
+        const response = await this.fetchGitHub(generateGistApiUrl(gistId), {
+            method,
+            headers: {
+                'Accept': 'application/vnd.github.v3+json',
+                ...(body ? { 'Content-Type': 'application/json' } : {})
             },
-            express: {
-                defaultPort: 3000,
-                devCommand: 'npm run dev',
-                buildCommand: 'npm run build',
-                startCommand: 'npm start',
-                directories: ['routes', 'public', 'views'],
-                mainFiles: ['app.js', 'server.js', 'index.js'],
-                configFiles: [],
-                dependencies: {
-                    'express': '^4.18.0'
-                },
-                scripts: {
-                    'start': 'node app.js',
-                    'dev': 'nodemon app.js'
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            let message;
+            if (response.status === 401) {
+                message = 'GitHub rejected the access token. Update or remove it in GitHub settings.';
+            } else if (GitHubAuthHelper.isAuthRejected(response)) {
+                message = 'The access token is not allowed to write gists. It needs the "gist" scope.';
+            } else if (response.status === 404) {
+                message = method === 'GET'
+                    ? `Gist ${gistId} was not found.`
+                    : `Gist ${gistId} was not found, or it belongs to another user.`;
+            } else {
+                message = `GitHub API ${method} /gists failed (${response.status}): ${data.message || response.statusText}`;
+            }
+
+            const error = new Error(message);
+            error.status = response.status;
+            if (GitHubAuthHelper.isAuthRejected(response)) {
+                error.code = 'GITHUB_AUTH';
+            }
+            throw error;
+        }
+
+        return data;
+    }
+
+    /**
+     * Fetch a gist with the full contents of every file
+     * @param {string} gistId - Gist ID
+     * @returns {Promise<object>} Gist data; files[name].content is always filled in
+     */
+    static async fetchGist(gistId) {
+        const gist = await this.requestGistApi(gistId);
+
+        // The API truncates large files; their full content is at raw_url
+        for (const file of Object.values(gist.files || {})) {
+            if (file.truncated && file.raw_url) {
+                const response = await this.fetchGitHub(file.raw_url);
+                if (!response.ok) {
+                    throw new Error(`Failed to download gist file ${file.filename}: ${response.status}`);
                 }
-            },
-            node: {
-                defaultPort: 3000,
-                devCommand: 'npm start',
-                buildCommand: 'npm run build',
-                startCommand: 'npm start',
-                directories: ['src', 'lib'],
-                mainFiles: ['index.js', 'app.js', 'server.js'],
-                configFiles: [],
-                dependencies: {},
-                scripts: {
-                    'start': 'node index.js',
-                    'dev': 'node index.js'
+                file.content = await response.text();
+                file.truncated = false;
+            }
+        }
+
+        return gist;
+    }
+
+    /**
+     * Create a gist
+     * @param {object} gist - { description, public, files: { name: { content } } }
+     * @returns {Promise<object>} Created gist
+     */
+    static async createGist(gist) {
+        return this.requestGistApi(null, { method: 'POST', body: gist });
+    }
+
+    /**
+     * Update a gist; a file set to null is deleted
+     * @param {string} gistId - Gist ID
+     * @param {object} gist - { description, files: { name: { content } | null } }
+     * @returns {Promise<object>} Updated gist
+     */
+    static async updateGist(gistId, gist) {
+        return this.requestGistApi(gistId, { method: 'PATCH', body: gist });
+    }
+
+    /**
+     * Download the gzipped tarball of a repository at a ref
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {Function} onProgress - Called with (loadedBytes, totalBytes|null)
+     * @param {AbortSignal} signal - Cancels the download
+     * @returns {Promise<Uint8Array>} Gzipped tar data
+     */
+    static async fetchRepositoryArchive(owner, repo, ref, onProgress = null, signal = null) {
+        let lastError = null;
+
+        for (const url of generateGitHubArchiveUrls(owner, repo, ref)) {
+            try {
+                console.log(`Trying to download archive from: ${url}`);
+                const response = await this.fetchGitHub(url, { signal });
+
+                if (response.ok) {
+                    return await readResponseBytes(response, onProgress);
                 }
+
+                lastError = new Error(`Archive download failed (${response.status})`);
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                console.warn(`Failed to download archive from ${url}:`, error.message);
+                lastError = error;
             }
-        };
+        }
 
-        return configs[projectType] || configs.node;
+        throw lastError || new Error('Repository archive unavailable');
     }
+}
+
+/**
+ * npm registry access for loading published packages
+ */
+export class NpmRegistryHelper {
+    static REGISTRY_STORAGE_KEY = 'npm-registry';
+    // Web Crypto names of the Subresource Integrity algorithms npm publishes, strongest first
+    static INTEGRITY_ALGORITHMS = { sha512: 'SHA-512', sha384: 'SHA-384', sha256: 'SHA-256' };
 
     /**
-     * Generate quick start instructions for project type
-     * @param {string} projectType - Project type
-     * @param {string} projectName - Project name
-     * @returns {Array} Array of instruction strings
+     * Get the configured registry base URL
+     * @returns {string} Registry URL
      */
-    static getQuickStartInstructions(projectType, projectName) {
-        const config = this.getProjectConfig(projectType);
-        
-        const instructions = [
-            `🚀 ${projectType.charAt(0).toUpperCase() + projectType.slice(1)} project detected!`,
-            `💡 Quick start:`,
-            `   1. cd ${projectName}`,
-            `   2. npm install`,
-            `   3. ${config.devCommand}`,
-        ];
+    static getRegistry() {
+        try {
+            return localStorage.getItem(this.REGISTRY_STORAGE_KEY) || DEFAULT_NPM_REGISTRY;
+        } catch (error) {
+            return DEFAULT_NPM_REGISTRY;
+        }
+    }
+
+    /**
+     * Store the registry base URL
+     * @param {string} url - Registry URL, or empty for the public registry
+     */
+    static setRegistry(url) {
+        const value = (url || '').trim().replace(/\/+$/, '');
+        if (!value || value === DEFAULT_NPM_REGISTRY) {
+            localStorage.removeItem(this.REGISTRY_STORAGE_KEY);
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = new URL(value);
+        } catch (error) {
+            parsed = null;
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+            throw new Error(`Invalid npm registry URL: ${value}`);
+        }
+
+        localStorage.setItem(this.REGISTRY_STORAGE_KEY, value);
+    }
+
+    /**
+     * Fetch a package's metadata (the abbreviated install document where supported)
+     * @param {string} registry - Registry base URL
+     * @param {string} name - Package name
+     * @param {AbortSignal} signal - Aborts the request
+     * @returns {Promise<object>} Package metadata with versions and dist-tags
+     */
+    static async fetchPackument(registry, name, signal) {
+        const response = await fetch(generateNpmPackageUrl(registry, name), {
+            headers: { 'Accept': 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8' },
+            signal
+        });
+
+        if (response.status === 404) {
+            throw new Error(`Package ${name} was not found in ${registry}`);
+        }
+        if (!response.ok) {
+            throw new Error(`${registry} responded with ${response.status} for ${name}`);
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Resolve a dist-tag, exact version or range to a published version
+     * @param {object} packument - Package metadata
+     * @param {string} requested - Dist-tag, version or range
+     * @returns {string} Version
+     */
+    static resolveVersion(packument, requested) {
+        const versions = Object.keys(packument.versions || {});
+        const taggedVersion = packument['dist-tags']?.[requested];
+        if (taggedVersion && packument.versions[taggedVersion]) {
+            return taggedVersion;
+        }
+        if (packument.versions?.[requested]) {
+            return requested;
+        }
+
+        // Ranges pick the highest match, skipping prereleases unless the range names one
+        const candidates = versions
+            .filter(version => requested.includes('-') || !version.includes('-'))
+            .filter(version => CompatibilityHelper.satisfiesRange(requested, version))
+            .sort((a, b) => CompatibilityHelper.compareVersions(CompatibilityHelper.parseVersion(b), CompatibilityHelper.parseVersion(a)));
 
-        if (config.defaultPort) {
-            instructions.push(`   4. Open http://localhost:${config.defaultPort}`);
+        if (candidates.length === 0) {
+            throw new Error(`No published version of ${packument.name} matches "${requested}"`);
+        }
+        return candidates[0];
+    }
+
+    /**
+     * Download a package tarball
+     * @param {object} dist - dist field of the version's metadata
+     * @param {Function} onProgress - Called with (loadedBytes, totalBytes|null)
+     * @param {AbortSignal} signal - Aborts the download
+     * @returns {Promise<Uint8Array>} Gzipped tarball
+     */
+    static async fetchTarball(dist, onProgress, signal) {
+        const response = await fetch(dist.tarball, { signal });
+        if (!response.ok) {
+            throw new Error(`Tarball download failed with ${response.status}: ${dist.tarball}`);
+        }
+        return await readResponseBytes(response, onProgress);
+    }
+
+    /**
+     * Check a tarball against the integrity (or legacy shasum) the registry published
+     * @param {Uint8Array} bytes - Tarball
+     * @param {object} dist - dist field of the version's metadata
+     * @returns {Promise<string|null>} Algorithm that was verified, or null if the registry published no checksum
+     */
+    static async verifyIntegrity(bytes, dist) {
+        const hashes = (dist.integrity || '').split(/\s+/).map(entry => entry.match(/^(sha\d+)-(.+)$/)).filter(Boolean);
+        const integrity = Object.keys(this.INTEGRITY_ALGORITHMS)
+            .map(algorithm => hashes.find(hash => hash[1] === algorithm))
+            .find(Boolean);
+
+        if (integrity) {
+            const digest = new Uint8Array(await crypto.subtle.digest(this.INTEGRITY_ALGORITHMS[integrity[1]], bytes));
+            if (bytesToBase64(digest) !== integrity[2]) {
+                throw new Error(`Tarball ${integrity[1]} integrity check failed`);
+            }
+            return integrity[1];
+        }
+
+        if (dist.shasum) {
+            const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', bytes));
+            const hex = [...digest].map(byte => byte.toString(16).padStart(2, '0')).join('');
+            if (hex !== dist.shasum.toLowerCase()) {
+                throw new Error('Tarball sha1 checksum mismatch');
+            }
+            return 'sha1';
         }
 
-        return instructions;
+        return null;
+    }
+}
+
+/**
+ * Monorepo and workspace layout detection
+ */
+export class WorkspaceHelper {
+    // Package globs used by tools that do not list their packages explicitly
+    static DEFAULT_PATTERNS = {
+        lerna: ['packages/*'],
+        nx: ['apps/*', 'libs/*', 'packages/*']
+    };
+
+    /**
+     * Detect workspace tools and the package globs they declare
+     * @param {object} files - Root file contents (null when missing): { packageJson, pnpmWorkspace, lernaJson, turboJson, nxJson, packageManager: detected package manager name }
+     * @returns {object|null} { tools: string[], patterns: string[] }, or null if the project is not a monorepo
+     */
+    static detectWorkspaceConfig(files) {
+        const tools = [];
+        const patterns = [];
+
+        const packageWorkspaces = WorkspaceHelper.getPackageJsonWorkspaces(files.packageJson);
+        if (packageWorkspaces.length > 0) {
+            tools.push(`${files.packageManager === 'yarn' ? 'yarn' : 'npm'} workspaces`);
+            patterns.push(...packageWorkspaces);
+        }
+
+        if (files.pnpmWorkspace !== null && files.pnpmWorkspace !== undefined) {
+            tools.push('pnpm workspaces');
+            patterns.push(...WorkspaceHelper.parsePnpmWorkspace(files.pnpmWorkspace));
+        }
+
+        if (files.lernaJson) {
+            tools.push('Lerna');
+            // Lerna with useWorkspaces defers to package.json
+            if (!files.lernaJson.useWorkspaces) {
+                patterns.push(...(Array.isArray(files.lernaJson.packages) ? files.lernaJson.packages : WorkspaceHelper.DEFAULT_PATTERNS.lerna));
+            }
+        }
+
+        if (files.turboJson) {
+            tools.push('Turborepo');
+        }
+
+        if (files.nxJson) {
+            tools.push('Nx');
+            if (patterns.length === 0) {
+                patterns.push(...WorkspaceHelper.DEFAULT_PATTERNS.nx);
+            }
+        }
+
+        if (tools.length === 0) {
+            return null;
+        }
+
+        return { tools, patterns: [...new Set(patterns)] };
+    }
+
+    /**
+     * Read the workspaces field of package.json (array or yarn's { packages } form)
+     * @param {object} packageJson - Parsed package.json
+     * @returns {string[]} Workspace globs
+     */
+    static getPackageJsonWorkspaces(packageJson) {
+        const workspaces = packageJson?.workspaces;
+        if (Array.isArray(workspaces)) {
+            return workspaces.filter(pattern => typeof pattern === 'string');
+        }
+        if (Array.isArray(workspaces?.packages)) {
+            return workspaces.packages.filter(pattern => typeof pattern === 'string');
+        }
+        return [];
+    }
+
+    /**
+     * Read the packages list of pnpm-workspace.yaml
+     * @param {string} content - YAML content
+     * @returns {string[]} Workspace globs
+     */
+    static parsePnpmWorkspace(content) {
+        const patterns = [];
+        let inPackages = false;
+
+        for (const rawLine of content.split(/\r?\n/)) {
+            const line = rawLine.replace(/\s+#.*$/, '');
+            if (!line.trim() || line.trim().startsWith('#')) continue;
+
+            // Only the top-level packages key is relevant
+            if (/^\S/.test(line)) {
+                inPackages = /^packages\s*:/.test(line);
+                const inline = line.match(/^packages\s*:\s*\[(.*)\]\s*$/);
+                if (inline) {
+                    patterns.push(...inline[1].split(',').map(WorkspaceHelper.unquote).filter(Boolean));
+                }
+                continue;
+            }
+
+            const item = line.match(/^\s+-\s*(.+)$/);
+            if (inPackages && item) {
+                patterns.push(WorkspaceHelper.unquote(item[1]));
+            }
+        }
+
+        return patterns.filter(Boolean);
+    }
+
+    /**
+     * Strip YAML quotes from a scalar
+     * @param {string} value - Scalar value
+     * @returns {string} Unquoted value
+     */
+    static unquote(value) {
+        return value.trim().replace(/^(['"])(.*)\1$/, '$2');
+    }
+
+    /**
+     * Create a matcher for workspace globs, honouring "!" exclusions
+     * @param {string[]} patterns - Workspace globs
+     * @returns {Function} (directory) => boolean
+     */
+    static createPatternMatcher(patterns) {
+        const toRegExp = (pattern) => {
+            const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+            const source = normalized
+                .split('/')
+                .map(segment => segment === '**'
+                    ? '.*'
+                    : segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]'))
+                .join('/')
+                .replace(/\.\*\//g, '(?:.*/)?');
+            return new RegExp(`^${source}$`);
+        };
+
+        const includes = patterns.filter(pattern => !pattern.startsWith('!')).map(toRegExp);
+        const excludes = patterns.filter(pattern => pattern.startsWith('!')).map(pattern => toRegExp(pattern.slice(1)));
+
+        return (directory) => includes.some(regex => regex.test(directory)) && !excludes.some(regex => regex.test(directory));
+    }
+
+    /**
+     * Describe a workspace package from its package.json
+     * @param {string} directory - Package directory relative to the project root
+     * @param {object} packageJson - Parsed package.json
+     * @param {object} packageManager - Package manager of the repository (see ProjectDetector.detectPackageManager)
+     * @returns {object} { name, path, type, port, devCommand, packageJson }
+     */
+    static createPackageInfo(directory, packageJson, packageManager) {
+        const type = ProjectDetector.detectProjectType(packageJson);
+
+        return {
+            name: packageJson.name || directory,
+            path: directory,
+            type,
+            port: ProjectDetector.getDefaultPort(type),
+            devCommand: ProjectDetector.getDevCommand(type, packageJson, packageManager),
+            packageJson
+        };
     }
 }
 
@@ -376,7 +1251,7 @@ export class FileTemplateHelper {
      * @returns {string} README content
      */
     static generateReadme(projectName, owner, repoData, projectType) {
-        const config = ProjectTypeHelper.getProjectConfig(projectType);
+        const config = ProjectDetector.getProjectConfig(projectType);
         const isAstroProject = projectType === 'astro';
 
         return `# ${projectName}
@@ -0,0 +1,844 @@
+/**
+ * Source-hosting providers: URL parsing and read access to repositories on GitHub,
+ * GitLab, Bitbucket and Gitea through one interface
+ */
+
+import { GitHubApiHelper } from './helpers.js';
+import { parseGitHubUrl, generateGitHubUrl, isCommitSha } from '../../utils/github.js';
+import { readResponseBytes } from '../../utils/archive.js';
+
+// Stop listing a tree after this many API pages and report it as truncated
+const MAX_TREE_PAGES = 100;
+
+/**
+ * Base class for a source-hosting provider. Subclasses implement URL parsing and the
+ * host's REST API; GitHubRepository only talks to this interface when importing.
+ */
+export class RepositoryProvider {
+    /**
+     * @param {string} id - Provider type ('github', 'gitlab', 'bitbucket', 'gitea')
+     * @param {string} name - Display name
+     * @param {string} baseUrl - Web base URL of the host, e.g. https://gitlab.com
+     * @param {string|null} token - Access token for private repositories
+     */
+    constructor(id, name, baseUrl, token = null) {
+        this.id = id;
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.host = new URL(this.baseUrl).host;
+        this.token = token;
+    }
+
+    /**
+     * Check whether a URL belongs to this host
+     * @param {string} url - Repository URL (https, scheme-less or git@host:path)
+     * @returns {boolean} URL is on this host
+     */
+    matches(url) {
+        return this.getUrlPath(url) !== null;
+    }
+
+    /**
+     * Get the path part of a URL on this host without query, hash, ".git" and surrounding slashes
+     * @param {string} url - Repository URL
+     * @returns {string|null} Path, or null if the URL is on another host
+     */
+    getUrlPath(url) {
+        if (!url) return null;
+        const trimmed = url.trim();
+
+        const sshMatch = trimmed.match(/^[\w.-]+@([^:\/]+):(.+)$/);
+        if (sshMatch) {
+            return sshMatch[1] === this.host ? sshMatch[2].replace(/\.git$/, '').replace(/^\/+|\/+$/g, '') : null;
+        }
+
+        try {
+            const parsed = new URL(/^[a-z]+:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+            if (parsed.host !== this.host) return null;
+            return decodeURIComponent(parsed.pathname).replace(/\.git$/, '').replace(/^\/+|\/+$/g, '');
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Parse a repository URL on this host
+     * @param {string} url - Repository URL
+     * @returns {object|null} { owner, repo, ref, subpath, pullNumber, gistId }, or null if invalid
+     */
+    parseUrl(url) {
+        throw new Error(`${this.name} URLs are not supported`);
+    }
+
+    /**
+     * Build the result of parseUrl
+     * @param {string} owner - Repository owner (may contain slashes for GitLab groups)
+     * @param {string} repo - Repository name
+     * @param {string|null} ref - Ref from the URL
+     * @param {string} subpath - Path after the ref
+     * @param {boolean} isFile - The path points at a file, so use its directory
+     * @returns {object} Parsed URL
+     */
+    createParsedUrl(owner, repo, ref = null, subpath = '', isFile = false) {
+        const segments = subpath ? subpath.split('/').filter(Boolean) : [];
+        if (isFile) segments.pop();
+
+        return { owner, repo, ref: ref || null, subpath: segments.join('/'), pullNumber: null, gistId: null };
+    }
+
+    /**
+     * Get request headers, including authentication when a token is configured
+     * @param {object} headers - Additional headers
+     * @returns {object} Headers
+     */
+    getHeaders(headers = {}) {
+        return headers;
+    }
+
+    /**
+     * Fetch a URL on this host's API
+     * @param {string} url - Request URL
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise<Response>} Response (throws on HTTP errors)
+     */
+    async request(url, signal = null) {
+        const response = await fetch(url, { headers: this.getHeaders({ 'Accept': 'application/json' }), signal });
+        if (!response.ok) {
+            const error = new Error(`${this.name} API request failed (${response.status})`);
+            error.status = response.status;
+            throw error;
+        }
+        return response;
+    }
+
+    /**
+     * Fetch and parse a JSON API response
+     * @param {string} url - Request URL
+     * @returns {Promise<object>} Response data
+     */
+    async requestJson(url) {
+        return (await this.request(url)).json();
+    }
+
+    /**
+     * Create an error for a repository that is missing or needs a token
+     * @param {number} status - HTTP status
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Error} Error with status and code properties
+     */
+    createAccessError(status, owner, repo) {
+        const message = status === 401 || status === 403
+            ? `${this.name} rejected the access token for ${this.host}. Update it in GitHub settings under other Git hosts.`
+            : this.token
+                ? `Repository ${owner}/${repo} was not found on ${this.host}, or the access token cannot see it.`
+                : `Repository ${owner}/${repo} was not found on ${this.host}. If it is private, add a token for ${this.host} in GitHub settings.`;
+
+        const error = new Error(message);
+        error.status = status;
+        error.code = 'GITHUB_AUTH';
+        return error;
+    }
+
+    /**
+     * Fetch repository metadata, normalized to the GitHub repository shape
+     * ({ name, full_name, description, owner: { login }, html_url, default_branch, ... })
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {Promise<object>} Repository data
+     */
+    async fetchRepositoryInfo(owner, repo) {
+        throw new Error(`${this.name} repositories are not supported`);
+    }
+
+    /**
+     * Resolve a ref parsed from a URL that may contain slashes ("feature/x") and so
+     * swallow the start of the subdirectory, by trying the longest candidate first
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - First path segment after the ref marker
+     * @param {string} subpath - Remaining path segments
+     * @returns {Promise<object>} { ref, subpath }
+     */
+    async resolveRefAndSubpath(owner, repo, ref, subpath) {
+        if (!subpath || isCommitSha(ref)) {
+            return { ref, subpath };
+        }
+
+        const segments = [ref, ...subpath.split('/')];
+        for (let count = Math.min(segments.length, 5); count > 1; count--) {
+            const candidate = segments.slice(0, count).join('/');
+            if (await this.fetchCommitSha(owner, repo, candidate)) {
+                return { ref: candidate, subpath: segments.slice(count).join('/') };
+            }
+        }
+
+        return { ref, subpath };
+    }
+
+    /**
+     * Resolve a branch, tag or abbreviated SHA to a full commit SHA
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @returns {Promise<string|null>} Commit SHA, or null if it could not be resolved
+     */
+    async fetchCommitSha(owner, repo, ref) {
+        return null;
+    }
+
+    /**
+     * Resolve a ref to a commit SHA, skipping the work when it is unchanged since the last check.
+     * Hosts without conditional requests always resolve the ref.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {string|null} etag - ETag from the previous check
+     * @returns {Promise<object>} { sha (null if unresolved or not modified), etag, notModified }
+     */
+    async checkCommitSha(owner, repo, ref, etag = null) {
+        return { sha: await this.fetchCommitSha(owner, repo, ref), etag: null, notModified: false };
+    }
+
+    /**
+     * Get the URL serving the raw content of a file
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {string} filepath - File path
+     * @returns {string} Raw file URL
+     */
+    getRawFileUrl(owner, repo, ref, filepath) {
+        throw new Error(`${this.name} file downloads are not supported`);
+    }
+
+    /**
+     * Get the URL of a gzipped tarball of the repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @returns {string} Archive URL
+     */
+    getArchiveUrl(owner, repo, ref) {
+        throw new Error(`${this.name} archives are not supported`);
+    }
+
+    /**
+     * Fetch a text file
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} filepath - File path
+     * @param {string} ref - Branch, tag or commit SHA
+     * @returns {Promise<string|null>} File content, or null if it could not be fetched
+     */
+    async fetchFileContent(owner, repo, filepath, ref = null) {
+        try {
+            const response = await this.request(this.getRawFileUrl(owner, repo, ref, filepath));
+            return await response.text();
+        } catch (error) {
+            console.warn(`Failed to fetch ${filepath} from ${this.host}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Fetch raw file bytes so binary files survive intact
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {object} entry - Tree entry ({ path })
+     * @param {AbortSignal} signal - Cancels the download
+     * @returns {Promise<Uint8Array>} File content
+     */
+    async fetchFileBytes(owner, repo, ref, entry, signal = null) {
+        const response = await this.request(this.getRawFileUrl(owner, repo, ref, entry.path), signal);
+        return new Uint8Array(await response.arrayBuffer());
+    }
+
+    /**
+     * Download the gzipped tarball of a repository at a ref
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @param {Function} onProgress - Called with (loadedBytes, totalBytes|null)
+     * @param {AbortSignal} signal - Cancels the download
+     * @returns {Promise<Uint8Array>} Gzipped tar data
+     */
+    async fetchRepositoryArchive(owner, repo, ref, onProgress = null, signal = null) {
+        const url = this.getArchiveUrl(owner, repo, ref);
+        console.log(`Trying to download archive from: ${url}`);
+
+        const response = await fetch(url, { headers: this.getHeaders(), signal });
+        if (!response.ok) {
+            throw new Error(`Archive download failed (${response.status})`);
+        }
+        return readResponseBytes(response, onProgress);
+    }
+
+    /**
+     * Fetch the complete file tree of a repository at a ref
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Branch, tag or commit SHA
+     * @returns {Promise<object>} { entries: [{ path, mode, sha }], truncated }; sha may be null
+     */
+    async fetchRepositoryTree(owner, repo, ref) {
+        throw new Error(`${this.name} tree listing is not supported`);
+    }
+
+    /**
+     * Generate the web URL of a repository, optionally at a ref and subdirectory
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string|null} ref - Branch, tag or commit SHA
+     * @param {string} subpath - Subdirectory
+     * @returns {string} Repository URL
+     */
+    generateUrl(owner, repo, ref = null, subpath = '') {
+        return `${this.baseUrl}/${owner}/${repo}`;
+    }
+}
+
+/**
+ * GitHub, backed by GitHubApiHelper (archive mirrors, CORS proxies, token and rate limits)
+ */
+export class GitHubProvider extends RepositoryProvider {
+    constructor() {
+        super('github', 'GitHub', 'https://github.com');
+    }
+
+    /**
+     * Check whether a URL is a GitHub repository, pull request or gist URL
+     * @param {string} url - Repository URL
+     * @returns {boolean} URL is on GitHub
+     */
+    matches(url) {
+        return parseGitHubUrl(url) !== null;
+    }
+
+    /**
+     * Parse a GitHub repository, pull request or gist URL
+     * @param {string} url - Repository URL
+     * @returns {object|null} Parsed URL
+     */
+    parseUrl(url) {
+        return parseGitHubUrl(url);
+    }
+
+    /** @inheritdoc */
+    async fetchRepositoryInfo(owner, repo) {
+        return GitHubApiHelper.fetchRepositoryInfo(owner, repo);
+    }
+
+    /** @inheritdoc */
+    async resolveRefAndSubpath(owner, repo, ref, subpath) {
+        return GitHubApiHelper.resolveRefAndSubpath(owner, repo, ref, subpath);
+    }
+
+    /** @inheritdoc */
+    async fetchCommitSha(owner, repo, ref) {
+        return GitHubApiHelper.fetchCommitSha(owner, repo, ref);
+    }
+
+    /** @inheritdoc */
+    async checkCommitSha(owner, repo, ref, etag = null) {
+        return GitHubApiHelper.checkCommitSha(owner, repo, ref, etag);
+    }
+
+    /** @inheritdoc */
+    async fetchFileContent(owner, repo, filepath, ref = null) {
+        return GitHubApiHelper.fetchFileContent(owner, repo, filepath, ref);
+    }
+
+    /** @inheritdoc */
+    async fetchFileBytes(owner, repo, ref, entry, signal = null) {
+        return GitHubApiHelper.fetchFileBytes(owner, repo, ref, entry, signal);
+    }
+
+    /** @inheritdoc */
+    async fetchRepositoryArchive(owner, repo, ref, onProgress = null, signal = null) {
+        return GitHubApiHelper.fetchRepositoryArchive(owner, repo, ref, onProgress, signal);
+    }
+
+    /** @inheritdoc */
+    async fetchRepositoryTree(owner, repo, ref) {
+        return GitHubApiHelper.fetchRepositoryTree(owner, repo, ref);
+    }
+
+    /** @inheritdoc */
+    generateUrl(owner, repo, ref = null, subpath = '') {
+        return generateGitHubUrl(owner, repo, ref, subpath);
+    }
+}
+
+/**
+ * GitLab (gitlab.com or self-managed), REST API v4. Owners may be nested groups.
+ */
+export class GitLabProvider extends RepositoryProvider {
+    constructor(baseUrl = 'https://gitlab.com', token = null) {
+        super('gitlab', 'GitLab', baseUrl, token);
+    }
+
+    /**
+     * Parse /<group>/<project>, /-/tree/<ref>/<path>, /-/blob/<ref>/<path> and /-/commit/<sha> URLs
+     * @param {string} url - Repository URL
+     * @returns {object|null} Parsed URL
+     */
+    parseUrl(url) {
+        const path = this.getUrlPath(url);
+        if (!path) return null;
+
+        const [projectPath, route = ''] = path.split('/-/');
+        const segments = projectPath.split('/').filter(Boolean);
+        if (segments.length < 2) return null;
+
+        const owner = segments.slice(0, -1).join('/');
+        const repo = segments[segments.length - 1];
+
+        const match = route.match(/^(tree|blob|commit)\/([^\/]+)(?:\/(.*))?$/);
+        if (!match) return this.createParsedUrl(owner, repo);
+
+        const [, kind, ref, subpath = ''] = match;
+        return this.createParsedUrl(owner, repo, ref, kind === 'commit' ? '' : subpath, kind === 'blob');
+    }
+
+    /** @inheritdoc */
+    getHeaders(headers = {}) {
+        return this.token ? { ...headers, 'PRIVATE-TOKEN': this.token } : headers;
+    }
+
+    /**
+     * Get the API URL of a project
+     * @param {string} owner - Group path
+     * @param {string} repo - Project path
+     * @returns {string} Project API URL
+     */
+    getProjectApiUrl(owner, repo) {
+        return `${this.baseUrl}/api/v4/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+    }
+
+    /** @inheritdoc */
+    async fetchRepositoryInfo(owner, repo) {
+        let data;
+        try {
+            data = await this.requestJson(this.getProjectApiUrl(owner, repo));
+        } catch (error) {
+            throw error.status ? this.createAccessError(error.status, owner, repo) : error;
+        }
+
+        return {
+            name: data.path,
+            full_name: data.path_with_namespace,
+            description: data.description || '',
+            owner: { login: owner },
+            html_url: data.web_url,
+            language: null,
+            stargazers_count: data.star_count || 0,
+            forks_count: data.forks_count || 0,
+            topics: data.topics || data.tag_list || [],
+            license: null,
+            default_branch: data.default_branch || 'main'
+        };
+    }
+
+    /** @inheritdoc */
+    async fetchCommitSha(owner, repo, ref) {
+        try {
+            const data = await this.requestJson(`${this.getProjectApiUrl(owner, repo)}/repository/commits/${encodeURIComponent(ref)}`);
+            return data.id || null;
+        } catch (error) {
+            console.warn(`Failed to resolve ${ref} on ${this.host}:`, error.message);
+            return null;
+        }
+    }
+
+    /** @inheritdoc */
+    getRawFileUrl(owner, repo, ref, filepath) {
+        return `${this.getProjectApiUrl(owner, repo)}/repository/files/${encodeURIComponent(filepath)}/raw`
+            + (ref ? `?ref=${encodeURIComponent(ref)}` : '');
+    }
+
+    /** @inheritdoc */
+    getArchiveUrl(owner, repo, ref) {
+        return `${this.getProjectApiUrl(owner, repo)}/repository/archive.tar.gz?sha=${encodeURIComponent(ref)}`;
+    }
+
+    /** @inheritdoc */
+    async fetchRepositoryTree(owner, repo, ref) {
+        const entries = [];
+        let page = '1';
+        let pages = 0;
+
+        while (page && pages < MAX_TREE_PAGES) {
+            const response = await this.request(
+                `${this.getProjectApiUrl(owner, repo)}/repository/tree?recursive=true&per_page=100&ref=${encodeURIComponent(ref)}&page=${page}`
+            );
+            for (const item of await response.json()) {
+                // Submodules are listed as 'commit' and have no content
+                if (item.type === 'blob') {
+                    entries.push({ path: item.path, mode: item.mode, sha: item.id });
+                }
+            }
+            page = response.headers.get('x-next-page');
+            pages++;
+        }
+
+        return { entries, truncated: !!page };
+    }
+
+    /** @inheritdoc */
+    generateUrl(owner, repo, ref = null, subpath = '') {
+        const url = `${this.baseUrl}/${owner}/${repo}`;
+        if (!ref) return url;
+        return `${url}/-/tree/${ref}${subpath ? `/${subpath}` : ''}`;
+    }
+}
+
+/**
+ * Gitea and Forgejo (e.g. codeberg.org or self-hosted), REST API v1
+ */
+export class GiteaProvider extends RepositoryProvider {
+    constructor(baseUrl = 'https://codeberg.org', token = null) {
+        super('gitea', 'Gitea', baseUrl, token);
+    }
+
+    /**
+     * Parse /<owner>/<repo>, /src/{branch,tag,commit}/<ref>/<path> and legacy /src/<ref>/<path> URLs
+     * @param {string} url - Repository URL
+     * @returns {object|null} Parsed URL
+     */
+    parseUrl(url) {
+        const path = this.getUrlPath(url);
+        if (!path) return null;
+
+        const [owner, repo, route, ...rest] = path.split('/');
+        if (!owner || !repo) return null;
+        if (route !== 'src' && route !== 'raw') return this.createParsedUrl(owner, repo);
+
+        if (['branch', 'tag', 'commit'].includes(rest[0])) rest.shift();
+        const [ref, ...subpath] = rest;
+        return this.createParsedUrl(owner, repo, ref, subpath.join('/'), route === 'raw');
+    }
+
+    /** @inheritdoc */
+    getHeaders(headers = {}) {
+        return this.token ? { ...headers, 'Authorization': `token ${this.token}` } : headers;
+    }
+
+    /**
+     * Get the API URL of a repository
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @returns {string} Repository API URL
+     */
+    getRepositoryApiUrl(owner, repo) {
+        return `${this.baseUrl}/api/v1/repos/${owner}/${repo}`;
+    }
+
+    /** @inheritdoc */
+    async fetchRepositoryInfo(owner, repo) {
+        let data;
+        try {
+            data = await this.requestJson(this.getRepositoryApiUrl(owner, repo));
+        } catch (error) {
+            throw error.status ? this.createAccessError(error.status, owner, repo) : error;
+        }
+
+        // Gitea's repository object already follows GitHub's field names
+        return {
+            ...data,
+            description: data.description || '',
+            stargazers_count: data.stars_count || 0,
+            topics: data.topics || [],
+            license: null,
+            default_branch: data.default_branch || 'main'
+        };
+    }
+
+    /** @inheritdoc */
+    async fetchCommitSha(owner, repo, ref) {
+        try {
+            const commits = await this.requestJson(
+                `${this.getRepositoryApiUrl(owner, repo)}/commits?sha=${encodeURIComponent(ref)}&limit=1&stat=false&files=false`
+            );
+            return commits[0]?.sha || null;
+        } catch (error) {
+            console.warn(`Failed to resolve ${ref} on ${this.host}:`, error.message);
+            return null;
+        }
+    }
+
+    /** @inheritdoc */
+    getRawFileUrl(owner, repo, ref, filepath) {
+        const path = filepath.split('/').map(encodeURIComponent).join('/');
+        return `${this.getRepositoryApiUrl(owner, repo)}/raw/${path}` + (ref ? `?ref=${encodeURIComponent(ref)}` : '');
+    }
+
+    /** @inheritdoc */
+    getArchiveUrl(owner, repo, ref) {
+        return `${this.getRepositoryApiUrl(owner, repo)}/archive/${encodeURIComponent(ref)}.tar.gz`;
+    }
+
+    /** @inheritdoc */
+    async fetchRepositoryTree(owner, repo, ref) {
+        const entries = [];
+        let truncated = false;
+
+        for (let page = 1; page <= MAX_TREE_PAGES; page++) {
+            const data = await this.requestJson(
+                `${this.getRepositoryApiUrl(owner, repo)}/git/trees/${encodeURIComponent(ref)}?recursive=true&per_page=1000&page=${page}`
+            );
+            const items = data.tree || [];
+            items.filter(item => item.type === 'blob').forEach(item => {
+                entries.push({ path: item.path, mode: item.mode, sha: item.sha });
+            });
+
+            truncated = !!data.truncated;
+            if (!truncated || items.length === 0) break;
+        }
+
+        return { entries, truncated };
+    }
+
+    /** @inheritdoc */
+    generateUrl(owner, repo, ref = null, subpath = '') {
+        const url = `${this.baseUrl}/${owner}/${repo}`;
+        if (!ref) return url;
+
+        // The legacy /src/<ref> form works for branches and tags alike
+        const route = isCommitSha(ref) ? `src/commit/${ref}` : `src/${ref}`;
+        return `${url}/${route}${subpath ? `/${subpath}` : ''}`;
+    }
+}
+
+/**
+ * Bitbucket Cloud, REST API 2.0
+ */
+export class BitbucketProvider extends RepositoryProvider {
+    constructor(baseUrl = 'https://bitbucket.org', token = null) {
+        super('bitbucket', 'Bitbucket', baseUrl, token);
+        this.apiUrl = `https://api.${this.host}/2.0`;
+    }
+
+    /**
+     * Parse /<workspace>/<repo> and /src/<ref>/<path> URLs
+     * @param {string} url - Repository URL
+     * @returns {object|null} Parsed URL
+     */
+    parseUrl(url) {
+        const path = this.getUrlPath(url);
+        if (!path) return null;
+
+        const [owner, repo, route, ref, ...subpath] = path.split('/');
+        if (!owner || !repo) return null;
+        if ((route !== 'src' && route !== 'raw') || !ref) return this.createParsedUrl(owner, repo);
+
+        return this.createParsedUrl(owner, repo, ref, subpath.join('/'), route === 'raw');
+    }
+
+    /** @inheritdoc */
+    getHeaders(headers = {}) {
+        return this.token ? { ...headers, 'Authorization': `Bearer ${this.token}` } : headers;
+    }
+
+    /**
+     * Get the API URL of a repository
+     * @param {string} owner - Workspace
+     * @param {string} repo - Repository slug
+     * @returns {string} Repository API URL
+     */
+    getRepositoryApiUrl(owner, repo) {
+        return `${this.apiUrl}/repositories/${owner}/${repo}`;
+    }
+
+    /** @inheritdoc */
+    async fetchRepositoryInfo(owner, repo) {
+        let data;
+        try {
+            data = await this.requestJson(this.getRepositoryApiUrl(owner, repo));
+        } catch (error) {
+            throw error.status ? this.createAccessError(error.status, owner, repo) : error;
+        }
+
+        return {
+            name: data.slug || repo,
+            full_name: data.full_name,
+            description: data.description || '',
+            owner: { login: owner },
+            html_url: data.links?.html?.href || this.generateUrl(owner, repo),
+            language: data.language || null,
+            stargazers_count: 0,
+            forks_count: 0,
+            topics: [],
+            license: null,
+            default_branch: data.mainbranch?.name || 'main'
+        };
+    }
+
+    /** @inheritdoc */
+    async fetchCommitSha(owner, repo, ref) {
+        try {
+            const data = await this.requestJson(`${this.getRepositoryApiUrl(owner, repo)}/commit/${encodeURIComponent(ref)}`);
+            return data.hash || null;
+        } catch (error) {
+            console.warn(`Failed to resolve ${ref} on ${this.host}:`, error.message);
+            return null;
+        }
+    }
+
+    /** @inheritdoc */
+    getRawFileUrl(owner, repo, ref, filepath) {
+        const path = filepath.split('/').map(encodeURIComponent).join('/');
+        return `${this.getRepositoryApiUrl(owner, repo)}/src/${encodeURIComponent(ref || 'HEAD')}/${path}`;
+    }
+
+    /** @inheritdoc */
+    getArchiveUrl(owner, repo, ref) {
+        return `${this.baseUrl}/${owner}/${repo}/get/${encodeURIComponent(ref)}.tar.gz`;
+    }
+
+    /** @inheritdoc */
+    async fetchRepositoryTree(owner, repo, ref) {
+        const entries = [];
+        let url = `${this.getRepositoryApiUrl(owner, repo)}/src/${encodeURIComponent(ref)}/?max_depth=100&pagelen=100`;
+        let pages = 0;
+
+        while (url && pages < MAX_TREE_PAGES) {
+            const data = await this.requestJson(url);
+            for (const item of data.values || []) {
+                if (item.type !== 'commit_file') continue;
+
+                const attributes = item.attributes || [];
+                const mode = attributes.includes('link') ? '120000' : attributes.includes('executable') ? '100755' : '100644';
+                // Bitbucket does not expose blob SHAs; the importer hashes the content instead
+                entries.push({ path: item.path, mode, sha: null });
+            }
+            url = data.next || null;
+            pages++;
+        }
+
+        return { entries, truncated: !!url };
+    }
+
+    /** @inheritdoc */
+    generateUrl(owner, repo, ref = null, subpath = '') {
+        const url = `${this.baseUrl}/${owner}/${repo}`;
+        if (!ref) return url;
+        return `${url}/src/${ref}${subpath ? `/${subpath}` : ''}`;
+    }
+}
+
+/**
+ * Registry of configured hosts
+ */
+export class RepositoryProviderHelper {
+    static SETTINGS_STORAGE_KEY = 'repository-hosts';
+
+    static PROVIDER_TYPES = {
+        gitlab: GitLabProvider,
+        gitea: GiteaProvider,
+        bitbucket: BitbucketProvider
+    };
+
+    static DEFAULT_HOSTS = [
+        { type: 'gitlab', baseUrl: 'https://gitlab.com' },
+        { type: 'bitbucket', baseUrl: 'https://bitbucket.org' },
+        { type: 'gitea', baseUrl: 'https://codeberg.org' }
+    ];
+
+    /**
+     * Get the user-configured hosts
+     * @returns {Array<object>} Hosts: { type, baseUrl, token }
+     */
+    static getCustomHosts() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.SETTINGS_STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved.filter(host => this.PROVIDER_TYPES[host.type] && host.baseUrl) : [];
+        } catch (error) {
+            console.warn('Failed to read repository host settings:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the user-configured hosts
+     * @param {Array<object>} hosts - Hosts: { type, baseUrl, token }
+     */
+    static saveCustomHosts(hosts) {
+        if (hosts.length > 0) {
+            localStorage.setItem(this.SETTINGS_STORAGE_KEY, JSON.stringify(hosts));
+        } else {
+            localStorage.removeItem(this.SETTINGS_STORAGE_KEY);
+        }
+    }
+
+    /**
+     * Parse hosts from settings text, one "<type> <base URL> [token]" per line
+     * @param {string} text - Settings text
+     * @returns {Array<object>} Hosts: { type, baseUrl, token }
+     * @throws {Error} When a line is not a valid host
+     */
+    static parseHostsText(text) {
+        const hosts = [];
+
+        text.split(/\r?\n/).forEach((line, index) => {
+            const [type, baseUrl, token = null] = line.trim().split(/\s+/);
+            if (!type || type.startsWith('#')) return;
+
+            if (!this.PROVIDER_TYPES[type.toLowerCase()]) {
+                throw new Error(`Line ${index + 1}: unknown host type "${type}" (use ${Object.keys(this.PROVIDER_TYPES).join(', ')})`);
+            }
+            if (!/^https?:\/\/[^\s\/]+/.test(baseUrl || '')) {
+                throw new Error(`Line ${index + 1}: expected a base URL like https://git.example.com`);
+            }
+
+            hosts.push({ type: type.toLowerCase(), baseUrl: baseUrl.replace(/\/+$/, ''), token });
+        });
+
+        return hosts;
+    }
+
+    /**
+     * Format hosts as settings text
+     * @param {Array<object>} hosts - Hosts: { type, baseUrl, token }
+     * @returns {string} Settings text
+     */
+    static formatHostsText(hosts) {
+        return hosts.map(host => [host.type, host.baseUrl, host.token].filter(Boolean).join(' ')).join('\n');
+    }
+
+    /**
+     * Create a provider for every configured host; custom hosts override defaults with the same base URL
+     * @returns {Array<RepositoryProvider>} Providers, GitHub last
+     */
+    static getProviders() {
+        const hosts = [...this.getCustomHosts()];
+        for (const host of this.DEFAULT_HOSTS) {
+            if (!hosts.some(custom => custom.baseUrl === host.baseUrl)) {
+                hosts.push(host);
+            }
+        }
+
+        const providers = [];
+        for (const host of hosts) {
+            try {
+                providers.push(new this.PROVIDER_TYPES[host.type](host.baseUrl, host.token || null));
+            } catch (error) {
+                console.warn(`Ignoring invalid repository host ${host.baseUrl}:`, error);
+            }
+        }
+
+        // GitHub also accepts bare gist IDs and scheme-less URLs, so it is checked last
+        providers.push(new GitHubProvider());
+        return providers;
+    }
+
+    /**
+     * Find the provider for a repository URL
+     * @param {string} url - Repository URL
+     * @returns {RepositoryProvider|null} Provider, or null if no configured host matches
+     */
+    static findProvider(url) {
+        return this.getProviders().find(provider => provider.matches(url)) || null;
+    }
+}
@@ -14,6 +14,10 @@ export class PreviewManager {
         this.autoRefreshEnabled = false;
         this.autoRefreshInterval = null;
         this.consoleMessages = [];
+        // Servers running in the WebContainer (port → preview URL), the one shown and the one asked for
+        this.servers = new Map();
+        this.serverPort = null;
+        this.preferredPort = null;
         
         // Bind methods
         this.updatePreview = this.updatePreview.bind(this);
@@ -90,9 +94,14 @@ export class PreviewManager {
             });
         }
 
-        // Listen for WebContainer port changes
+        // Listen for WebContainer servers starting and ports closing
+        document.addEventListener('serverDetected', (e) => {
+            this.handleServerReady(e.detail.port, e.detail.url);
+        });
         document.addEventListener('webContainerPort', (e) => {
-            this.handlePortChange(e.detail.port);
+            if (e.detail.type === 'close') {
+                this.handlePortClosed(e.detail.port);
+            }
         });
 
         // Listen for project changes
@@ -485,12 +494,50 @@ export class PreviewManager {
     }
 
     /**
-     * Handle WebContainer port change
-     * @param {number} port - New port number
+     * Switch the preview to the server on a port, or wait for it to start
+     * @param {number} port - Port number
+     * @param {string} url - Preview URL of the port, if already known
+     */
+    handlePortChange(port, url = null) {
+        this.preferredPort = port;
+        const serverURL = url || this.servers.get(port);
+        if (serverURL) {
+            this.serverPort = port;
+            this.updatePreview(serverURL);
+        } else {
+            this.updateStatus(`Waiting for a server on port ${port}...`);
+        }
+    }
+
+    /**
+     * Show a server that started in the WebContainer, unless another one the user asked for is shown
+     * @param {number} port - Port number
+     * @param {string} url - Preview URL
      */
-    handlePortChange(port) {
-        const newURL = `http://localhost:${port}`;
-        this.updatePreview(newURL);
+    handleServerReady(port, url) {
+        this.servers.set(port, url);
+        if (!this.serverPort || port === this.serverPort || port === this.preferredPort) {
+            this.serverPort = port;
+            this.updatePreview(url);
+        }
+    }
+
+    /**
+     * Forget a closed port; if its server was shown, fall back to another running server
+     * @param {number} port - Port number
+     */
+    handlePortClosed(port) {
+        this.servers.delete(port);
+        if (port !== this.serverPort) return;
+
+        this.serverPort = null;
+        const [nextPort, nextURL] = [...this.servers][0] || [];
+        if (nextURL) {
+            this.serverPort = nextPort;
+            this.updatePreview(nextURL);
+        } else {
+            this.updateStatus(`Server on port ${port} stopped`);
+        }
     }
 
     /**
@@ -498,10 +545,10 @@ export class PreviewManager {
      * @param {object} project - Project details
      */
     handleProjectChange(project) {
-        // Auto-detect preview URL based on project type
-        const previewURL = this.detectPreviewURL(project);
-        if (previewURL) {
-            this.updatePreview(previewURL);
+        // Preview the project's server once it starts
+        const port = Number(new URL(this.detectPreviewURL(project)).port);
+        if (port) {
+            this.handlePortChange(port);
         }
     }
 
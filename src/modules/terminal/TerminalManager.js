@@ -10,6 +10,10 @@ export class TerminalManager {
         this.fitAddon = null;
         this.shellProcess = null;
         this.shellWriter = null;
+        // Environment variables the current shell session was started with
+        this.shellEnv = {};
+        // Terminal input subscription, shared by every shell session
+        this.inputSubscription = null;
         this.currentDirectory = '/';
         this.isErrorState = false;
         this.options = {
@@ -74,9 +78,11 @@ export class TerminalManager {
     /**
      * Start shell process in WebContainer
      * @param {object} webcontainerInstance - WebContainer instance
+     * @param {object} options - { env: environment variables of the session, showWelcome: print the welcome message }
      * @returns {Promise<object>} Shell process
      */
-    async startShell(webcontainerInstance) {
+    async startShell(webcontainerInstance, options = {}) {
+        const { env = {}, showWelcome = true } = options;
         if (!webcontainerInstance) {
             throw new Error('WebContainer instance not available');
         }
@@ -86,11 +92,13 @@ export class TerminalManager {
             
             // Try to spawn shell process (use 'sh' which is more standard)
             this.shellProcess = await webcontainerInstance.spawn('sh', {
+                env,
                 terminal: {
                     cols: this.terminal.cols,
                     rows: this.terminal.rows,
                 },
             });
+            this.shellEnv = { ...env };
 
             console.log('Shell process spawned:', this.shellProcess);
 
@@ -103,9 +111,11 @@ export class TerminalManager {
             console.log('Shell started successfully');
             
             // Show welcome message after shell is ready
-            setTimeout(() => {
-                this.showWelcomeMessage();
-            }, 1000);
+            if (showWelcome) {
+                setTimeout(() => {
+                    this.showWelcomeMessage();
+                }, 1000);
+            }
             
             return this.shellProcess;
 
@@ -116,6 +126,22 @@ export class TerminalManager {
         }
     }
 
+    /**
+     * Replace the shell with a new session, e.g. to pick up changed environment variables
+     * @param {object} webcontainerInstance - WebContainer instance
+     * @param {object} env - Environment variables of the new session
+     * @returns {Promise<object>} Shell process
+     */
+    async restartShell(webcontainerInstance, env = {}) {
+        const previousShell = this.shellProcess;
+        this.shellWriter?.releaseLock();
+        this.shellWriter = null;
+        previousShell?.kill();
+
+        this.writeln('Starting a new terminal session...', 'info');
+        return this.startShell(webcontainerInstance, { env, showWelcome: false });
+    }
+
     /**
      * Set up shell output handling
      * @private
@@ -127,7 +153,7 @@ export class TerminalManager {
                     this.terminal.write(data);
                 },
             })
-        );
+        ).catch(error => console.warn('Shell output closed:', error));
     }
 
     /**
@@ -138,12 +164,14 @@ export class TerminalManager {
         const shellInput = this.shellProcess.input.getWriter();
         this.shellWriter = shellInput;
 
-        // Handle terminal input
-        this.terminal.onData((data) => {
-            if (this.shellWriter) {
-                this.shellWriter.write(data);
-            }
-        });
+        // Handle terminal input (registered once; it writes to whichever shell is current)
+        if (!this.inputSubscription) {
+            this.inputSubscription = this.terminal.onData((data) => {
+                if (this.shellWriter) {
+                    this.shellWriter.write(data);
+                }
+            });
+        }
     }
 
     /**
@@ -242,7 +270,8 @@ export class TerminalManager {
      */
     writeProgress(current, total, message = '') {
         const progressBar = TerminalHelper.createProgressBar(current, total);
-        this.write(`\r${progressBar} ${message}`);
+        // Clear the rest of the line so a shorter message does not leave old text behind
+        this.write(`\r${progressBar} ${message}\x1b[K`);
         
         if (current >= total) {
             this.writeln(''); // New line when complete
@@ -684,6 +684,27 @@ export class UIManager {
         return ToastHelper.showError(message);
     }
 
+    /**
+     * Show notification with a link, kept on screen long enough to click it
+     * @param {string} message - Notification message
+     * @param {string} url - Link target
+     * @param {string} linkText - Link label
+     * @param {string} type - Notification type
+     */
+    showLinkNotification(message, url, linkText = 'Open', type = 'success') {
+        const toast = ToastHelper.showToast('', { type, duration: 15000 });
+        const messageElement = toast.querySelector('.toast-message');
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = linkText;
+
+        messageElement.append(`${message} `, link);
+        return toast;
+    }
+
     /**
      * Show warning notification
      * @param {string} message - Warning message
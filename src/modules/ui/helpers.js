@@ -3,6 +3,7 @@
  */
 
 import { throttle, debounce } from '../../utils/common.js';
+import { diffLines, createDiffHunks } from '../../utils/diff.js';
 
 /**
  * Layout and responsive helpers
@@ -549,11 +550,13 @@ export class ToastHelper {
         toast.innerHTML = `
             <div class="toast-content">
                 <span class="toast-icon">${icons[type] || icons.info}</span>
-                <span class="toast-message">${message}</span>
+                <span class="toast-message"></span>
             </div>
             ${actionsHtml}
             ${closable ? '<button class="toast-close">&times;</button>' : ''}
         `;
+        // Messages often carry repository paths, refs and error text taken from URLs, so never parse them as HTML
+        toast.querySelector('.toast-message').textContent = message;
 
         // Close functionality
         if (closable) {
@@ -679,4 +682,150 @@ export class ThemeHelper {
     static getCurrentTheme() {
         return document.documentElement.getAttribute('data-theme') || 'light';
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Diff rendering helpers
+ */
+export class DiffViewHelper {
+    static LINE_STYLES = {
+        context: { prefix: ' ', background: 'transparent' },
+        add: { prefix: '+', background: 'rgba(46, 160, 67, 0.2)' },
+        remove: { prefix: '-', background: 'rgba(248, 81, 73, 0.2)' }
+    };
+
+    /**
+     * Create a diff view for a set of changed files
+     * @param {Array<object>} files - Changed files: { path, before, after } (null before/after for added/deleted)
+     * @param {object} options - { context: lines of context, emptyMessage }
+     * @returns {HTMLElement} Diff view element
+     */
+    static createDiffView(files, options = {}) {
+        const { context = 3, emptyMessage = 'No changes' } = options;
+
+        const container = document.createElement('div');
+        container.className = 'diff-view';
+        container.style.cssText = 'max-height: 60vh; overflow: auto; font-family: monospace; font-size: 12px;';
+
+        if (files.length === 0) {
+            container.textContent = emptyMessage;
+            return container;
+        }
+
+        files.forEach(file => container.appendChild(this.createFileDiff(file, context)));
+        return container;
+    }
+
+    /**
+     * Create the diff section for a single file
+     * @param {object} file - { path, before, after }
+     * @param {number} context - Lines of context around each change
+     * @returns {HTMLElement} File diff element
+     */
+    static createFileDiff(file, context = 3) {
+        const section = document.createElement('details');
+        section.className = 'diff-file';
+        section.open = true;
+        section.style.cssText = 'margin-bottom: 12px; border: 1px solid #444; border-radius: 4px;';
+
+        const status = file.before === null ? 'added' : file.after === null ? 'deleted' : 'modified';
+        const summary = document.createElement('summary');
+        summary.style.cssText = 'padding: 6px 8px; cursor: pointer; background: rgba(127, 127, 127, 0.15);';
+        summary.textContent = `${file.path} (${status})`;
+        section.appendChild(summary);
+
+        if (file.binary) {
+            const note = document.createElement('div');
+            note.style.padding = '6px 8px';
+            note.textContent = 'Binary file';
+            section.appendChild(note);
+            return section;
+        }
+
+        const hunks = createDiffHunks(diffLines(file.before, file.after), context);
+        const body = document.createElement('pre');
+        body.style.cssText = 'margin: 0; padding: 4px 0; white-space: pre-wrap;';
+
+        hunks.forEach(hunk => {
+            const header = document.createElement('div');
+            header.style.cssText = 'color: #888; padding: 0 8px;';
+            header.textContent = `@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`;
+            body.appendChild(header);
+
+            hunk.operations.forEach(operation => {
+                body.appendChild(this.createDiffLine(operation.type, operation.line));
+            });
+        });
+
+        section.appendChild(body);
+        return section;
+    }
+
+    /**
+     * Create a single styled diff line
+     * @param {string} type - 'context', 'add' or 'remove'
+     * @param {string} text - Line text without the diff prefix
+     * @returns {HTMLElement} Line element
+     */
+    static createDiffLine(type, text) {
+        const style = this.LINE_STYLES[type];
+        const line = document.createElement('div');
+        line.style.cssText = `padding: 0 8px; background: ${style.background};`;
+        line.textContent = `${style.prefix} ${text}`;
+        return line;
+    }
+
+    /**
+     * Create a view of unified diff patches as returned by the GitHub API
+     * @param {Array<object>} files - { filename, status, additions, deletions, patch, previous_filename }
+     * @returns {HTMLElement} Patch view element
+     */
+    static createPatchView(files) {
+        const container = document.createElement('div');
+        container.className = 'diff-view';
+        container.style.cssText = 'max-height: 60vh; overflow: auto; font-family: monospace; font-size: 12px;';
+
+        if (files.length === 0) {
+            container.textContent = 'No changed files';
+            return container;
+        }
+
+        const lineTypes = { '+': 'add', '-': 'remove' };
+
+        files.forEach(file => {
+            const section = document.createElement('details');
+            section.className = 'diff-file';
+            section.style.cssText = 'margin-bottom: 12px; border: 1px solid #444; border-radius: 4px;';
+
+            const summary = document.createElement('summary');
+            summary.style.cssText = 'padding: 6px 8px; cursor: pointer; background: rgba(127, 127, 127, 0.15);';
+            const name = file.previous_filename ? `${file.previous_filename} → ${file.filename}` : file.filename;
+            summary.textContent = `${name} (${file.status}, +${file.additions} −${file.deletions})`;
+            section.appendChild(summary);
+
+            const body = document.createElement('pre');
+            body.style.cssText = 'margin: 0; padding: 4px 0; white-space: pre-wrap;';
+
+            if (!file.patch) {
+                body.style.padding = '6px 8px';
+                body.textContent = 'Diff not available (binary file or too large)';
+            } else {
+                file.patch.split('\n').forEach(patchLine => {
+                    if (patchLine.startsWith('@@') || patchLine.startsWith('\\')) {
+                        const header = document.createElement('div');
+                        header.style.cssText = 'color: #888; padding: 0 8px;';
+                        header.textContent = patchLine;
+                        body.appendChild(header);
+                    } else {
+                        body.appendChild(this.createDiffLine(lineTypes[patchLine[0]] || 'context', patchLine.slice(1)));
+                    }
+                });
+            }
+
+            section.appendChild(body);
+            container.appendChild(section);
+        });
+
+        return container;
+    }
+}
@@ -0,0 +1,75 @@
+/**
+ * Registry of ports opened by servers inside the WebContainer. It follows the container's
+ * `port` and `server-ready` events, which carry the URL the host page can actually load
+ * (container servers are not reachable at http://localhost from the page).
+ */
+export class PortRegistry {
+    /**
+     * @param {object} webcontainerInstance - WebContainer instance to subscribe to
+     */
+    constructor(webcontainerInstance) {
+        this.ports = new Map();
+        this.unsubscribers = [
+            webcontainerInstance.on('port', (port, type, url) => this.handlePort(port, type, url)),
+            webcontainerInstance.on('server-ready', (port, url) => this.handleServerReady(port, url))
+        ];
+    }
+
+    /**
+     * Record a port opening or closing and dispatch webContainerPort with { port, type: 'open' | 'close', url }
+     * @param {number} port - Port number
+     * @param {string} type - 'open' or 'close'
+     * @param {string} url - Preview URL of the port
+     */
+    handlePort(port, type, url) {
+        if (type === 'open') {
+            this.ports.set(port, { port, url, ready: false, openedAt: Date.now() });
+        } else {
+            this.ports.delete(port);
+        }
+
+        document.dispatchEvent(new CustomEvent('webContainerPort', {
+            detail: { port, type, url }
+        }));
+    }
+
+    /**
+     * Record that a server answers on a port and dispatch serverDetected with { port, url }
+     * @param {number} port - Port number
+     * @param {string} url - Preview URL of the server
+     */
+    handleServerReady(port, url) {
+        const entry = this.ports.get(port) || { port, openedAt: Date.now() };
+        this.ports.set(port, { ...entry, url, ready: true });
+
+        document.dispatchEvent(new CustomEvent('serverDetected', {
+            detail: { port, url }
+        }));
+    }
+
+    /**
+     * Get the preview URL of an open port
+     * @param {number} port - Port number
+     * @returns {string|null} URL, or null if the port is not open
+     */
+    getUrl(port) {
+        return this.ports.get(port)?.url || null;
+    }
+
+    /**
+     * List open ports, in the order they opened
+     * @returns {Array<object>} { port, url, ready, openedAt }
+     */
+    list() {
+        return [...this.ports.values()].sort((a, b) => a.openedAt - b.openedAt);
+    }
+
+    /**
+     * Stop following the container's events
+     */
+    dispose() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe?.());
+        this.unsubscribers = [];
+        this.ports.clear();
+    }
+}
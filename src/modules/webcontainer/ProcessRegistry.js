@@ -0,0 +1,283 @@
+/**
+ * Registry of processes spawned in the WebContainer. Every process started through
+ * WebContainerManager.spawn is recorded with its command, working directory, timing,
+ * exit code and the tail of its output, so it can be listed, killed and restarted.
+ */
+export class ProcessRegistry {
+    // Output kept per process, in characters (older output is dropped)
+    static MAX_OUTPUT_LENGTH = 200000;
+    // Finished processes kept for inspection; older ones are forgotten
+    static MAX_FINISHED_PROCESSES = 30;
+
+    /**
+     * @param {object} webcontainerInstance - WebContainer instance that spawns the processes
+     * @param {Function} respawn - (command, args, options) => Promise<handle>, used by restart so the
+     *   options are prepared again (e.g. the current environment variables); defaults to this.spawn
+     */
+    constructor(webcontainerInstance, respawn = null) {
+        this.webcontainerInstance = webcontainerInstance;
+        this.respawn = respawn || ((command, args, options) => this.spawn(command, args, options));
+        this.processes = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Spawn and record a process
+     * @param {string} command - Command to spawn
+     * @param {Array} args - Command arguments
+     * @param {object} options - WebContainer spawn options ({ cwd, env, terminal, output }) plus
+     *   label: name shown in the process list instead of the command line
+     * @param {object} requestedOptions - Options as the caller passed them, before any were added; restart uses these
+     * @returns {Promise<object>} Process handle: { id, output, input, exit, kill(), resize(dimensions) }
+     */
+    async spawn(command, args = [], options = {}, requestedOptions = options) {
+        const { label, ...spawnOptions } = options;
+        const process = await this.webcontainerInstance.spawn(command, args, spawnOptions);
+
+        const record = {
+            id: this.nextId++,
+            command,
+            args,
+            options: requestedOptions,
+            label: label || [command, ...args].join(' '),
+            cwd: spawnOptions.cwd || this.webcontainerInstance.workdir || '/',
+            startedAt: Date.now(),
+            exitedAt: null,
+            exitCode: null,
+            status: 'running',
+            output: '',
+            outputEnded: false,
+            listeners: new Set(),
+            process
+        };
+        this.processes.set(record.id, record);
+
+        this.collectOutput(record);
+        process.exit.then(exitCode => this.markExited(record, exitCode), () => this.markExited(record, null));
+
+        this.notify(record, 'started');
+        return this.createHandle(record);
+    }
+
+    /**
+     * Create the handle returned to callers. Output is read by the registry; each access to
+     * handle.output opens a stream that replays the buffered output and then follows new output.
+     * @param {object} record - Process record
+     * @returns {object} Process handle
+     */
+    createHandle(record) {
+        const registry = this;
+        return {
+            id: record.id,
+            get output() {
+                return registry.createOutputStream(record.id);
+            },
+            input: record.process.input,
+            exit: record.process.exit,
+            kill: () => this.kill(record.id),
+            resize: (dimensions) => record.process.resize?.(dimensions)
+        };
+    }
+
+    /**
+     * Read a process's output into its buffer and pass it on to open output streams
+     * @param {object} record - Process record
+     */
+    collectOutput(record) {
+        record.process.output.pipeTo(new WritableStream({
+            write: (chunk) => {
+                record.output = (record.output + chunk).slice(-ProcessRegistry.MAX_OUTPUT_LENGTH);
+                record.listeners.forEach(listener => listener.write(chunk));
+            }
+        }))
+            .catch(error => console.warn(`Output of process ${record.id} ended with an error:`, error))
+            .finally(() => {
+                // Streams close when the output ends rather than on exit, which may settle before the last chunks arrive
+                record.outputEnded = true;
+                record.listeners.forEach(listener => listener.close());
+                record.listeners.clear();
+            });
+    }
+
+    /**
+     * Open a stream of a process's output, starting with what is buffered
+     * @param {number} id - Process id
+     * @returns {ReadableStream<string>} Output stream, closed when the process's output ends
+     */
+    createOutputStream(id) {
+        const record = this.processes.get(id);
+        let listener = null;
+
+        return new ReadableStream({
+            start: (controller) => {
+                if (!record) {
+                    controller.close();
+                    return;
+                }
+                if (record.output) {
+                    controller.enqueue(record.output);
+                }
+                if (record.outputEnded) {
+                    controller.close();
+                    return;
+                }
+
+                listener = {
+                    write: (chunk) => controller.enqueue(chunk),
+                    close: () => {
+                        try {
+                            controller.close();
+                        } catch (error) {
+                            // Already cancelled by the reader
+                        }
+                    }
+                };
+                record.listeners.add(listener);
+            },
+            cancel: () => {
+                record?.listeners.delete(listener);
+            }
+        });
+    }
+
+    /**
+     * Record that a process exited
+     * @param {object} record - Process record
+     * @param {number|null} exitCode - Exit code
+     */
+    markExited(record, exitCode) {
+        if (record.exitedAt) return;
+
+        record.exitedAt = Date.now();
+        record.exitCode = exitCode;
+        if (record.status === 'running') {
+            record.status = 'exited';
+        }
+        this.prune();
+        // Removed processes (e.g. restarted ones) have already been reported
+        if (this.processes.has(record.id)) {
+            this.notify(record, 'exited');
+        }
+    }
+
+    /**
+     * Kill a running process
+     * @param {number} id - Process id
+     * @returns {boolean} Whether a running process was killed
+     */
+    kill(id) {
+        const record = this.processes.get(id);
+        if (!record || record.status !== 'running') {
+            return false;
+        }
+
+        record.status = 'killed';
+        record.process.kill();
+        this.notify(record, 'killed');
+        return true;
+    }
+
+    /**
+     * Run a process again with the same command and options, killing it first if needed
+     * @param {number} id - Process id
+     * @returns {Promise<object>} Handle of the new process
+     */
+    async restart(id) {
+        const record = this.processes.get(id);
+        if (!record) {
+            throw new Error(`Unknown process ${id}`);
+        }
+
+        this.kill(id);
+        this.remove(id);
+        return this.respawn(record.command, record.args, record.options);
+    }
+
+    /**
+     * Forget a finished process (running processes are killed first)
+     * @param {number} id - Process id
+     */
+    remove(id) {
+        const record = this.processes.get(id);
+        if (!record) return;
+
+        this.kill(id);
+        this.processes.delete(id);
+        this.notify(record, 'removed');
+    }
+
+    /**
+     * Forget all finished processes
+     */
+    clearFinished() {
+        this.list()
+            .filter(info => info.status !== 'running')
+            .forEach(info => this.remove(info.id));
+    }
+
+    /**
+     * Drop the oldest finished processes above MAX_FINISHED_PROCESSES
+     */
+    prune() {
+        const finished = [...this.processes.values()].filter(record => record.status !== 'running');
+        finished.slice(0, Math.max(0, finished.length - ProcessRegistry.MAX_FINISHED_PROCESSES))
+            .forEach(record => this.processes.delete(record.id));
+    }
+
+    /**
+     * Get a process's summary
+     * @param {number} id - Process id
+     * @returns {object|null} { id, label, command, args, cwd, startedAt, exitedAt, exitCode, status }
+     */
+    get(id) {
+        const record = this.processes.get(id);
+        return record ? ProcessRegistry.summarize(record) : null;
+    }
+
+    /**
+     * List processes, oldest first
+     * @returns {Array<object>} Process summaries (see get)
+     */
+    list() {
+        return [...this.processes.values()].map(record => ProcessRegistry.summarize(record));
+    }
+
+    /**
+     * Get the buffered output of a process
+     * @param {number} id - Process id
+     * @returns {string} Output (the last MAX_OUTPUT_LENGTH characters)
+     */
+    getOutput(id) {
+        return this.processes.get(id)?.output || '';
+    }
+
+    /**
+     * Kill every running process
+     */
+    killAll() {
+        this.list()
+            .filter(info => info.status === 'running')
+            .forEach(info => this.kill(info.id));
+    }
+
+    /**
+     * Public view of a process record
+     * @param {object} record - Process record
+     * @returns {object} Summary
+     */
+    static summarize(record) {
+        const { id, label, command, args, cwd, startedAt, exitedAt, exitCode, status } = record;
+        return { id, label, command, args, cwd, startedAt, exitedAt, exitCode, status };
+    }
+
+    /**
+     * Dispatch processesChanged with { change: 'started' | 'exited' | 'killed' | 'removed', process }
+     * @param {object} record - Process record
+     * @param {string} change - What happened
+     */
+    notify(record, change) {
+        document.dispatchEvent(new CustomEvent('processesChanged', {
+            detail: { change, process: ProcessRegistry.summarize(record) }
+        }));
+    }
+}
@@ -1,5 +1,7 @@
 import { WebContainer } from '@webcontainer/api';
 import { WebContainerHelper } from './helpers.js';
+import { ProcessRegistry } from './ProcessRegistry.js';
+import { PortRegistry } from './PortRegistry.js';
 
 export class WebContainerManager {
     constructor() {
@@ -7,6 +9,12 @@ export class WebContainerManager {
         this.isBooting = false;
         this.bootPromise = null;
         this.environmentInfo = null;
+        // Every process spawned through spawn(), created once the container has booted
+        this.processes = null;
+        // Ports opened by servers in the container, with their preview URLs
+        this.ports = null;
+        // Supplies the environment variables added to every spawned process
+        this.environmentResolver = () => ({});
     }
 
     /**
@@ -39,9 +47,12 @@ export class WebContainerManager {
             // Create boot promise
             this.bootPromise = this.performBoot(options);
             this.webcontainerInstance = await this.bootPromise;
+            // Restarts go through spawn so they get the environment variables as they are now
+            this.processes = new ProcessRegistry(this.webcontainerInstance, (command, args, options) => this.spawn(command, args, options));
+            this.ports = new PortRegistry(this.webcontainerInstance);
             
             // Get environment information
-            this.environmentInfo = await WebContainerHelper.getEnvironmentInfo(this.webcontainerInstance);
+            this.environmentInfo = await WebContainerHelper.getEnvironmentInfo(this);
             
             console.log('WebContainer booted successfully', this.environmentInfo);
             return this.webcontainerInstance;
@@ -134,6 +145,63 @@ export class WebContainerManager {
         }
     }
 
+    /**
+     * Read file content as raw bytes, regardless of file type
+     * @param {string} filePath - File path
+     * @returns {Promise<Uint8Array>} File content
+     */
+    async readFileBytes(filePath) {
+        if (!this.webcontainerInstance) {
+            throw new Error('WebContainer not initialized');
+        }
+
+        const normalizedPath = WebContainerHelper.normalizePath(filePath);
+
+        try {
+            return await this.webcontainerInstance.fs.readFile(normalizedPath);
+        } catch (error) {
+            console.error(`Error reading file ${normalizedPath}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Recursively list files under a directory
+     * @param {string} dirPath - Directory path
+     * @param {object} options - { ignore: (relativePath, isDirectory) => boolean }
+     * @returns {Promise<string[]>} File paths relative to dirPath
+     */
+    async listFiles(dirPath, options = {}) {
+        if (!this.webcontainerInstance) {
+            throw new Error('WebContainer not initialized');
+        }
+
+        const { ignore = () => false } = options;
+        const rootPath = WebContainerHelper.normalizePath(dirPath);
+        const files = [];
+
+        const walk = async (relativeDir) => {
+            const absoluteDir = relativeDir ? `${rootPath.replace(/\/$/, '')}/${relativeDir}` : rootPath;
+            const entries = await this.webcontainerInstance.fs.readdir(absoluteDir, { withFileTypes: true });
+
+            for (const entry of entries) {
+                const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+                const isDirectory = entry.isDirectory();
+
+                if (ignore(relativePath, isDirectory)) continue;
+
+                if (isDirectory) {
+                    await walk(relativePath);
+                } else {
+                    files.push(relativePath);
+                }
+            }
+        };
+
+        await walk('');
+        return files;
+    }
+
     /**
      * Write file to WebContainer
      * @param {string} filePath - File path
@@ -285,11 +353,29 @@ export class WebContainerManager {
     }
 
     /**
-     * Spawn a process
+     * Set the function that supplies environment variables for spawned processes; it is called
+     * on every spawn, so the variables follow the current project
+     * @param {Function} resolver - () => object of name → value
+     */
+    setEnvironmentResolver(resolver) {
+        this.environmentResolver = resolver;
+    }
+
+    /**
+     * Get the environment variables added to spawned processes
+     * @returns {object} Name → value
+     */
+    getEnvironment() {
+        return { ...this.environmentResolver() };
+    }
+
+    /**
+     * Spawn a process and record it in the process registry; modules use this instead of
+     * spawning on the WebContainer instance so every process can be listed, killed and restarted
      * @param {string} command - Command to spawn
      * @param {Array} args - Command arguments
-     * @param {object} options - Spawn options
-     * @returns {Promise<object>} Process object
+     * @param {object} options - Spawn options (see ProcessRegistry.spawn)
+     * @returns {Promise<object>} Process handle
      */
     async spawn(command, args = [], options = {}) {
         if (!this.webcontainerInstance) {
@@ -297,8 +383,11 @@ export class WebContainerManager {
         }
 
         try {
-            const process = await this.webcontainerInstance.spawn(command, args, options);
-            return process;
+            // Variables passed by the caller win over the project environment
+            return await this.processes.spawn(command, args, {
+                ...options,
+                env: { ...this.getEnvironment(), ...options.env }
+            }, options);
         } catch (error) {
             console.error(`Error spawning command ${command}:`, error);
             throw error;
@@ -307,7 +396,7 @@ export class WebContainerManager {
 
     /**
      * Mount file system from object
-     * @param {object} files - File system structure
+     * @param {object} files - FileSystemTree structure
      * @param {string} mountPath - Mount path (default '/')
      * @returns {Promise<void>}
      */
@@ -316,8 +405,15 @@ export class WebContainerManager {
             throw new Error('WebContainer not initialized');
         }
 
+        const normalizedPath = WebContainerHelper.normalizePath(mountPath);
+
         try {
-            await this.webcontainerInstance.mount(files, mountPath);
+            // The mount point has to exist before mounting into it
+            if (normalizedPath !== '/') {
+                await this.mkdir(normalizedPath);
+            }
+
+            await this.webcontainerInstance.mount(files, { mountPoint: normalizedPath });
         } catch (error) {
             console.error('Error mounting files:', error);
             throw error;
@@ -470,6 +566,10 @@ Happy coding! 🚀
         try {
             if (this.webcontainerInstance) {
                 // WebContainer cleanup if needed in future versions
+                this.processes?.killAll();
+                this.processes = null;
+                this.ports?.dispose();
+                this.ports = null;
                 this.webcontainerInstance = null;
             }
             
@@ -2,6 +2,8 @@
  * WebContainer-specific helper functions
  */
 
+import { ProjectDetector } from '../../helpers/index.js';
+
 /**
  * WebContainer configuration and utilities
  */
@@ -203,45 +205,45 @@ export class WebContainerHelper {
         };
     }
 
+    /**
+     * Read a process's output to the end
+     * @param {object} process - Spawned process; WebContainer output is a stream of strings
+     * @returns {Promise<string>} Output without ANSI escape codes, trimmed
+     */
+    static async readProcessOutput(process) {
+        let output = '';
+        const reader = process.output.getReader();
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                output += value;
+            }
+        } finally {
+            reader.releaseLock();
+        }
+        // eslint-disable-next-line no-control-regex
+        return output.replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '').trim();
+    }
+
     /**
      * Get WebContainer environment info
-     * @param {object} webcontainerInstance - WebContainer instance
+     * @param {WebContainerManager} webContainerManager - Manager of the booted container
      * @returns {Promise<object>} Environment information
      */
-    static async getEnvironmentInfo(webcontainerInstance) {
-        if (!webcontainerInstance) {
+    static async getEnvironmentInfo(webContainerManager) {
+        if (!webContainerManager?.getInstance()) {
             return null;
         }
 
         try {
-            // Try to get basic environment info
-            const nodeVersionProcess = await webcontainerInstance.spawn('node', ['--version']);
-            const npmVersionProcess = await webcontainerInstance.spawn('npm', ['--version']);
+            // Spawned on the instance itself: these probes are not user processes and need no project env
+            const instance = webContainerManager.getInstance();
+            const nodeVersionProcess = await instance.spawn('node', ['--version']);
+            const npmVersionProcess = await instance.spawn('npm', ['--version']);
 
-            let nodeVersion = '';
-            let npmVersion = '';
-
-            // Read node version
-            const nodeReader = nodeVersionProcess.output.getReader();
-            try {
-                const { value } = await nodeReader.read();
-                if (value) {
-                    nodeVersion = new TextDecoder().decode(value).trim();
-                }
-            } finally {
-                nodeReader.releaseLock();
-            }
-
-            // Read npm version
-            const npmReader = npmVersionProcess.output.getReader();
-            try {
-                const { value } = await npmReader.read();
-                if (value) {
-                    npmVersion = new TextDecoder().decode(value).trim();
-                }
-            } finally {
-                npmReader.releaseLock();
-            }
+            const nodeVersion = await WebContainerHelper.readProcessOutput(nodeVersionProcess);
+            const npmVersion = await WebContainerHelper.readProcessOutput(npmVersionProcess);
 
             return {
                 nodeVersion: nodeVersion || 'unknown',
@@ -287,4 +289,387 @@ export class WebContainerHelper {
             devDependencies: options.devDependencies || {}
         };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Checks for dependencies and engine requirements WebContainer cannot satisfy
+ */
+export class CompatibilityHelper {
+    // Packages known to fail in WebContainer, usually because they compile or download native binaries.
+    // severity 'error': install or first use fails; 'warning': works only in some versions or configurations
+    static KNOWN_INCOMPATIBLE_PACKAGES = {
+        'node-gyp': { severity: 'error', reason: 'Compiles native addons; there is no C/C++ toolchain', alternative: 'a pure-JS or WASM build of the addon' },
+        'node-pre-gyp': { severity: 'error', reason: 'Downloads prebuilt native binaries', alternative: 'a pure-JS or WASM build of the addon' },
+        '@mapbox/node-pre-gyp': { severity: 'error', reason: 'Downloads prebuilt native binaries', alternative: 'a pure-JS or WASM build of the addon' },
+        'prebuild-install': { severity: 'error', reason: 'Downloads prebuilt native binaries', alternative: 'a pure-JS or WASM build of the addon' },
+        'node-sass': { severity: 'error', reason: 'Native libsass binding', alternative: 'sass' },
+        'sharp': { severity: 'warning', reason: 'Native libvips binding; only sharp 0.33+ has a WebAssembly build', alternative: 'sharp@0.33+ with @img/sharp-wasm32, wasm-vips or jimp' },
+        'canvas': { severity: 'error', reason: 'Native Cairo binding', alternative: 'pureimage' },
+        'bcrypt': { severity: 'error', reason: 'Native addon', alternative: 'bcryptjs' },
+        'argon2': { severity: 'error', reason: 'Native addon', alternative: 'hash-wasm' },
+        'sqlite3': { severity: 'error', reason: 'Native SQLite binding', alternative: 'sql.js or @sqlite.org/sqlite-wasm' },
+        'better-sqlite3': { severity: 'error', reason: 'Native SQLite binding', alternative: 'sql.js or @sqlite.org/sqlite-wasm' },
+        'leveldown': { severity: 'error', reason: 'Native LevelDB binding', alternative: 'memory-level' },
+        'lmdb': { severity: 'error', reason: 'Native LMDB binding', alternative: 'an in-memory or IndexedDB-backed store' },
+        're2': { severity: 'error', reason: 'Native RE2 binding', alternative: 're2-wasm' },
+        'grpc': { severity: 'error', reason: 'Native gRPC binding (deprecated)', alternative: '@grpc/grpc-js' },
+        'node-pty': { severity: 'error', reason: 'Native pseudo-terminal binding', alternative: 'child_process.spawn' },
+        'deasync': { severity: 'error', reason: 'Native addon that blocks the event loop', alternative: 'async/await' },
+        'ffi-napi': { severity: 'error', reason: 'Loads native libraries', alternative: 'none' },
+        'zeromq': { severity: 'error', reason: 'Native ZeroMQ binding', alternative: 'none' },
+        'serialport': { severity: 'error', reason: 'Needs hardware access', alternative: 'none' },
+        'usb': { severity: 'error', reason: 'Needs hardware access', alternative: 'none' },
+        '@tensorflow/tfjs-node': { severity: 'error', reason: 'Native TensorFlow binding', alternative: '@tensorflow/tfjs with the wasm backend' },
+        'puppeteer': { severity: 'error', reason: 'Downloads and launches a native browser', alternative: 'none; run browser tests outside WebContainer' },
+        'playwright': { severity: 'error', reason: 'Downloads and launches native browsers', alternative: 'none; run browser tests outside WebContainer' },
+        'esbuild': { severity: 'warning', reason: 'Platform-specific binary; WebContainer substitutes the WASM build, which can fail for pinned or very old versions', alternative: 'esbuild-wasm' },
+        '@swc/core': { severity: 'warning', reason: 'Platform-specific binary', alternative: '@swc/wasm' },
+        'lightningcss': { severity: 'warning', reason: 'Platform-specific binary', alternative: 'lightningcss-wasm' },
+        '@parcel/watcher': { severity: 'warning', reason: 'Native file watcher', alternative: 'chokidar' },
+        'fsevents': { severity: 'warning', reason: 'macOS-only native file watcher; skipped when optional', alternative: 'chokidar' },
+        'turbo': { severity: 'warning', reason: 'Native Turborepo binary', alternative: 'running the package scripts directly' }
+    };
+
+    static LOCKFILES = Object.keys(ProjectDetector.LOCKFILES);
+
+    /**
+     * Collect the package names a lockfile installs
+     * @param {string} fileName - Lockfile name
+     * @param {string} content - Lockfile content
+     * @returns {Set<string>} Package names
+     */
+    static getLockfilePackageNames(fileName, content) {
+        const names = new Set();
+
+        if (fileName === 'package-lock.json' || fileName === 'npm-shrinkwrap.json') {
+            const lockfile = JSON.parse(content);
+            // lockfileVersion 2+: "node_modules/a/node_modules/@scope/b"
+            Object.keys(lockfile.packages || {}).forEach(path => {
+                const index = path.lastIndexOf('node_modules/');
+                if (index !== -1) {
+                    names.add(path.slice(index + 'node_modules/'.length));
+                }
+            });
+            // lockfileVersion 1: nested dependencies
+            const walk = (dependencies) => Object.entries(dependencies || {}).forEach(([name, info]) => {
+                names.add(name);
+                walk(info.dependencies);
+            });
+            walk(lockfile.dependencies);
+        } else if (fileName === 'yarn.lock') {
+            // Entries start unindented: "name@range, name@npm:range":
+            content.split(/\r?\n/).forEach(line => {
+                if (!line || /^[\s#]/.test(line) || !line.endsWith(':')) return;
+                line.slice(0, -1).split(',').forEach(descriptor => {
+                    const name = descriptor.trim().replace(/^"|"$/g, '').match(/^(@?[^@]+)@/);
+                    if (name) names.add(name[1]);
+                });
+            });
+        } else if (fileName === 'pnpm-lock.yaml') {
+            // Keys of the packages section: /name@1.0.0, /name/1.0.0 (v5) or name@1.0.0 (v9)
+            let inPackages = false;
+            content.split(/\r?\n/).forEach(line => {
+                if (/^\S/.test(line)) {
+                    inPackages = /^(packages|snapshots):/.test(line);
+                    return;
+                }
+                const key = inPackages && line.match(/^ {2}['"]?\/?((?:@[^/@'"]+\/)?[^/@'"]+)[@/]\d/);
+                if (key) names.add(key[1]);
+            });
+        }
+
+        return names;
+    }
+
+    /**
+     * Parse a version into [major, minor, patch], treating missing parts and x as wildcards
+     * @param {string} version - Version such as "v18.18.0", "18" or "18.x"
+     * @returns {Array<number|null>|null} Version parts (null for wildcards), or null if unparseable
+     */
+    static parseVersion(version) {
+        const match = String(version).trim().replace(/^v/, '').match(/^(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?/);
+        if (!match) return null;
+        return match.slice(1, 4).map(part => (part === undefined || /[xX*]/.test(part) ? null : Number(part)));
+    }
+
+    /**
+     * Compare two versions, wildcards counting as 0
+     * @param {Array<number|null>} a - Version parts
+     * @param {Array<number|null>} b - Version parts
+     * @returns {number} Negative, zero or positive
+     */
+    static compareVersions(a, b) {
+        for (let i = 0; i < 3; i++) {
+            const difference = (a[i] ?? 0) - (b[i] ?? 0);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    }
+
+    /**
+     * Check a version against an engines range (the subset of semver used in engines fields)
+     * @param {string} range - Range such as ">=18", "^18.17.0 || >=20" or "18.x"
+     * @param {string} version - Version to check
+     * @returns {boolean|null} Whether the version satisfies the range, or null if the range is not understood
+     */
+    static satisfiesRange(range, version) {
+        const current = CompatibilityHelper.parseVersion(version);
+        if (!current) return null;
+
+        const satisfiesComparator = (comparator) => {
+            const match = comparator.match(/^(>=|<=|>|<|=|\^|~)?\s*(.+)$/);
+            const target = match && CompatibilityHelper.parseVersion(match[2]);
+            if (!target) return null;
+
+            const compared = CompatibilityHelper.compareVersions(current, target);
+            // Upper bound for ^, ~ and wildcard versions: the next value of the last fixed part
+            const upperBound = (fixedParts) => {
+                const bound = target.slice(0, 3).map(part => part ?? 0);
+                bound[fixedParts - 1] += 1;
+                return bound.map((part, index) => (index < fixedParts ? part : 0));
+            };
+            const fixed = target.findIndex(part => part === null);
+            const fixedCount = fixed === -1 ? 3 : fixed;
+
+            switch (match[1]) {
+                case '>=': return compared >= 0;
+                case '<': return compared < 0;
+                // Partial versions cover the whole range they name: <=18 means <19, >18 means >=19
+                case '<=': return fixedCount === 0 || (fixedCount < 3
+                    ? CompatibilityHelper.compareVersions(current, upperBound(fixedCount)) < 0
+                    : compared <= 0);
+                case '>': return fixedCount !== 0 && (fixedCount < 3
+                    ? CompatibilityHelper.compareVersions(current, upperBound(fixedCount)) >= 0
+                    : compared > 0);
+                case '^': {
+                    const firstNonZero = target.findIndex(part => part !== 0);
+                    const parts = firstNonZero === -1 ? fixedCount : Math.min(firstNonZero + 1, fixedCount);
+                    return compared >= 0 && (parts === 0 || CompatibilityHelper.compareVersions(current, upperBound(parts)) < 0);
+                }
+                case '~': {
+                    const parts = Math.min(fixedCount, 2);
+                    return compared >= 0 && (parts === 0 || CompatibilityHelper.compareVersions(current, upperBound(parts)) < 0);
+                }
+                default:
+                    return fixedCount === 0 || (compared >= 0 && CompatibilityHelper.compareVersions(current, upperBound(fixedCount)) < 0);
+            }
+        };
+
+        let understood = false;
+        for (const alternative of range.split('||')) {
+            const hyphen = alternative.trim().match(/^(\S+)\s+-\s+(\S+)$/);
+            const comparators = hyphen
+                ? [`>=${hyphen[1]}`, `<=${hyphen[2]}`]
+                : alternative.trim().replace(/(>=|<=|>|<|=|\^|~)\s+/g, '$1').split(/\s+/).filter(Boolean);
+            if (comparators.length === 0) return true;
+
+            const results = comparators.map(satisfiesComparator);
+            if (results.some(result => result === null)) continue;
+            understood = true;
+            if (results.every(Boolean)) return true;
+        }
+
+        return understood ? false : null;
+    }
+
+    /**
+     * Build a compatibility report for a project
+     * @param {object} options - { manifests: [{ path, packageJson }], lockfiles: [{ name, content }], nodeVersion, hasBindingGyp }
+     * @returns {object} { issues: [{ name, severity, reason, alternative, source }], lockfile, nodeVersion }
+     */
+    static analyze({ manifests = [], lockfiles = [], nodeVersion = null, hasBindingGyp = false }) {
+        const issues = [];
+        const reported = new Set();
+        const known = CompatibilityHelper.KNOWN_INCOMPATIBLE_PACKAGES;
+
+        const addPackageIssue = (name, source) => {
+            if (reported.has(name) || !known[name]) return;
+            reported.add(name);
+            issues.push({ name, ...known[name], source });
+        };
+
+        for (const { path, packageJson } of manifests) {
+            const location = path ? ` (${path})` : '';
+            ['dependencies', 'devDependencies', 'optionalDependencies'].forEach(field => {
+                Object.keys(packageJson[field] || {}).forEach(name => addPackageIssue(name, `${field}${location}`));
+            });
+
+            const range = packageJson.engines?.node;
+            if (range && nodeVersion && CompatibilityHelper.satisfiesRange(range, nodeVersion) === false) {
+                issues.push({
+                    name: 'node',
+                    severity: 'warning',
+                    reason: `engines.node requires ${range}, WebContainer runs ${nodeVersion}`,
+                    alternative: 'check whether the project runs on this Node.js version; npm may refuse engine-strict installs',
+                    source: `engines${location}`
+                });
+            }
+
+            if (packageJson.gypfile) {
+                issues.push({
+                    name: packageJson.name || path || 'project',
+                    severity: 'error',
+                    reason: 'The package is itself a native addon (gypfile)',
+                    alternative: 'none',
+                    source: `package.json${location}`
+                });
+            }
+        }
+
+        if (hasBindingGyp && !manifests.some(manifest => !manifest.path && manifest.packageJson.gypfile)) {
+            issues.push({
+                name: 'binding.gyp',
+                severity: 'error',
+                reason: 'The project builds a native addon with node-gyp',
+                alternative: 'none',
+                source: 'binding.gyp'
+            });
+        }
+
+        let lockfile = null;
+        for (const { name, content } of lockfiles) {
+            try {
+                CompatibilityHelper.getLockfilePackageNames(name, content).forEach(packageName => {
+                    addPackageIssue(packageName, `${name} (transitive)`);
+                });
+                lockfile = lockfile || name;
+            } catch (error) {
+                console.warn(`Failed to read ${name}:`, error);
+            }
+        }
+
+        // Errors first, then by name
+        issues.sort((a, b) => (a.severity === b.severity ? a.name.localeCompare(b.name) : a.severity === 'error' ? -1 : 1));
+        return { issues, lockfile, nodeVersion };
+    }
+}
+
+/**
+ * Environment variables for processes and terminal sessions: per-project storage
+ * and .env file parsing
+ */
+export class EnvironmentHelper {
+    static STORAGE_KEY = 'environment-variables';
+    // Names that usually hold credentials; their values are masked in the UI
+    static SECRET_NAME_PATTERN = /SECRET|TOKEN|PASSWORD|PASSWD|PRIVATE|CREDENTIAL|AUTH|API_?KEY|ACCESS_?KEY/i;
+
+    /**
+     * Check whether a variable name is valid in a shell
+     * @param {string} name - Variable name
+     * @returns {boolean} Whether the name is valid
+     */
+    static isValidName(name) {
+        return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name);
+    }
+
+    /**
+     * Guess whether a variable holds a secret from its name
+     * @param {string} name - Variable name
+     * @returns {boolean} Whether the value should be masked by default
+     */
+    static isSecretName(name) {
+        return this.SECRET_NAME_PATTERN.test(name);
+    }
+
+    /**
+     * Parse a .env file (KEY=value lines, optional "export", # comments, single or double quotes)
+     * @param {string} text - File contents
+     * @returns {Array<object>} Variables in file order: { name, value, secret }
+     */
+    static parseDotEnv(text) {
+        const variables = new Map();
+        const pattern = /^[ \t]*(?:export[ \t]+)?([A-Za-z_][A-Za-z0-9_]*)[ \t]*=[ \t]*('[^']*'|"(?:\\.|[^"\\])*"|[^\n]*)/gm;
+
+        for (const [, name, rawValue] of text.matchAll(pattern)) {
+            let value = rawValue.trim();
+            if (value.startsWith("'")) {
+                value = value.slice(1, -1);
+            } else if (value.startsWith('"')) {
+                value = value.slice(1, -1).replace(/\\(["\\nrt])/g, (match, char) => ({ n: '\n', r: '\r', t: '\t' })[char] || char);
+            } else {
+                // Unquoted values end at an inline comment
+                value = value.replace(/\s+#.*$/, '');
+            }
+            variables.set(name, { name, value, secret: this.isSecretName(name) });
+        }
+
+        return [...variables.values()];
+    }
+
+    /**
+     * Write variables in .env format, quoting values that need it
+     * @param {Array<object>} variables - { name, value }
+     * @returns {string} File contents
+     */
+    static serializeDotEnv(variables) {
+        return variables.map(({ name, value }) => {
+            const needsQuotes = /[\s#"'\\]/.test(value) || value === '';
+            const quoted = needsQuotes
+                ? `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n').replace(/\r/g, '\\r').replace(/\t/g, '\\t')}"`
+                : value;
+            return `${name}=${quoted}\n`;
+        }).join('');
+    }
+
+    /**
+     * Get the variables saved for a project
+     * @param {string} projectKey - Project path ('' when no project is loaded)
+     * @returns {Array<object>} { name, value, secret }
+     */
+    static getProjectVariables(projectKey) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            return saved[projectKey] || [];
+        } catch (error) {
+            console.warn('Failed to read environment variables:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save the variables of a project
+     * @param {string} projectKey - Project path ('' when no project is loaded)
+     * @param {Array<object>} variables - { name, value, secret }
+     */
+    static saveProjectVariables(projectKey, variables) {
+        const invalid = variables.find(variable => !this.isValidName(variable.name));
+        if (invalid) {
+            throw new Error(`Invalid variable name "${invalid.name}"`);
+        }
+
+        let saved = {};
+        try {
+            saved = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+        } catch (error) {
+            console.warn('Failed to read environment variables:', error);
+        }
+
+        if (variables.length > 0) {
+            saved[projectKey] = variables.map(({ name, value, secret }) => ({ name, value, secret: !!secret }));
+        } else {
+            delete saved[projectKey];
+        }
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saved));
+    }
+
+    /**
+     * Convert variables to a process environment
+     * @param {Array<object>} variables - { name, value }
+     * @returns {object} Name → value
+     */
+    static toEnv(variables) {
+        return Object.fromEntries(variables.map(({ name, value }) => [name, value]));
+    }
+
+    /**
+     * Check whether two process environments hold the same variables
+     * @param {object} a - Name → value
+     * @param {object} b - Name → value
+     * @returns {boolean} Whether they are equal
+     */
+    static isSameEnv(a, b) {
+        const aEntries = Object.entries(a || {});
+        return aEntries.length === Object.keys(b || {}).length
+            && aEntries.every(([name, value]) => b[name] === value);
+    }
+}
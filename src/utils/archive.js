@@ -0,0 +1,558 @@
+/**
+ * Archive download and extraction utilities
+ */
+
+const textDecoder = new TextDecoder();
+
+/**
+ * Read a fetch response body into bytes, reporting progress as chunks arrive
+ * @param {Response} response - Fetch response
+ * @param {Function} onProgress - Called with (loadedBytes, totalBytes|null)
+ * @returns {Promise<Uint8Array>} Response body
+ */
+export async function readResponseBytes(response, onProgress = null) {
+    const total = parseInt(response.headers.get('content-length'), 10) || null;
+
+    if (!response.body || !onProgress) {
+        const buffer = new Uint8Array(await response.arrayBuffer());
+        if (onProgress) onProgress(buffer.length, total);
+        return buffer;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.length;
+        onProgress(loaded, total);
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return bytes;
+}
+
+/**
+ * Decompress gzip data using the browser's DecompressionStream
+ * @param {Uint8Array} bytes - Gzipped data
+ * @returns {Promise<Uint8Array>} Decompressed data
+ */
+export async function gunzip(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('DecompressionStream is not supported in this browser');
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read a NUL-terminated string from a tar header field
+ * @param {Uint8Array} bytes - Header bytes
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} Field value
+ */
+function readString(bytes, offset, length) {
+    const field = bytes.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return textDecoder.decode(end === -1 ? field : field.subarray(0, end));
+}
+
+/**
+ * Read an octal number from a tar header field
+ * @param {Uint8Array} bytes - Header bytes
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {number} Field value
+ */
+function readOctal(bytes, offset, length) {
+    const value = readString(bytes, offset, length).trim();
+    return value ? parseInt(value, 8) : 0;
+}
+
+/**
+ * Parse pax extended header records ("<len> <key>=<value>\n")
+ * @param {Uint8Array} data - Pax header data
+ * @returns {object} Key/value pairs
+ */
+function parsePaxHeaders(data) {
+    const headers = {};
+    let position = 0;
+
+    while (position < data.length) {
+        const space = data.indexOf(0x20, position);
+        if (space === -1) break;
+
+        const length = parseInt(textDecoder.decode(data.subarray(position, space)), 10);
+        if (!length) break;
+
+        // Record length includes the trailing newline
+        const record = textDecoder.decode(data.subarray(space + 1, position + length - 1));
+        const separator = record.indexOf('=');
+        if (separator !== -1) {
+            headers[record.slice(0, separator)] = record.slice(separator + 1);
+        }
+
+        position += length;
+    }
+
+    return headers;
+}
+
+/**
+ * Extract entries from an uncompressed tar archive (ustar, pax and GNU long names)
+ * @param {Uint8Array} bytes - Tar data
+ * @returns {object} { entries: Array<{path, type, data, linkTarget, mode}>, globalHeaders }
+ */
+export function untar(bytes) {
+    const entries = [];
+    const globalHeaders = {};
+    let paxHeaders = {};
+    let longName = null;
+    let longLinkName = null;
+    let offset = 0;
+
+    while (offset + 512 <= bytes.length) {
+        const header = bytes.subarray(offset, offset + 512);
+
+        // Two zero blocks mark the end of the archive
+        if (header.every(byte => byte === 0)) break;
+
+        const name = readString(header, 0, 100);
+        const mode = readOctal(header, 100, 8);
+        const size = readOctal(header, 124, 12);
+        const typeFlag = String.fromCharCode(header[156] || 0x30);
+        const linkName = readString(header, 157, 100);
+        const isUstar = readString(header, 257, 6).startsWith('ustar');
+        const prefix = isUstar ? readString(header, 345, 155) : '';
+
+        const dataStart = offset + 512;
+        const data = bytes.subarray(dataStart, dataStart + size);
+        offset = dataStart + Math.ceil(size / 512) * 512;
+
+        switch (typeFlag) {
+            case 'g':
+                Object.assign(globalHeaders, parsePaxHeaders(data));
+                continue;
+            case 'x':
+                paxHeaders = parsePaxHeaders(data);
+                continue;
+            case 'L':
+                longName = readString(data, 0, data.length);
+                continue;
+            case 'K':
+                longLinkName = readString(data, 0, data.length);
+                continue;
+        }
+
+        const path = paxHeaders.path || longName || (prefix ? `${prefix}/${name}` : name);
+        const linkTarget = paxHeaders.linkpath || longLinkName || linkName;
+        paxHeaders = {};
+        longName = null;
+        longLinkName = null;
+
+        let type = null;
+        if (typeFlag === '0' || typeFlag === '7') type = 'file';
+        else if (typeFlag === '5') type = 'directory';
+        else if (typeFlag === '2') type = 'symlink';
+
+        // Hard links, devices and FIFOs have no meaning in WebContainer
+        if (!type) continue;
+
+        entries.push({
+            path: path.replace(/\/+$/, ''),
+            type,
+            data: type === 'file' ? data.slice() : null,
+            linkTarget: type === 'symlink' ? linkTarget : null,
+            mode
+        });
+    }
+
+    return { entries, globalHeaders };
+}
+
+/**
+ * Decompress raw deflate data (zip entries) using the browser's DecompressionStream
+ * @param {Uint8Array} bytes - Deflated data
+ * @returns {Promise<Uint8Array>} Decompressed data
+ */
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('DecompressionStream is not supported in this browser');
+    }
+
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read a little-endian 64-bit size, which zip64 archives use (exact below 2^53)
+ * @param {DataView} view - Data view
+ * @param {number} offset - Byte offset
+ * @returns {number} Value
+ */
+function readUint64(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+/**
+ * Extract entries from a zip archive (stored and deflated entries, zip64)
+ * @param {Uint8Array} bytes - Zip data
+ * @returns {Promise<object>} { entries: Array<{path, type, data, linkTarget, mode}> } like untar()
+ */
+export async function unzip(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // The end of central directory record sits before a comment of up to 64 KiB
+    let end = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xffff); offset--) {
+        if (view.getUint32(offset, true) === 0x06054b50) {
+            end = offset;
+            break;
+        }
+    }
+    if (end === -1) {
+        throw new Error('Not a zip archive (end of central directory not found)');
+    }
+
+    let entryCount = view.getUint16(end + 10, true);
+    let directoryOffset = view.getUint32(end + 16, true);
+
+    // Zip64 end of central directory, located just before the regular record
+    if ((entryCount === 0xffff || directoryOffset === 0xffffffff) && end >= 20 && view.getUint32(end - 20, true) === 0x07064b50) {
+        const zip64End = readUint64(view, end - 12);
+        entryCount = readUint64(view, zip64End + 32);
+        directoryOffset = readUint64(view, zip64End + 48);
+    }
+
+    const entries = [];
+    let offset = directoryOffset;
+
+    for (let index = 0; index < entryCount; index++) {
+        if (view.getUint32(offset, true) !== 0x02014b50) {
+            throw new Error('Corrupt zip archive (bad central directory entry)');
+        }
+
+        const madeBy = view.getUint16(offset + 4, true) >> 8;
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        let compressedSize = view.getUint32(offset + 20, true);
+        let size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const externalAttributes = view.getUint32(offset + 38, true);
+        let localOffset = view.getUint32(offset + 42, true);
+        const path = textDecoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+        // Zip64 extra field holds the sizes and offset that overflowed, in this order
+        let extra = offset + 46 + nameLength;
+        const extraEnd = extra + extraLength;
+        while (extra + 4 <= extraEnd) {
+            const id = view.getUint16(extra, true);
+            const length = view.getUint16(extra + 2, true);
+            if (id === 0x0001) {
+                let field = extra + 4;
+                if (size === 0xffffffff) { size = readUint64(view, field); field += 8; }
+                if (compressedSize === 0xffffffff) { compressedSize = readUint64(view, field); field += 8; }
+                if (localOffset === 0xffffffff) { localOffset = readUint64(view, field); }
+            }
+            extra += 4 + length;
+        }
+
+        offset = extraEnd + commentLength;
+
+        if (flags & 0x1) {
+            throw new Error(`Encrypted zip entries are not supported (${path})`);
+        }
+
+        // Unix permissions are in the high half of the external attributes
+        const unixMode = madeBy === 3 ? externalAttributes >>> 16 : 0;
+        const isSymlink = (unixMode & 0o170000) === 0o120000;
+
+        if (path.endsWith('/')) {
+            entries.push({ path: path.replace(/\/+$/, ''), type: 'directory', data: null, linkTarget: null, mode: unixMode & 0o7777 });
+            continue;
+        }
+
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+        let data;
+        if (method === 0) {
+            data = compressed.slice();
+        } else if (method === 8) {
+            data = await inflateRaw(compressed);
+        } else {
+            throw new Error(`Unsupported zip compression method ${method} (${path})`);
+        }
+
+        entries.push(isSymlink
+            ? { path, type: 'symlink', data: null, linkTarget: textDecoder.decode(data), mode: unixMode & 0o7777 }
+            : { path, type: 'file', data, linkTarget: null, mode: unixMode & 0o7777 || 0o644 });
+    }
+
+    return { entries };
+}
+
+/**
+ * Check whether a file name or URL looks like a supported archive
+ * @param {string} name - File name or URL
+ * @returns {boolean} Ends in .zip, .tar, .tar.gz or .tgz
+ */
+export function isArchiveFileName(name) {
+    return /\.(zip|tar|tar\.gz|tgz)$/i.test((name || '').split(/[?#]/)[0]);
+}
+
+/**
+ * Extract a zip, gzipped tar or tar archive, detected from its content
+ * @param {Uint8Array} bytes - Archive data
+ * @returns {Promise<Array>} Entries: { path, type, data, linkTarget, mode }
+ */
+export async function extractArchive(bytes) {
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+        return (await unzip(bytes)).entries;
+    }
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+        return untar(await gunzip(bytes)).entries;
+    }
+    if (textDecoder.decode(bytes.subarray(257, 262)) === 'ustar') {
+        return untar(bytes).entries;
+    }
+    throw new Error('Unsupported archive format; use .zip, .tar.gz, .tgz or .tar');
+}
+
+/**
+ * Drop macOS metadata and, when every entry is inside the same top-level folder, that folder
+ * @param {Array} entries - Extracted entries
+ * @returns {object} { entries, root: the stripped folder name or null }
+ */
+export function stripSingleTopFolder(entries) {
+    const kept = entries.filter(entry => {
+        const parts = entry.path.split('/');
+        return parts[0] !== '__MACOSX' && parts[parts.length - 1] !== '.DS_Store';
+    });
+
+    const roots = new Set(kept.map(entry => entry.path.split('/')[0]));
+    const [root] = roots;
+    const isFolder = roots.size === 1 && kept.some(entry => entry.path.includes('/') || entry.type === 'directory');
+    if (!isFolder) {
+        return { entries: kept, root: null };
+    }
+
+    return {
+        entries: kept
+            .map(entry => ({ ...entry, path: entry.path.split('/').slice(1).join('/') }))
+            .filter(entry => entry.path),
+        root
+    };
+}
+
+/**
+ * Convert extracted archive entries into a WebContainer FileSystemTree
+ * @param {Array} entries - Entries from untar()
+ * @param {object} options - { stripComponents: number of leading path segments to drop }
+ * @returns {object} FileSystemTree suitable for WebContainer mount()
+ */
+export function toFileSystemTree(entries, options = {}) {
+    const { stripComponents = 0 } = options;
+    const tree = {};
+
+    for (const entry of entries) {
+        const parts = entry.path.split('/').filter(Boolean).slice(stripComponents);
+
+        // Never let an archive write outside of its mount point
+        if (parts.length === 0 || parts.some(part => part === '..' || part === '.')) {
+            continue;
+        }
+
+        const directories = entry.type === 'directory' ? parts : parts.slice(0, -1);
+        let node = tree;
+        for (const directory of directories) {
+            if (!node[directory] || !node[directory].directory) {
+                node[directory] = { directory: {} };
+            }
+            node = node[directory].directory;
+        }
+
+        const name = parts[parts.length - 1];
+        if (entry.type === 'file') {
+            node[name] = { file: { contents: entry.data } };
+        } else if (entry.type === 'symlink') {
+            node[name] = { file: { symlink: entry.linkTarget } };
+        }
+    }
+
+    return tree;
+}
+
+/**
+ * Get the directory contents at a path inside a FileSystemTree
+ * @param {object} tree - FileSystemTree
+ * @param {string} subpath - Slash-separated directory path
+ * @returns {object|null} Nested FileSystemTree, or null if the directory does not exist
+ */
+export function getFileSystemSubtree(tree, subpath) {
+    let node = tree;
+    for (const part of subpath.split('/').filter(Boolean)) {
+        if (!node[part] || !node[part].directory) {
+            return null;
+        }
+        node = node[part].directory;
+    }
+    return node;
+}
+
+/**
+ * Count file nodes in a FileSystemTree
+ * @param {object} tree - FileSystemTree
+ * @returns {number} Number of files
+ */
+export function countFileSystemTreeFiles(tree) {
+    return Object.values(tree).reduce((count, node) => {
+        return count + (node.directory ? countFileSystemTreeFiles(node.directory) : 1);
+    }, 0);
+}
+
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 checksum zip entries carry
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Unsigned CRC-32
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compress data with raw deflate (zip method 8) using the browser's CompressionStream
+ * @param {Uint8Array} bytes - Data
+ * @returns {Promise<Uint8Array>} Deflated data
+ */
+async function deflateRaw(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Create a zip archive, keeping Unix file modes and symlinks
+ * @param {Array} entries - { path, type: 'file'|'directory'|'symlink', data, linkTarget, mode } like unzip() returns
+ * @param {object} options - { date: modification time of every entry }
+ * @returns {Promise<Uint8Array>} Zip data
+ */
+export async function createZip(entries, options = {}) {
+    const { date = new Date() } = options;
+    if (entries.length > 0xffff) {
+        throw new Error('Zip archives with more than 65535 entries are not supported');
+    }
+
+    const textEncoder = new TextEncoder();
+    const canDeflate = typeof CompressionStream !== 'undefined';
+
+    // MS-DOS date and time, with two-second resolution
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const isDirectory = entry.type === 'directory';
+        const name = textEncoder.encode(isDirectory ? `${entry.path.replace(/\/+$/, '')}/` : entry.path);
+        const data = entry.type === 'symlink' ? textEncoder.encode(entry.linkTarget)
+            : isDirectory ? new Uint8Array(0)
+            : entry.data;
+
+        let method = 0;
+        let stored = data;
+        if (canDeflate && data.length > 0 && entry.type === 'file') {
+            const deflated = await deflateRaw(data);
+            // Already-compressed files (images, archives) are smaller stored
+            if (deflated.length < data.length) {
+                method = 8;
+                stored = deflated;
+            }
+        }
+
+        if (offset + stored.length > 0xffffffff) {
+            throw new Error('Zip archives over 4 GB are not supported');
+        }
+
+        const fileType = isDirectory ? 0o040000 : entry.type === 'symlink' ? 0o120000 : 0o100000;
+        const mode = fileType | (entry.mode || (isDirectory ? 0o755 : entry.type === 'symlink' ? 0o777 : 0o644));
+        const checksum = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);
+        local.setUint16(6, 0x0800, true); // UTF-8 names
+        local.setUint16(8, method, true);
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, stored.length, true);
+        local.setUint32(22, data.length, true);
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, stored);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(4, (3 << 8) | 20, true); // Made by Unix, so the mode below is honoured
+        central.setUint16(6, 20, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, method, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, stored.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(38, ((mode << 16) | (isDirectory ? 0x10 : 0)) >>> 0, true);
+        central.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + stored.length;
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+        zip.set(part, position);
+        position += part.length;
+    }
+    return zip;
+}
@@ -84,6 +84,34 @@ export function formatBytes(bytes, decimals = 2) {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
 
+/**
+ * Decode a base64 string into raw bytes
+ * @param {string} base64 - Base64 encoded data (whitespace is ignored)
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function base64ToBytes(base64) {
+    const binary = atob(base64.replace(/\s/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encode raw bytes as a base64 string
+ * @param {Uint8Array} bytes - Data to encode
+ * @returns {string} Base64 encoded data
+ */
+export function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunk to stay under the argument limit of String.fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
 /**
  * Validate email format
  * @param {string} email - Email to validate
@@ -177,4 +205,23 @@ export function timestamp() {
  */
 export function formatDate(timestamp) {
     return new Date(timestamp).toLocaleString();
-}
\ No newline at end of file
+}
+
+/**
+ * Save data as a file through the browser's download mechanism
+ * @param {Uint8Array|Blob|string} data - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type
+ */
+export function downloadFile(data, fileName, mimeType = 'application/octet-stream') {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoke after the click has been handled so the download can start
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,158 @@
+/**
+ * Line-based text diff utilities
+ */
+
+// Above this many line pairs the LCS table gets too large, so fall back to replace-all
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into lines, ignoring the trailing newline
+ * @param {string|null} text - Text to split
+ * @returns {string[]} Lines
+ */
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Compute a line diff between two texts
+ * @param {string|null} before - Original text (null for a new file)
+ * @param {string|null} after - Changed text (null for a deleted file)
+ * @returns {Array<object>} Operations: { type: 'context'|'add'|'remove', line, oldNumber, newNumber }
+ */
+export function diffLines(before, after) {
+    const oldLines = splitLines(before);
+    const newLines = splitLines(after);
+
+    // Trim common prefix and suffix so the LCS table only covers the changed middle
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const oldMiddle = oldLines.slice(start, oldEnd);
+    const newMiddle = newLines.slice(start, newEnd);
+    const middle = [];
+
+    if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+        oldMiddle.forEach(line => middle.push({ type: 'remove', line }));
+        newMiddle.forEach(line => middle.push({ type: 'add', line }));
+    } else {
+        // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+        const lengths = Array.from({ length: oldMiddle.length + 1 }, () => new Uint32Array(newMiddle.length + 1));
+        for (let i = oldMiddle.length - 1; i >= 0; i--) {
+            for (let j = newMiddle.length - 1; j >= 0; j--) {
+                lengths[i][j] = oldMiddle[i] === newMiddle[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        let i = 0;
+        let j = 0;
+        while (i < oldMiddle.length && j < newMiddle.length) {
+            if (oldMiddle[i] === newMiddle[j]) {
+                middle.push({ type: 'context', line: oldMiddle[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                middle.push({ type: 'remove', line: oldMiddle[i++] });
+            } else {
+                middle.push({ type: 'add', line: newMiddle[j++] });
+            }
+        }
+        while (i < oldMiddle.length) middle.push({ type: 'remove', line: oldMiddle[i++] });
+        while (j < newMiddle.length) middle.push({ type: 'add', line: newMiddle[j++] });
+    }
+
+    const operations = [
+        ...oldLines.slice(0, start).map(line => ({ type: 'context', line })),
+        ...middle,
+        ...oldLines.slice(oldEnd).map(line => ({ type: 'context', line }))
+    ];
+
+    // Number lines on both sides
+    let oldNumber = 1;
+    let newNumber = 1;
+    for (const operation of operations) {
+        operation.oldNumber = operation.type === 'add' ? null : oldNumber++;
+        operation.newNumber = operation.type === 'remove' ? null : newNumber++;
+    }
+
+    return operations;
+}
+
+/**
+ * Group diff operations into hunks with surrounding context
+ * @param {Array<object>} operations - Operations from diffLines()
+ * @param {number} context - Lines of context around each change
+ * @returns {Array<object>} Hunks: { oldStart, oldLines, newStart, newLines, operations }
+ */
+export function createDiffHunks(operations, context = 3) {
+    const hunks = [];
+    let current = null;
+    let lastChange = -Infinity;
+
+    operations.forEach((operation, index) => {
+        if (operation.type === 'context') return;
+
+        const from = Math.max(0, index - context);
+        if (current && from <= lastChange + context + 1) {
+            current.end = index;
+        } else {
+            current = { begin: from, end: index };
+            hunks.push(current);
+        }
+        lastChange = index;
+    });
+
+    return hunks.map(({ begin, end }) => {
+        const hunkOperations = operations.slice(begin, Math.min(operations.length, end + context + 1));
+        const oldSide = hunkOperations.filter(operation => operation.type !== 'add');
+        const newSide = hunkOperations.filter(operation => operation.type !== 'remove');
+
+        return {
+            oldStart: oldSide.length ? oldSide[0].oldNumber : 0,
+            oldLines: oldSide.length,
+            newStart: newSide.length ? newSide[0].newNumber : 0,
+            newLines: newSide.length,
+            operations: hunkOperations
+        };
+    });
+}
+
+/**
+ * Format a unified diff for a single file
+ * @param {string} path - File path
+ * @param {string|null} before - Original text (null for a new file)
+ * @param {string|null} after - Changed text (null for a deleted file)
+ * @param {number} context - Lines of context around each change
+ * @returns {string} Unified diff, empty if the texts are identical
+ */
+export function formatUnifiedDiff(path, before, after, context = 3) {
+    const hunks = createDiffHunks(diffLines(before, after), context);
+    if (hunks.length === 0) return '';
+
+    const prefix = { context: ' ', add: '+', remove: '-' };
+    const lines = [
+        `--- ${before === null ? '/dev/null' : `a/${path}`}`,
+        `+++ ${after === null ? '/dev/null' : `b/${path}`}`
+    ];
+
+    for (const hunk of hunks) {
+        lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+        hunk.operations.forEach(operation => lines.push(`${prefix[operation.type]}${operation.line}`));
+    }
+
+    return lines.join('\n');
+}
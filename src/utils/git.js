@@ -0,0 +1,116 @@
+/**
+ * Git object and ignore-rule utilities
+ */
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Paths that are never part of a commit
+ */
+export const ALWAYS_IGNORED = ['node_modules', '.git'];
+
+/**
+ * Compute the git blob SHA-1 of file content ("blob <size>\0<content>")
+ * @param {Uint8Array|string} content - File content
+ * @returns {Promise<string>} Hex blob SHA
+ */
+export async function computeGitBlobSha(content) {
+    const bytes = typeof content === 'string' ? textEncoder.encode(content) : content;
+    const header = textEncoder.encode(`blob ${bytes.length}\0`);
+
+    const data = new Uint8Array(header.length + bytes.length);
+    data.set(header, 0);
+    data.set(bytes, header.length);
+
+    const digest = await crypto.subtle.digest('SHA-1', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert a tar/octal file mode to a git tree entry mode
+ * @param {number} mode - Unix file mode
+ * @returns {string} Git mode ('100755' for executables, otherwise '100644')
+ */
+export function toGitFileMode(mode) {
+    return mode & 0o111 ? '100755' : '100644';
+}
+
+/**
+ * Convert one .gitignore pattern to a regular expression
+ * @param {string} pattern - Pattern without negation or trailing slash
+ * @param {boolean} anchored - Pattern only matches from the root
+ * @returns {RegExp} Regular expression matching a relative path
+ */
+function gitIgnorePatternToRegExp(pattern, anchored) {
+    let source = '';
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" matches zero or more directories, a trailing "**" matches everything
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`${anchored ? '^' : '(?:^|/)'}${source}(?:/.*)?$`);
+}
+
+/**
+ * Create a matcher for .gitignore rules (the common subset: globs, "**", anchoring,
+ * directory-only patterns and negation)
+ * @param {string} gitignoreText - Contents of a .gitignore file
+ * @returns {Function} (relativePath, isDirectory) => boolean ignored
+ */
+export function createGitIgnoreMatcher(gitignoreText = '') {
+    const rules = [];
+
+    for (const rawLine of gitignoreText.split(/\r?\n/)) {
+        let line = rawLine.trim();
+        if (!line || line.startsWith('#')) continue;
+
+        const negated = line.startsWith('!');
+        if (negated) line = line.slice(1);
+
+        const directoryOnly = line.endsWith('/');
+        line = line.replace(/\/+$/, '');
+
+        // A slash anywhere but the end anchors the pattern to the root
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+        if (!line) continue;
+
+        rules.push({ regex: gitIgnorePatternToRegExp(line, anchored), negated, directoryOnly });
+    }
+
+    return (relativePath, isDirectory = false) => {
+        const segments = relativePath.split('/');
+        if (segments.some(segment => ALWAYS_IGNORED.includes(segment))) {
+            return true;
+        }
+
+        let ignored = false;
+        for (const rule of rules) {
+            // Directory-only rules still match files inside that directory
+            if (rule.directoryOnly && !isDirectory && !rule.regex.test(segments.slice(0, -1).join('/'))) {
+                continue;
+            }
+            if (rule.regex.test(relativePath)) {
+                ignored = !rule.negated;
+            }
+        }
+        return ignored;
+    };
+}
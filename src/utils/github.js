@@ -3,30 +3,96 @@
  */
 
 /**
- * Parse GitHub URL and extract owner and repository name
- * @param {string} url - GitHub URL
- * @returns {object|null} Object with owner and repo, or null if invalid
+ * Parse GitHub URL and extract owner, repository name, ref and subdirectory
+ * @param {string} url - GitHub URL (repo, /tree/<ref>/<path>, /blob/<ref>/<path>, /commit/<sha>, /releases/tag/<tag>, /pull/<number>)
+ *   or gist URL (gist.github.com/<user>/<id>)
+ * @returns {object|null} Object with owner, repo, ref (null for default branch), subpath, pullNumber and gistId, or null if invalid
  */
 export function parseGitHubUrl(url) {
     if (!url) return null;
-    
-    const patterns = [
-        /github\.com\/([^\/]+)\/([^\/]+)/,
-        /github\.com\/([^\/]+)\/([^\/]+)\.git/,
-        /git@github\.com:([^\/]+)\/([^\/]+)\.git/
-    ];
-    
-    for (const pattern of patterns) {
-        const match = url.match(pattern);
-        if (match) {
-            return {
-                owner: match[1],
-                repo: match[2].replace(/\.git$/, '')
-            };
-        }
+
+    const gist = parseGistUrl(url);
+    if (gist) {
+        return { owner: gist.owner, repo: null, ref: null, subpath: '', pullNumber: null, gistId: gist.gistId };
+    }
+
+    const sshMatch = url.match(/git@github\.com:([^\/]+)\/([^\/]+?)(?:\.git)?$/);
+    if (sshMatch) {
+        return { owner: sshMatch[1], repo: sshMatch[2], ref: null, subpath: '', pullNumber: null, gistId: null };
+    }
+
+    const match = url.match(/github\.com\/([^\/?#]+)\/([^\/?#]+)(\/[^?#]*)?/);
+    if (!match) return null;
+
+    const parsed = {
+        owner: match[1],
+        repo: match[2].replace(/\.git$/, ''),
+        ref: null,
+        subpath: '',
+        pullNumber: null,
+        gistId: null
+    };
+
+    let segments;
+    try {
+        segments = (match[3] || '').split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+        // Malformed escape such as %E0
+        return null;
+    }
+    const [kind, ...rest] = segments;
+
+    if ((kind === 'tree' || kind === 'blob') && rest.length > 0) {
+        parsed.ref = rest[0];
+        // A file link loads the directory that contains it
+        const pathSegments = kind === 'blob' ? rest.slice(1, -1) : rest.slice(1);
+        parsed.subpath = pathSegments.join('/');
+    } else if (kind === 'commit' && rest.length > 0) {
+        parsed.ref = rest[0];
+    } else if (kind === 'releases' && rest[0] === 'tag' && rest.length > 1) {
+        parsed.ref = rest.slice(1).join('/');
+    } else if (kind === 'pull' && /^\d+$/.test(rest[0] || '')) {
+        parsed.pullNumber = parseInt(rest[0], 10);
     }
-    
-    return null;
+
+    return parsed;
+}
+
+/**
+ * Parse a gist URL or bare gist ID
+ * @param {string} url - gist.github.com/<user>/<id>, gist.github.com/<id> or the ID itself (numeric legacy IDs only in URLs)
+ * @returns {object|null} Object with gistId and owner (null if not in the URL), or null if not a gist
+ */
+export function parseGistUrl(url) {
+    if (!url) return null;
+
+    // Gist IDs are hex, except for legacy gists, which have numeric IDs; those are only accepted in
+    // gist URLs, since a bare number is not recognizable as a gist
+    const trimmed = url.trim();
+    if (/^[0-9a-f]{20,32}$/i.test(trimmed)) {
+        return { gistId: trimmed, owner: null };
+    }
+
+    const match = trimmed.match(/gist\.github(?:usercontent)?\.com\/(?:([^\/?#]+)\/)?([0-9a-f]{20,32}|\d+)(?=[\/?#]|$)/i);
+    return match ? { gistId: match[2], owner: match[1] || null } : null;
+}
+
+/**
+ * Check whether a ref looks like a full or abbreviated commit SHA
+ * @param {string} ref - Git ref
+ * @returns {boolean} Is commit SHA
+ */
+export function isCommitSha(ref) {
+    return /^[0-9a-f]{7,40}$/i.test(ref || '');
+}
+
+/**
+ * Normalize a repository subdirectory path (no leading/trailing slashes)
+ * @param {string} subpath - Subdirectory path
+ * @returns {string} Normalized path, empty for the repository root
+ */
+export function normalizeSubpath(subpath) {
+    return (subpath || '').split('/').filter(part => part && part !== '.').join('/');
 }
 
 /**
@@ -34,10 +100,11 @@ export function parseGitHubUrl(url) {
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
  * @param {string} filepath - File path
+ * @param {string} ref - Branch, tag or commit SHA (guesses main/master when omitted)
  * @returns {string[]} Array of possible URLs
  */
-export function generateGitHubRawUrls(owner, repo, filepath) {
-    const branches = ['main', 'master'];
+export function generateGitHubRawUrls(owner, repo, filepath, ref = null) {
+    const branches = ref ? [ref] : ['main', 'master'];
     return branches.map(branch => 
         `https://raw.githubusercontent.com/${owner}/${repo}/${branch}/${filepath}`
     );
@@ -64,6 +131,66 @@ export function generateGitHubFileApiUrl(owner, repo, filepath) {
     return `https://api.github.com/repos/${owner}/${repo}/contents/${filepath}`;
 }
 
+/**
+ * Generate GitHub API URL listing branches or tags whose name starts with a prefix
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} prefix - Ref prefix, e.g. "heads/feature" or "tags/v1"
+ * @returns {string} GitHub API URL
+ */
+export function generateGitHubMatchingRefsApiUrl(owner, repo, prefix) {
+    return `https://api.github.com/repos/${owner}/${repo}/git/matching-refs/${prefix}`;
+}
+
+/**
+ * Generate GitHub API URL for a recursive git tree listing
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {string} GitHub API URL
+ */
+export function generateGitHubTreeApiUrl(owner, repo, ref) {
+    return `https://api.github.com/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`;
+}
+
+/**
+ * Generate GitHub API URL for a git blob
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Blob SHA
+ * @returns {string} GitHub API URL
+ */
+export function generateGitHubBlobApiUrl(owner, repo, sha) {
+    return `https://api.github.com/repos/${owner}/${repo}/git/blobs/${sha}`;
+}
+
+/**
+ * Generate GitHub raw content URL for a file at a specific ref
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or commit SHA
+ * @param {string} filepath - File path
+ * @returns {string} Raw content URL
+ */
+export function generateGitHubRawUrl(owner, repo, ref, filepath) {
+    const encodedPath = filepath.split('/').map(encodeURIComponent).join('/');
+    return `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${encodedPath}`;
+}
+
+/**
+ * Generate URLs for downloading a gzipped tarball of a repository at a ref
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or commit SHA
+ * @returns {string[]} Array of archive URLs, most preferred first
+ */
+export function generateGitHubArchiveUrls(owner, repo, ref) {
+    return [
+        `https://api.github.com/repos/${owner}/${repo}/tarball/${encodeURIComponent(ref)}`,
+        `https://codeload.github.com/${owner}/${repo}/tar.gz/${encodeURIComponent(ref)}`
+    ];
+}
+
 /**
  * Check if a URL is a valid GitHub repository URL
  * @param {string} url - URL to validate
@@ -98,23 +225,58 @@ export function extractOwnerName(url) {
  * Generate GitHub repository web URL from owner and repo
  * @param {string} owner - Repository owner
  * @param {string} repo - Repository name
+ * @param {string} ref - Branch, tag or commit SHA (optional)
+ * @param {string} subpath - Subdirectory within the repository (optional)
+ * @returns {string} GitHub web URL
+ */
+export function generateGitHubUrl(owner, repo, ref = null, subpath = '') {
+    const baseUrl = `https://github.com/${owner}/${repo}`;
+    if (!ref) return baseUrl;
+
+    const path = normalizeSubpath(subpath);
+    return path ? `${baseUrl}/tree/${ref}/${path}` : `${baseUrl}/tree/${ref}`;
+}
+
+/**
+ * Generate GitHub pull request web URL
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} number - Pull request number
  * @returns {string} GitHub web URL
  */
-export function generateGitHubUrl(owner, repo) {
-    return `https://github.com/${owner}/${repo}`;
+export function generateGitHubPullRequestUrl(owner, repo, number) {
+    return `https://github.com/${owner}/${repo}/pull/${number}`;
+}
+
+/**
+ * Generate GitHub API URL for gists
+ * @param {string} gistId - Gist ID (omit for the gist collection, used to create gists)
+ * @returns {string} GitHub API URL
+ */
+export function generateGistApiUrl(gistId = null) {
+    return gistId ? `https://api.github.com/gists/${gistId}` : 'https://api.github.com/gists';
+}
+
+/**
+ * Fill a CORS proxy URL template with a target URL
+ * @param {string} template - Proxy template; "{url}" is replaced with the encoded target URL,
+ *   templates without a placeholder get the encoded URL appended
+ * @param {string} targetUrl - URL to request through the proxy
+ * @returns {string} Proxy URL
+ */
+export function generateCorsProxyUrl(template, targetUrl) {
+    const encodedUrl = encodeURIComponent(targetUrl);
+    return template.includes('{url}')
+        ? template.replace('{url}', encodedUrl)
+        : `${template}${encodedUrl}`;
 }
 
 /**
  * Generate CORS proxy URLs for GitHub API calls
  * @param {string} apiUrl - Original GitHub API URL
+ * @param {string[]} templates - Proxy URL templates to use, in order
  * @returns {string[]} Array of proxy URLs
  */
-export function generateCorsProxyUrls(apiUrl) {
-    const proxies = [
-        'https://api.allorigins.win/get?url=',
-        'https://cors-anywhere.herokuapp.com/',
-        'https://corsproxy.io/?'
-    ];
-    
-    return proxies.map(proxy => `${proxy}${encodeURIComponent(apiUrl)}`);
-}
\ No newline at end of file
+export function generateCorsProxyUrls(apiUrl, templates = []) {
+    return templates.map(template => generateCorsProxyUrl(template, apiUrl));
+}
@@ -0,0 +1,45 @@
+/**
+ * Promise wrappers for IndexedDB
+ */
+
+/**
+ * Wait for an IndexedDB request to finish
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} Request result
+ */
+export function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>} Resolves when complete
+ */
+export function waitForTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+}
+
+/**
+ * Open (and create or upgrade) a database
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called with (database, oldVersion) to create object stores
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+export function openDatabase(name, version, upgrade) {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(name, version);
+    request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+    return promisifyRequest(request);
+}
@@ -0,0 +1,54 @@
+/**
+ * npm registry utility functions
+ */
+
+export const DEFAULT_NPM_REGISTRY = 'https://registry.npmjs.org';
+
+/**
+ * Parse a package spec such as "react", "react@18.2.0", "@scope/pkg@next" or "lodash@^4"
+ * @param {string} spec - Package spec, optionally prefixed with "npm:"
+ * @returns {object|null} { name, version: version, range or dist-tag ('latest' if omitted) }, or null if invalid
+ */
+export function parseNpmPackageSpec(spec) {
+    if (!spec) return null;
+
+    const match = spec.trim().replace(/^npm:/, '').match(/^((?:@[a-z0-9][\w.~-]*\/)?[a-z0-9][\w.~-]*)(?:@(.+))?$/i);
+    if (!match) return null;
+    // Versions, ranges ("^1.2", ">=2 <3 || 4.x") and dist-tags only; specs come from share links
+    if (match[2] && !/^[\w.*+~^<>=| -]+$/.test(match[2])) return null;
+
+    return {
+        name: match[1],
+        version: match[2]?.trim() || 'latest'
+    };
+}
+
+/**
+ * Generate the registry URL of a package's metadata
+ * @param {string} registry - Registry base URL
+ * @param {string} name - Package name
+ * @returns {string} Metadata URL (scoped names keep the @ and encode the slash)
+ */
+export function generateNpmPackageUrl(registry, name) {
+    return `${registry.replace(/\/+$/, '')}/${name.replace('/', '%2f')}`;
+}
+
+/**
+ * Generate the npmjs.com page of a package version
+ * @param {string} name - Package name
+ * @param {string} version - Version
+ * @returns {string} Package page URL
+ */
+export function generateNpmPackagePageUrl(name, version) {
+    return `https://www.npmjs.com/package/${name}/v/${version}`;
+}
+
+/**
+ * Get the project directory name for a package version
+ * @param {string} name - Package name
+ * @param {string} version - Version
+ * @returns {string} Directory name, e.g. "npm-scope-pkg-1.0.0"
+ */
+export function getNpmProjectName(name, version) {
+    return `npm-${name.replace(/^@/, '').replace('/', '-')}-${version}`;
+}